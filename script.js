@@ -7,17 +7,26 @@
 // -------------------------
 
 const RAI_PER_HA = 6.25;
-const DEFAULT_STAGE_DAYS = {
-  initial: 20,
-  development: 30,
-  mid: 40,
-  late: 30,
-};
+const EARTH_RADIUS_M = 6378137;
+const HAZEN_WILLIAMS_C_PVC = 150;
+const LATERAL_DIAMETER_MM = 32;
+const PE_LATERAL_PRESSURE_CLASS = 4; // PE laterals are PN4
+const OPERATING_HEAD_M = 30; // required pressure head at the outlets
+const MAIN_VELOCITY_LIMIT = 1.5; // m/s
+const MOTOR_EFFICIENCY = 0.9; // electric motor driving the pump
 
 function $(id) {
   return document.getElementById(id);
 }
 
+// Text from files or users, made safe to put in an HTML template
+function escapeHtml(text) {
+  return String(text ?? "").replace(
+    /[&<>"']/g,
+    (c) => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;" })[c]
+  );
+}
+
 function openModal(id) {
   const modal = $(id);
   if (modal) modal.classList.add("active");
@@ -34,6 +43,8 @@ function generateId() {
 
 // Unit helpers
 function getAreaRaiFromInput() {
+  // A drawn field boundary overrides the slider
+  if (fieldBoundary) return +computeBoundaryAreaRai(fieldBoundary).toFixed(2);
   return parseFloat($("area")?.value || "10"); // slider/planner area
 }
 
@@ -51,13 +62,300 @@ let currentProjectId = null;
 let map;
 let mapInitialized = false;
 let layoutLayerGroup;
+let fieldLayerGroup;
+let terrainLayerGroup; // slope-class overlay, below the layout
+let contextLayerGroup; // NDVI / soil overlay, below the layout
+let fieldBoundary = null; // { outer: [[lat, lng], ...], holes: [[[lat, lng], ...], ...] }
 let flowAnimationInterval = null;
 let lastPlannerDesign = null;
+let cropLibrary = []; // built-in + custom crops, see initCropLibrary
+let pumpCatalogue = []; // normalized pumps, see loadPumpCatalogue
+let pumpCatalogueSource = "built-in";
+let priceLists = []; // see loadPriceLists
 
 let seasonalChart = null;
 let seasonalEtoChart = null;
+let seasonalKcChart = null;
+let soilBalanceChart = null;
 let costChart = null;
 let zoneChart = null;
+let pumpChart = null;
+
+// -------------------------
+// PROJECT STORE (IndexedDB, localStorage fallback)
+// -------------------------
+
+const PROJECT_DB_NAME = "irrigation-planner";
+const PROJECT_DB_STORE = "projects";
+const PROJECT_LS_KEY = "irrigation-projects";
+const CURRENT_PROJECT_LS_KEY = "irrigation-current-project";
+const PROJECT_SCHEMA_VERSION = 10;
+
+// Each migration upgrades a project from (version - 1) to version.
+// Version 0 = legacy objects without a schemaVersion field.
+const PROJECT_MIGRATIONS = {
+  1: (p) => ({
+    ...p,
+    metrics: p.metrics || {},
+    validation: p.validation || { valid: false, notes: "Not validated yet" },
+    bom: Array.isArray(p.bom) ? p.bom : [],
+    createdAt: p.createdAt || new Date().toISOString(),
+    updatedAt: p.updatedAt || p.createdAt || new Date().toISOString(),
+  }),
+  // v2: full planner input snapshot + monthly ETo/rainfall table
+  2: (p) => ({
+    ...p,
+    inputs: p.inputs || null,
+    monthly: p.monthly || null,
+  }),
+  // v3: finalized revisions + draft/final status
+  3: (p) => ({
+    ...p,
+    status: p.status || "draft",
+    revisions: Array.isArray(p.revisions) ? p.revisions : [],
+  }),
+  // v4: crop library – keep the stage lengths older designs were calculated with,
+  // and turn the late-stage Kc into the end-of-season Kc it now means
+  4: (p) => ({
+    ...p,
+    inputs: p.inputs ? migrateLegacyCropInputs(p.inputs) : null,
+    ...(Array.isArray(p.revisions)
+      ? {
+          revisions: p.revisions.map((r) => (r.inputs ? { ...r, inputs: migrateLegacyCropInputs(r.inputs) } : r)),
+        }
+      : {}),
+  }),
+  // v5: site latitude/elevation and monthly weather for the ETo calculator
+  5: (p) => ({
+    ...p,
+    latitude: typeof p.latitude === "number" ? p.latitude : null,
+    elevation: typeof p.elevation === "number" ? p.elevation : null,
+    weather: p.weather || null,
+  }),
+  // v6: imported weather station datasets
+  6: (p) => ({
+    ...p,
+    weatherDatasets: Array.isArray(p.weatherDatasets) ? p.weatherDatasets : [],
+  }),
+  // v7: imported terrain (DEM grid or survey points)
+  7: (p) => ({
+    ...p,
+    terrain: p.terrain || null,
+  }),
+  // v8: NDVI raster and soil map
+  8: (p) => ({
+    ...p,
+    ndvi: p.ndvi || null,
+    soilMap: p.soilMap || null,
+  }),
+  // v9: irrigation method – earlier designs were all sprinkler
+  9: (p) => ({
+    ...p,
+    inputs: p.inputs ? { irrigationMethod: "sprinkler", ...p.inputs } : null,
+  }),
+  // v10: emitter catalogue – earlier designs used their own outlet flow
+  10: (p) => ({
+    ...p,
+    inputs: p.inputs ? { emitterModel: "", ...p.inputs } : null,
+  }),
+};
+
+let projectDBPromise = null;
+
+function migrateProject(project) {
+  let migrated = { ...project };
+  let version = parseInt(migrated.schemaVersion || 0, 10);
+
+  while (version < PROJECT_SCHEMA_VERSION) {
+    const step = PROJECT_MIGRATIONS[version + 1];
+    if (step) migrated = step(migrated);
+    version += 1;
+    migrated.schemaVersion = version;
+  }
+  return migrated;
+}
+
+function openProjectDB() {
+  if (projectDBPromise) return projectDBPromise;
+  if (typeof indexedDB === "undefined") return Promise.resolve(null);
+
+  projectDBPromise = new Promise((resolve) => {
+    let request;
+    try {
+      request = indexedDB.open(PROJECT_DB_NAME, 1);
+    } catch (err) {
+      resolve(null); // e.g. file:// in some browsers
+      return;
+    }
+    request.onupgradeneeded = () => {
+      const db = request.result;
+      if (!db.objectStoreNames.contains(PROJECT_DB_STORE)) {
+        db.createObjectStore(PROJECT_DB_STORE, { keyPath: "id" });
+      }
+    };
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => resolve(null);
+    request.onblocked = () => resolve(null);
+  });
+  return projectDBPromise;
+}
+
+function runProjectTransaction(db, mode, work) {
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(PROJECT_DB_STORE, mode);
+    const store = tx.objectStore(PROJECT_DB_STORE);
+    const result = work(store);
+    tx.oncomplete = () => resolve(result?.result);
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error);
+  });
+}
+
+function readProjectsFromLocalStorage() {
+  try {
+    const stored = localStorage.getItem(PROJECT_LS_KEY);
+    return stored ? JSON.parse(stored) : [];
+  } catch (err) {
+    console.warn("Could not read projects from localStorage", err);
+    return [];
+  }
+}
+
+function writeProjectsToLocalStorage(list) {
+  try {
+    localStorage.setItem(PROJECT_LS_KEY, JSON.stringify(list));
+  } catch (err) {
+    console.warn("Could not write projects to localStorage", err);
+  }
+}
+
+// Projects saved by the localStorage fallback are merged into IndexedDB by id
+// (the newer copy wins) and the fallback key is cleared once they are written,
+// so none is lost and a stale copy cannot bring a deleted project back
+async function importLocalStorageProjects(db, stored) {
+  const legacy = readProjectsFromLocalStorage().filter((p) => p?.id);
+  if (!legacy.length) return stored;
+  const byId = new Map(stored.map((p) => [p.id, p]));
+  const imported = legacy.filter((p) => !byId.has(p.id) || (p.updatedAt || "") > (byId.get(p.id).updatedAt || ""));
+  try {
+    if (imported.length) {
+      await runProjectTransaction(db, "readwrite", (s) =>
+        imported.forEach((p) => s.put(JSON.parse(JSON.stringify(p))))
+      );
+    }
+    localStorage.removeItem(PROJECT_LS_KEY);
+  } catch (err) {
+    console.warn("Could not move localStorage projects into IndexedDB", err);
+  }
+  imported.forEach((p) => byId.set(p.id, p));
+  return [...byId.values()];
+}
+
+async function loadProjectsFromStore() {
+  const db = await openProjectDB();
+  let stored = [];
+
+  if (db) {
+    try {
+      stored = (await runProjectTransaction(db, "readonly", (s) => s.getAll())) || [];
+      stored = await importLocalStorageProjects(db, stored);
+    } catch (err) {
+      console.warn("IndexedDB read failed, using localStorage", err);
+      stored = readProjectsFromLocalStorage();
+    }
+  } else {
+    stored = readProjectsFromLocalStorage();
+  }
+
+  const migrated = stored.map(migrateProject);
+  migrated.sort((a, b) => (a.createdAt || "").localeCompare(b.createdAt || ""));
+  return { projects: migrated, needsWrite: stored.some((p) => p.schemaVersion !== PROJECT_SCHEMA_VERSION) };
+}
+
+async function persistProject(project) {
+  if (!project) return;
+  project.schemaVersion = PROJECT_SCHEMA_VERSION;
+  project.updatedAt = new Date().toISOString();
+
+  const db = await openProjectDB();
+  if (db) {
+    try {
+      // structured clone rejects functions/DOM refs, so store a plain JSON copy
+      const plain = JSON.parse(JSON.stringify(project));
+      await runProjectTransaction(db, "readwrite", (s) => s.put(plain));
+      return;
+    } catch (err) {
+      console.warn("IndexedDB write failed, using localStorage", err);
+    }
+  }
+  writeProjectsToLocalStorage(projects);
+}
+
+// Planner edits arrive per keystroke: write the project and redraw the cards
+// once typing pauses, or right away before the page goes
+const PROJECT_SAVE_DELAY_MS = 600;
+let pendingProjectSave = null; // { project, timer }
+
+function scheduleProjectSave(project) {
+  if (pendingProjectSave && pendingProjectSave.project !== project) flushProjectSave();
+  clearTimeout(pendingProjectSave?.timer);
+  pendingProjectSave = { project, timer: setTimeout(flushProjectSave, PROJECT_SAVE_DELAY_MS) };
+}
+
+function flushProjectSave() {
+  if (!pendingProjectSave) return;
+  const { project, timer } = pendingProjectSave;
+  clearTimeout(timer);
+  pendingProjectSave = null;
+  if (!projects.includes(project)) return; // deleted meanwhile
+  persistProject(project);
+  renderProjectsGrid();
+}
+
+async function removeProjectFromStore(projectId) {
+  const db = await openProjectDB();
+  if (db) {
+    try {
+      await runProjectTransaction(db, "readwrite", (s) => s.delete(projectId));
+      return;
+    } catch (err) {
+      console.warn("IndexedDB delete failed, using localStorage", err);
+    }
+  }
+  writeProjectsToLocalStorage(projects);
+}
+
+function persistCurrentProjectId() {
+  try {
+    if (currentProjectId) localStorage.setItem(CURRENT_PROJECT_LS_KEY, currentProjectId);
+    else localStorage.removeItem(CURRENT_PROJECT_LS_KEY);
+  } catch (err) {
+    // storage may be disabled; selection is simply not remembered
+  }
+}
+
+function readCurrentProjectId() {
+  try {
+    return localStorage.getItem(CURRENT_PROJECT_LS_KEY);
+  } catch (err) {
+    return null;
+  }
+}
+
+async function initProjectStore() {
+  const loaded = await loadProjectsFromStore();
+  projects = loaded.projects;
+  projects.forEach((p) => (p.revisions || []).forEach(deepFreeze));
+  renderProjectsGrid();
+
+  // Write upgraded records back so migrations only run once per project
+  if (loaded.needsWrite) projects.forEach((p) => persistProject(p));
+
+  const savedId = readCurrentProjectId();
+  if (savedId && projects.some((p) => p.id === savedId)) {
+    setCurrentProject(savedId);
+  }
+}
 
 // -------------------------
 // SIDEBAR NAV
@@ -119,6 +417,7 @@ function renderProjectsGrid() {
 
     const statusClass = proj.validation?.valid ? "valid" : "invalid";
     const statusText = proj.validation?.valid ? "Valid" : "Not Valid";
+    const revisionText = describeProjectRevision(proj);
 
     card.innerHTML = `
       <div class="project-card-header">
@@ -139,6 +438,10 @@ function renderProjectsGrid() {
         </div>
       </div>
       <span class="project-card-badge ${statusClass}">${statusText}</span>
+      <div class="project-card-revision ${proj.status === "final" ? "final" : "draft"}">
+        <i class="fas ${proj.status === "final" ? "fa-lock" : "fa-pencil-alt"}"></i>
+        <span>${revisionText}</span>
+      </div>
       <div class="project-card-metrics">
         <div class="project-metric">
           <span class="project-metric-label">Area</span>
@@ -172,8 +475,10 @@ function renderProjectsGrid() {
         const action = btn.dataset.action;
         if (action === "delete") {
           projects = projects.filter((p) => p.id !== proj.id);
+          removeProjectFromStore(proj.id);
           if (currentProjectId === proj.id) {
             currentProjectId = null;
+            persistCurrentProjectId();
             updateCurrentProjectBadge(null);
           }
           renderProjectsGrid();
@@ -187,9 +492,17 @@ function renderProjectsGrid() {
   });
 }
 
+// Number from an optional field, null when left blank
+function readOptionalNumber(id) {
+  const value = parseFloat($(id)?.value);
+  return isFinite(value) ? value : null;
+}
+
 function loadProjectToModal(project) {
   $("project-name-input").value = project.name;
   $("project-location-input").value = project.location || "";
+  $("project-latitude-input").value = project.latitude ?? "";
+  $("project-elevation-input").value = project.elevation ?? "";
   $("project-area-input").value = project.areaRai || 10;
   $("project-crop-input").value = project.cropType || "Sugarcane";
 
@@ -200,8 +513,18 @@ function loadProjectToModal(project) {
   const editHandler = () => {
     project.name = $("project-name-input").value || "Untitled Project";
     project.location = $("project-location-input").value || "";
+    project.latitude = readOptionalNumber("project-latitude-input");
+    project.elevation = readOptionalNumber("project-elevation-input");
     project.areaRai = parseFloat($("project-area-input").value) || 10;
+    const cropChanged = project.cropType !== $("project-crop-input").value;
     project.cropType = $("project-crop-input").value || "Sugarcane";
+    if (project.inputs) {
+      project.inputs.areaRai = project.areaRai;
+      project.inputs.cropType = project.cropType;
+      const crop = findCrop(project.cropType);
+      if (cropChanged && crop) Object.assign(project.inputs, cropStageInputs(crop));
+    }
+    persistProject(project);
 
     closeModal("new-project-modal");
     saveBtn.removeEventListener("click", editHandler);
@@ -221,13 +544,17 @@ function loadProjectToModal(project) {
 function saveProjectFromModal() {
   const name = $("project-name-input").value.trim() || "Untitled Project";
   const location = $("project-location-input").value.trim();
+  const latitude = readOptionalNumber("project-latitude-input");
+  const elevation = readOptionalNumber("project-elevation-input");
   const areaRai = parseFloat($("project-area-input").value) || 10;
   const cropType = $("project-crop-input").value || "Sugarcane";
 
-  const newProject = {
+  const newProject = migrateProject({
     id: generateId(),
     name,
     location,
+    latitude,
+    elevation,
     areaRai,
     cropType,
     metrics: {},
@@ -235,9 +562,13 @@ function saveProjectFromModal() {
       valid: false,
       notes: "Not validated yet",
     },
-  };
+    status: "draft",
+    revisions: [],
+    createdAt: new Date().toISOString(),
+  });
 
   projects.push(newProject);
+  persistProject(newProject);
   closeModal("new-project-modal");
   renderProjectsGrid();
   setCurrentProject(newProject.id);
@@ -245,14 +576,35 @@ function saveProjectFromModal() {
 
 function setCurrentProject(projectId) {
   currentProjectId = projectId;
+  persistCurrentProjectId();
   const project = projects.find((p) => p.id === projectId);
   updateSummaryFromProject(project);
 
   if (!project) return;
 
-  $("crop-type").value = project.cropType || "Sugarcane";
-  $("area").value = project.areaRai || 10;
-  $("area-value").value = project.areaRai || 10;
+  if (project.inputs) {
+    applyPlannerInputs(project.inputs);
+    setFieldBoundary(project.inputs.boundary || null, { silent: true });
+    updateCropLibraryInfo();
+    const info = $("crop-library-info");
+    if (info && project.inputs.kcLateStage != null) {
+      info.textContent += ` · Kc end ${project.inputs.kcLate} converted from the saved late-stage Kc ${project.inputs.kcLateStage}`;
+    }
+  } else {
+    setFieldBoundary(null, { silent: true });
+    $("crop-type").value = project.cropType || "Sugarcane";
+    const crop = findCrop(project.cropType);
+    if (crop) applyPlannerInputs(cropStageInputs(crop));
+    updateCropLibraryInfo();
+    $("area").value = project.areaRai || 10;
+    $("area-value").value = project.areaRai || 10;
+  }
+  populateScenarioSelect(project.monthly?.preset || "normal");
+  refreshTerrainView();
+  refreshFieldContext();
+  if (project.monthly) {
+    applyMonthlyTableData(project.monthly);
+  }
 
   if (project.metrics) {
     $("water-demand").textContent = project.metrics.waterDemand || 0;
@@ -264,6 +616,9 @@ function setCurrentProject(projectId) {
   if (project.validation) {
     applyValidationCard(project.validation.valid, project.validation.notes || "");
   }
+
+  // Recompute from the restored inputs so outputs/KPIs match the snapshot
+  onRecalculate();
 }
 
 function updateCurrentProjectBadge(project) {
@@ -287,6 +642,7 @@ function updateCurrentProjectBadge(project) {
     <p><strong>Location:</strong> ${project.location || "Not set"}</p>
     <p><strong>Area:</strong> ${project.areaRai || "-"} Rai</p>
     <p><strong>Crop Type:</strong> ${project.cropType || "-"}</p>
+    <p><strong>Design Status:</strong> ${describeProjectRevision(project)}</p>
     <p><strong>Water Demand:</strong> ${project.metrics?.waterDemand || "-"} L/day</p>
     <p><strong>Pipe Length:</strong> ${project.metrics?.pipeLength || "-"} m</p>
     <p><strong>Head Loss:</strong> ${project.metrics?.headLoss || "-"} %</p>
@@ -307,16 +663,64 @@ function getPlannerInputs() {
   const kcInitial = parseFloat($("kc-initial")?.value || $("kc")?.value || "0.3");
   const kcDevelopment = parseFloat($("kc-development")?.value || "0.7");
   const kcMid = parseFloat($("kc-mid")?.value || "1.0");
-  const kcLate = parseFloat($("kc-late")?.value || "0.7");
+  const kcLate = parseFloat($("kc-late")?.value || "0.7"); // Kc at the end of the season
+  const stageInitialDays = parseFloat($("stage-initial-days")?.value || "20");
+  const stageDevelopmentDays = parseFloat($("stage-development-days")?.value || "30");
+  const stageMidDays = parseFloat($("stage-mid-days")?.value || "40");
+  const stageLateDays = parseFloat($("stage-late-days")?.value || "30");
+  const rootDepth = parseFloat($("root-depth")?.value || "1"); // m, maximum effective root depth
+  const depletionFraction = parseFloat($("depletion-fraction")?.value || "0.5"); // FAO-56 p
+  const cropHeight = parseFloat($("crop-height")?.value || "1"); // m
+  const plantingDate = $("planting-date")?.value || DEFAULT_PLANTING_DATE;
+  const plantingCount = parseInt($("planting-count")?.value || "1", 10);
+  const plantingInterval = parseFloat($("planting-interval")?.value || "14"); // days between plantings
+  const ratoonCycles = parseInt($("ratoon-cycles")?.value || "0", 10);
+  const soilType = $("soil-type")?.value || DEFAULT_SOIL_TYPE;
+  const mad = parseFloat($("mad")?.value || "50"); // % of TAW depleted before irrigating
+  const paddyMode = $("paddy-mode")?.value || "off"; // off | continuous | awd (rice only)
+  const landPrepDays = parseFloat($("land-prep-days")?.value || "20");
+  const landPrepMm = parseFloat($("land-prep-depth")?.value || "200"); // mm to saturate and puddle
+  const pondingDepth = parseFloat($("ponding-depth")?.value || "50"); // mm of standing water
+  const paddyPercolation = parseFloat($("paddy-percolation")?.value || "0"); // mm/day, 0 = from the soil
+  const awdDryDays = parseFloat($("awd-dry-days")?.value || "5"); // days without standing water
   const eto = parseFloat($("eto").value || "5");
   const rainfall = parseFloat($("rainfall").value || "0");
+  const effectiveRainMethod = $("effective-rain-method")?.value || "usda";
+  const effectiveRainPercent = parseFloat($("effective-rain-percent")?.value || "80");
+  const rainProbability = parseFloat($("rain-probability")?.value || "80"); // % of years the design rain is exceeded
+  const designBasis = $("design-basis")?.value || "planner"; // planner | peak-month | percentile
+  const designPercentile = parseFloat($("design-percentile")?.value || "95"); // % of crop days covered
   const efficiency = parseFloat($("efficiency")?.value || "80");
+  const irrigationMethod = $("irrigation-method")?.value || "sprinkler"; // drip | micro | sprinkler | surface
+  const emitterModel = $("emitter-model")?.value || ""; // catalogue model, "" = custom outlet flow
+  const wettedFraction = parseFloat($("wetted-fraction")?.value || "0"); // % of ground wetted, 0 = method default
+  const emittersPerTree = parseInt($("emitters-per-tree")?.value || "1", 10);
+  const sprinklerMoves = parseInt($("sprinkler-moves")?.value || "1", 10); // hand-move sets, 1 = solid-set
   const mainDiameter = parseInt($("main-diameter").value || "110", 10);
+  const mainPressureClass = parseFloat($("main-pressure-class")?.value || "8.5"); // PVC class (bar)
+  const submainDiameter = parseInt($("submain-diameter")?.value || "0", 10); // 0 = same as main
+  const submainPressureClass = parseFloat($("submain-pressure-class")?.value || "0"); // 0 = same as main
+  const valveClosureTime = parseFloat($("valve-closure-time")?.value || "5"); // s, zone valve closing time
   const maxLateral = parseInt($("max-lateral").value || "100", 10);
   const hoursPerDay = parseFloat($("hoursPerDay")?.value || "8");
   const spacingX = parseFloat($("spacingX")?.value || "12"); // m spacing between sprinklers (row)
   const spacingY = parseFloat($("spacingY")?.value || "12"); // m spacing between laterals
   const layoutMode = $("layout-mode").value;
+  const networkType = $("network-type")?.value || "branched";
+  const lateralDiameter = parseFloat($("lateral-diameter")?.value || "32");
+  const emitterFlow = parseFloat($("emitter-flow")?.value || "0"); // L/h, 0 = from demand
+  const lateralSlope = parseFloat($("lateral-slope")?.value || "0"); // %, + uphill
+  const uphillLimit = parseFloat($("uphill-limit")?.value || "2"); // %, steepest uphill lateral allowed
+  const flowVariationLimit = parseFloat($("flow-variation-limit")?.value || "10"); // %
+  const sourceCapacity = parseFloat($("source-capacity")?.value || "50"); // m³/h
+  const scheduleStart = $("schedule-start")?.value || "06:00";
+  const staticLift = parseFloat($("static-lift")?.value || "5"); // m, water level to pump outlet
+  const energyTariff = parseFloat($("energy-tariff")?.value || "4.5"); // Baht/kWh
+  const irrigationDays = parseFloat($("irrigation-days")?.value || "180"); // days/year
+  const projectLife = parseFloat($("project-life")?.value || "15"); // years, for life-cycle cost
+  const discountRate = parseFloat($("discount-rate")?.value || "6"); // %/year
+  const pumpModel = $("pump-model")?.value || ""; // "" = recommended
+  const priceListId = $("price-list")?.value || "";
 
   return {
     cropType,
@@ -326,34 +730,172 @@ function getPlannerInputs() {
     kcDevelopment,
     kcMid,
     kcLate,
+    stageInitialDays,
+    stageDevelopmentDays,
+    stageMidDays,
+    stageLateDays,
+    rootDepth,
+    depletionFraction,
+    cropHeight,
+    plantingDate,
+    plantingCount,
+    plantingInterval,
+    ratoonCycles,
+    soilType,
+    mad,
+    paddyMode,
+    landPrepDays,
+    landPrepMm,
+    pondingDepth,
+    paddyPercolation,
+    awdDryDays,
     eto,
     rainfall,
+    effectiveRainMethod,
+    effectiveRainPercent,
+    rainProbability,
+    designBasis,
+    designPercentile,
     efficiency,
+    irrigationMethod,
+    emitterModel,
+    wettedFraction,
+    emittersPerTree,
+    sprinklerMoves,
     mainDiameter,
+    mainPressureClass,
+    submainDiameter,
+    submainPressureClass,
+    valveClosureTime,
     maxLateral,
     hoursPerDay,
     spacingX,
     spacingY,
     layoutMode,
+    networkType,
+    lateralDiameter,
+    emitterFlow,
+    lateralSlope,
+    uphillLimit,
+    flowVariationLimit,
+    sourceCapacity,
+    scheduleStart,
+    staticLift,
+    energyTariff,
+    irrigationDays,
+    projectLife,
+    discountRate,
+    pumpModel,
+    priceListId,
+    boundary: fieldBoundary ? JSON.parse(JSON.stringify(fieldBoundary)) : null,
+  };
+}
+
+// Planner input key -> element id (used to snapshot/restore per project)
+const PLANNER_INPUT_FIELDS = {
+  cropType: "crop-type",
+  areaRai: "area",
+  kc: "kc",
+  kcInitial: "kc-initial",
+  kcDevelopment: "kc-development",
+  kcMid: "kc-mid",
+  kcLate: "kc-late",
+  stageInitialDays: "stage-initial-days",
+  stageDevelopmentDays: "stage-development-days",
+  stageMidDays: "stage-mid-days",
+  stageLateDays: "stage-late-days",
+  rootDepth: "root-depth",
+  depletionFraction: "depletion-fraction",
+  cropHeight: "crop-height",
+  plantingDate: "planting-date",
+  plantingCount: "planting-count",
+  plantingInterval: "planting-interval",
+  ratoonCycles: "ratoon-cycles",
+  soilType: "soil-type",
+  mad: "mad",
+  paddyMode: "paddy-mode",
+  landPrepDays: "land-prep-days",
+  landPrepMm: "land-prep-depth",
+  pondingDepth: "ponding-depth",
+  paddyPercolation: "paddy-percolation",
+  awdDryDays: "awd-dry-days",
+  eto: "eto",
+  rainfall: "rainfall",
+  effectiveRainMethod: "effective-rain-method",
+  effectiveRainPercent: "effective-rain-percent",
+  rainProbability: "rain-probability",
+  designBasis: "design-basis",
+  designPercentile: "design-percentile",
+  efficiency: "efficiency",
+  irrigationMethod: "irrigation-method",
+  emitterModel: "emitter-model",
+  wettedFraction: "wetted-fraction",
+  emittersPerTree: "emitters-per-tree",
+  sprinklerMoves: "sprinkler-moves",
+  mainDiameter: "main-diameter",
+  mainPressureClass: "main-pressure-class",
+  submainDiameter: "submain-diameter",
+  submainPressureClass: "submain-pressure-class",
+  valveClosureTime: "valve-closure-time",
+  maxLateral: "max-lateral",
+  hoursPerDay: "hoursPerDay",
+  spacingX: "spacingX",
+  spacingY: "spacingY",
+  layoutMode: "layout-mode",
+  networkType: "network-type",
+  lateralDiameter: "lateral-diameter",
+  emitterFlow: "emitter-flow",
+  lateralSlope: "lateral-slope",
+  uphillLimit: "uphill-limit",
+  flowVariationLimit: "flow-variation-limit",
+  sourceCapacity: "source-capacity",
+  scheduleStart: "schedule-start",
+  staticLift: "static-lift",
+  energyTariff: "energy-tariff",
+  irrigationDays: "irrigation-days",
+  projectLife: "project-life",
+  discountRate: "discount-rate",
+  pumpModel: "pump-model",
+  priceListId: "price-list",
+};
+
+// Write a saved input snapshot back into the planner fields
+function applyPlannerInputs(inputs) {
+  if (!inputs) return;
+  Object.entries(PLANNER_INPUT_FIELDS).forEach(([key, id]) => {
+    const el = $(id);
+    if (!el || inputs[key] === undefined || inputs[key] === null) return;
+    el.value = inputs[key];
+  });
+  if (inputs.areaRai !== undefined) {
+    $("area-value").value = inputs.areaRai;
+  }
+}
+
+// Stage lengths (whole days) from the planner inputs
+function getStageDays(inputs) {
+  const days = (value, fallback) => Math.max(0, Math.round(value ?? fallback) || 0);
+  return {
+    initial: days(inputs.stageInitialDays, LEGACY_STAGE_DAYS.initial),
+    development: days(inputs.stageDevelopmentDays, LEGACY_STAGE_DAYS.development),
+    mid: days(inputs.stageMidDays, LEGACY_STAGE_DAYS.mid),
+    late: days(inputs.stageLateDays, LEGACY_STAGE_DAYS.late),
   };
 }
 
-// Weighted seasonal Kc using four stages (default durations mirror FAO tables)
+// Seasonal Kc = mean of the daily FAO-56 Kc curve over one growing cycle
 function computeSeasonalKc(inputs) {
-  const stageDays = DEFAULT_STAGE_DAYS;
-  const totalDays = stageDays.initial + stageDays.development + stageDays.mid + stageDays.late;
-  const weightedKc =
-    (inputs.kcInitial * stageDays.initial +
-      inputs.kcDevelopment * stageDays.development +
-      inputs.kcMid * stageDays.mid +
-      inputs.kcLate * stageDays.late) /
-    totalDays;
-  return weightedKc || inputs.kc || 1.0;
-}
-
-// FAO56/USDA-SCS effective rainfall (mm/day equivalent; using daily input directly)
-function calculateEffectiveRainFAO56(rainfallMm) {
-  const P = Math.max(0, rainfallMm);
+  const curve = buildKcCurve(inputs);
+  const meanKc = curve.length ? curve.reduce((a, b) => a + b, 0) / curve.length : 0;
+  return meanKc || inputs.kc || 1.0;
+}
+
+const AVERAGE_MONTH_DAYS = 30.4;
+
+// USDA-SCS effective rainfall as simplified in FAO CROPWAT; P and Pe are
+// monthly totals (mm/month) – the formula is not meant for daily values
+function calculateEffectiveRainFAO56(monthlyRainMm) {
+  const P = Math.max(0, monthlyRainMm);
   let Pe = 0;
   if (P <= 250) {
     Pe = (P * (125 - 0.2 * P)) / 125;
@@ -363,635 +905,7473 @@ function calculateEffectiveRainFAO56(rainfallMm) {
   return Math.max(0, Pe);
 }
 
-// Layout estimation for main + laterals from area and spacing
-function calculateLayoutLengths(areaM2, spacingY, layoutMode) {
-  const fieldSide = Math.sqrt(Math.max(1, areaM2)); // assume square
-  const lateralSpacing = Math.max(0.5, spacingY || 12);
-  const lateralCount = Math.max(1, Math.ceil(fieldSide / lateralSpacing));
-  const baseLateralLength = fieldSide * lateralCount;
-  const baseMainLength = fieldSide;
+// Monthly effective rainfall (mm/month) by the chosen method
+function effectiveRainMonthly(monthlyRainMm, inputs) {
+  const P = Math.max(0, monthlyRainMm || 0);
+  switch (inputs.effectiveRainMethod) {
+    case "fixed":
+      return (P * Math.min(100, Math.max(0, inputs.effectiveRainPercent ?? 80))) / 100;
+    case "dependable": // FAO/AGLW dependable-rain formula
+      return Math.max(0, P <= 70 ? 0.6 * P - 10 : 0.8 * P - 24);
+    case "none":
+      return 0;
+    default:
+      return calculateEffectiveRainFAO56(P);
+  }
+}
 
-  // Simple layout-mode tweak: AI assumed 10% more efficient, heuristic adds 5% allowance
-  const factor = layoutMode === "ai" ? 0.9 : 1.05;
-  const mainLength = baseMainLength * factor;
-  const lateralLength = baseLateralLength * factor;
+// Effective rain (mm/day) for a mean daily rainfall: converted to the month's
+// total first, so the monthly formulas see the depths they were fitted to
+function effectiveRainPerDay(rainMmPerDay, inputs, days = AVERAGE_MONTH_DAYS) {
+  return effectiveRainMonthly((rainMmPerDay || 0) * days, inputs) / days;
+}
 
-  return {
-    fieldSide,
-    lateralCount,
-    avgLateralLength: fieldSide,
-    mainLength: Math.max(10, Math.round(mainLength)),
-    lateralLength: Math.max(10, Math.round(lateralLength)),
-    totalPipeLength: Math.max(20, Math.round(mainLength + lateralLength)),
+// -------------------------
+// CROP LIBRARY (FAO-56 Kc, stage lengths, root depth)
+// -------------------------
+
+const CROP_LIBRARY_LS_KEY = "irrigation-crop-library";
+
+// FAO-56 Table 12 (Kc ini/mid/end), Table 11 (stage lengths, days, tropical
+// planting dates) and Table 22 (max root depth m, depletion fraction p, height m)
+const DEFAULT_CROP_LIBRARY = [
+  {
+    name: "Sugarcane",
+    kcIni: 0.4,
+    kcMid: 1.25,
+    kcEnd: 0.75,
+    stages: { initial: 35, development: 60, mid: 190, late: 120 },
+    ratoonStages: { initial: 25, development: 70, mid: 135, late: 50 },
+    rootDepth: 1.5,
+    p: 0.65,
+    maxHeight: 3,
+  },
+  {
+    name: "Rice",
+    kcIni: 1.05,
+    kcMid: 1.2,
+    kcEnd: 0.75,
+    stages: { initial: 30, development: 30, mid: 60, late: 30 },
+    rootDepth: 0.5,
+    p: 0.2,
+    maxHeight: 1,
+  },
+  {
+    name: "Corn",
+    kcIni: 0.3,
+    kcMid: 1.2,
+    kcEnd: 0.35,
+    stages: { initial: 25, development: 40, mid: 45, late: 30 },
+    rootDepth: 1.0,
+    p: 0.55,
+    maxHeight: 2,
+  },
+  {
+    name: "Vegetables",
+    kcIni: 0.7,
+    kcMid: 1.05,
+    kcEnd: 0.95,
+    stages: { initial: 20, development: 30, mid: 30, late: 15 },
+    rootDepth: 0.4,
+    p: 0.4,
+    maxHeight: 0.3,
+  },
+  {
+    name: "Orchards",
+    kcIni: 0.7,
+    kcMid: 0.65,
+    kcEnd: 0.7,
+    stages: { initial: 60, development: 90, mid: 120, late: 95 },
+    rootDepth: 1.2,
+    p: 0.5,
+    maxHeight: 4,
+  },
+  {
+    name: "Pasture",
+    kcIni: 0.4,
+    kcMid: 0.95,
+    kcEnd: 0.85,
+    stages: { initial: 10, development: 20, mid: 300, late: 35 },
+    rootDepth: 0.8,
+    p: 0.6,
+    maxHeight: 0.3,
+  },
+  {
+    name: "Cassava",
+    kcIni: 0.3,
+    kcMid: 0.8,
+    kcEnd: 0.3,
+    stages: { initial: 20, development: 40, mid: 90, late: 60 },
+    rootDepth: 0.7,
+    p: 0.35,
+    maxHeight: 1,
+  },
+  {
+    name: "Soybean",
+    kcIni: 0.4,
+    kcMid: 1.15,
+    kcEnd: 0.5,
+    stages: { initial: 15, development: 15, mid: 40, late: 15 },
+    rootDepth: 1.0,
+    p: 0.5,
+    maxHeight: 0.75,
+  },
+  {
+    name: "Groundnut",
+    kcIni: 0.4,
+    kcMid: 1.15,
+    kcEnd: 0.6,
+    stages: { initial: 25, development: 35, mid: 45, late: 25 },
+    rootDepth: 0.75,
+    p: 0.5,
+    maxHeight: 0.4,
+  },
+];
+
+// Stage lengths used before the crop library (kept for migrated projects)
+const LEGACY_STAGE_DAYS = { initial: 20, development: 30, mid: 40, late: 30 };
+
+// Pre-library inputs held one flat Kc for the whole late stage. Kc now falls
+// linearly from mid to end over that stage, so the end value that keeps the
+// same late-stage mean is 2 × late − mid. The old value stays as kcLateStage.
+function migrateLegacyCropInputs(inputs) {
+  const migrated = {
+    stageInitialDays: LEGACY_STAGE_DAYS.initial,
+    stageDevelopmentDays: LEGACY_STAGE_DAYS.development,
+    stageMidDays: LEGACY_STAGE_DAYS.mid,
+    stageLateDays: LEGACY_STAGE_DAYS.late,
+    ...inputs,
   };
+  const late = parseFloat(inputs.kcLate);
+  const mid = parseFloat(inputs.kcMid);
+  if (Number.isFinite(late) && Number.isFinite(mid) && inputs.kcLateStage == null) {
+    migrated.kcLateStage = late;
+    migrated.kcLate = +Math.max(0, 2 * late - mid).toFixed(2);
+  }
+  return migrated;
 }
 
-// Hazen–Williams hydraulic helper (returns head-loss %, velocity, total head)
-function calculateHydraulics(flowM3s, totalPipeLength, mainDiameterMm, lateralLength, operatingHead = 30) {
-  const diameterM = (mainDiameterMm || 110) / 1000; // m
-  const length = Math.max(1, totalPipeLength || 100); // m
-  const C = 150; // smooth PVC
+function loadCustomCrops() {
+  try {
+    const stored = JSON.parse(localStorage.getItem(CROP_LIBRARY_LS_KEY) || "[]");
+    return Array.isArray(stored) ? stored.map((c) => ({ ...c, custom: true })) : [];
+  } catch (err) {
+    console.warn("Could not read custom crops", err);
+    return [];
+  }
+}
 
-  const hf =
-    (10.67 * Math.pow(flowM3s, 1.852) * length) /
-    (Math.pow(C, 1.852) * Math.pow(diameterM, 4.871)); // m
+function saveCustomCrops() {
+  try {
+    localStorage.setItem(CROP_LIBRARY_LS_KEY, JSON.stringify(cropLibrary.filter((c) => c.custom)));
+  } catch (err) {
+    console.warn("Could not save custom crops", err);
+  }
+}
 
-  const headLossPercent = (hf / operatingHead) * 100;
-  const lateralHeadLossPercent =
-    ((hf * (lateralLength || length) / length) / operatingHead) * 100;
-  const area = Math.PI * Math.pow(diameterM, 2) * 0.25;
-  const velocity = area > 0 ? flowM3s / area : 0;
+function findCrop(name) {
+  return cropLibrary.find((c) => c.name === name) || null;
+}
 
+// Planner input values for a crop. FAO-56 interpolates Kc linearly through the
+// development and late stages, so those fields hold the stage means.
+function cropStageInputs(crop) {
   return {
-    hf,
-    headLossPercent: Math.max(0, Math.min(100, +headLossPercent.toFixed(2))),
-    lateralHeadLossPercent: Math.max(0, Math.min(100, +lateralHeadLossPercent.toFixed(2))),
-    velocity: +velocity.toFixed(3),
-    withinLimit: headLossPercent <= 5 && lateralHeadLossPercent <= 5,
-    totalHead: operatingHead + hf,
+    kcInitial: crop.kcIni,
+    kcDevelopment: +((crop.kcIni + crop.kcMid) / 2).toFixed(2),
+    kcMid: crop.kcMid,
+    kcLate: crop.kcEnd,
+    stageInitialDays: crop.stages.initial,
+    stageDevelopmentDays: crop.stages.development,
+    stageMidDays: crop.stages.mid,
+    stageLateDays: crop.stages.late,
+    rootDepth: crop.rootDepth,
+    depletionFraction: crop.p,
+    cropHeight: crop.maxHeight,
   };
 }
 
-function calculatePumpPowerHP(flowLps, totalHead, pumpEfficiency = 0.65) {
-  // pumpPower = (Q (L/s) × head (m)) / (eff × 75)
-  const hp = (flowLps * totalHead) / (pumpEfficiency * 75);
-  return {
-    hp: +hp.toFixed(2),
-    kw: +((hp || 0) * 0.746).toFixed(2),
-  };
+function populateCropSelects() {
+  const builtIn = cropLibrary.filter((c) => !c.custom);
+  const custom = cropLibrary.filter((c) => c.custom);
+  const options = (list) => list.map((c) => `<option value="${c.name}">${c.name}</option>`).join("");
+  const html =
+    `<optgroup label="FAO-56">${options(builtIn)}</optgroup>` +
+    (custom.length ? `<optgroup label="Custom varieties">${options(custom)}</optgroup>` : "");
+
+  ["crop-type", "project-crop-input"].forEach((id) => {
+    const select = $(id);
+    if (!select) return;
+    const current = select.value;
+    select.innerHTML = html;
+    select.value = findCrop(current) ? current : builtIn[0]?.name || "";
+  });
+  updateCropLibraryInfo();
 }
 
-// ✅ FAO-56 style water demand (input Rai → m²) with multi-stage Kc and effective rainfall
-function calculateWaterDemandLperDay(inputs) {
-  const areaRai = parseFloat(inputs.areaRai) || 0;
-  const areaM2 = areaRai * 1600; // 1 Rai = 1,600 m²
-  const seasonalKc = computeSeasonalKc(inputs);
-  const etc = inputs.eto * seasonalKc; // mm/day
-  const effectiveRain = calculateEffectiveRainFAO56(inputs.rainfall); // mm/day
-  const netIrrigation = Math.max(0, etc - effectiveRain); // NIR (mm/day)
-  const efficiency = Math.max(0.01, (parseFloat(inputs.efficiency) || 80) / 100);
-  const appliedDepth = netIrrigation / efficiency; // GIR (mm/day applied)
+function updateCropLibraryInfo() {
+  const crop = findCrop($("crop-type")?.value);
+  const info = $("crop-library-info");
+  if (info && crop) {
+    const season = crop.stages.initial + crop.stages.development + crop.stages.mid + crop.stages.late;
+    const source = crop.custom
+      ? `Custom variety${crop.baseCrop ? ` of ${crop.baseCrop}` : ""}`
+      : "FAO-56 Tables 11, 12 & 22";
+    info.textContent = `${source} · ${season}-day season`;
+  }
+  const deleteBtn = $("delete-crop-btn");
+  if (deleteBtn) deleteBtn.disabled = !crop?.custom;
+}
 
-  // 1 mm over 1 m² = 1 liter
-  const waterDemand = appliedDepth * areaM2; // L/day
+// Fill the stage inputs from the selected crop, then recalculate
+function onCropTypeChanged() {
+  const crop = findCrop($("crop-type").value);
+  if (crop) applyPlannerInputs(cropStageInputs(crop));
+  updateCropLibraryInfo();
+  onRecalculate();
+}
 
-  // Example check for 10 Rai:
-  // areaRai = 10, Kc = 0.3, ETo = 5, rainfall = 0
-  // ETc = 1.5 mm/day → netIrrigation = 1.5
-  // With efficiency = 80% (0.8):
-  // appliedDepth = 1.5 / 0.8 = 1.875 mm/day
-  // areaM2 = 10 * 1600 = 16,000 m²
-  // waterDemand = 1.875 * 16,000 = 30,000 L/day
-  return {
-    areaM2,
-    seasonalKc,
-    etc,
-    effectiveRain,
-    netIrrigation,
-    efficiency,
-    appliedDepth,
-    waterDemandLday: waterDemand,
+// Save the current stage inputs as a custom (local) variety
+function saveCustomCrop() {
+  const inputs = getPlannerInputs();
+  const suggested = `${inputs.cropType} (local)`;
+  const name = (prompt("Name of the variety (e.g. Sugarcane KK3, ratoon):", suggested) || "").trim();
+  if (!name) return;
+  const existing = findCrop(name);
+  if (existing && !existing.custom) {
+    alert("A FAO-56 crop already uses that name; choose another one.");
+    return;
+  }
+
+  const current = findCrop(inputs.cropType);
+  const crop = {
+    name,
+    baseCrop: current?.baseCrop || inputs.cropType,
+    kcIni: inputs.kcInitial,
+    kcMid: inputs.kcMid,
+    kcEnd: inputs.kcLate,
+    stages: {
+      initial: inputs.stageInitialDays,
+      development: inputs.stageDevelopmentDays,
+      mid: inputs.stageMidDays,
+      late: inputs.stageLateDays,
+    },
+    rootDepth: inputs.rootDepth,
+    p: inputs.depletionFraction,
+    maxHeight: inputs.cropHeight,
+    ...(current?.ratoonStages ? { ratoonStages: current.ratoonStages } : {}),
+    custom: true,
   };
+  cropLibrary = [...cropLibrary.filter((c) => c.name !== name), crop];
+  saveCustomCrops();
+  populateCropSelects();
+  $("crop-type").value = name;
+  updateCropLibraryInfo();
+  onRecalculate();
 }
 
-// ✅ Pipe length (approx.) – now based on spacing/layout and area
-function calculatePipeLengthFromArea(inputs) {
-  const areaM2 = (parseFloat(inputs.areaRai) || 0) * 1600;
-  const layout = calculateLayoutLengths(areaM2, inputs.spacingY, inputs.layoutMode);
-  return layout.totalPipeLength;
+function deleteCustomCrop() {
+  const crop = findCrop($("crop-type").value);
+  if (!crop?.custom || !confirm(`Delete the custom variety "${crop.name}"?`)) return;
+  cropLibrary = cropLibrary.filter((c) => c !== crop);
+  saveCustomCrops();
+  populateCropSelects();
+  $("crop-type").value = crop.baseCrop && findCrop(crop.baseCrop) ? crop.baseCrop : cropLibrary[0].name;
+  onCropTypeChanged();
 }
 
-// ✅ Wrapper to keep legacy signature, but uses new hydraulic model
-function calculateHeadLossPercent(waterDemandLday, pipeLength, mainDiameterMm, hoursPerDayOverride, lateralLengthOverride) {
-  const hoursPerDay = parseFloat(
-    hoursPerDayOverride ?? $("hoursPerDay")?.value ?? "24"
-  );
-  const secondsPerDay = Math.max(1, hoursPerDay) * 3600;
-  const flowRateLps = waterDemandLday / secondsPerDay; // L/s based on operation hours
-  const hydraulics = calculateHydraulics(
-    flowRateLps / 1000,
-    pipeLength,
-    mainDiameterMm,
-    lateralLengthOverride || pipeLength * 0.6
-  );
-  return hydraulics.headLossPercent;
+function initCropLibrary() {
+  cropLibrary = [...DEFAULT_CROP_LIBRARY, ...loadCustomCrops()];
+  populateCropSelects();
+  applyPlannerInputs(cropStageInputs(findCrop($("crop-type")?.value) || cropLibrary[0]));
+
+  $("crop-type")?.addEventListener("change", onCropTypeChanged);
+  $("save-crop-btn")?.addEventListener("click", saveCustomCrop);
+  $("delete-crop-btn")?.addEventListener("click", deleteCustomCrop);
 }
 
-// ✅ Max lateral length (friction limit ~5%) using Hazen–Williams on an assumed lateral share of total flow
-function calculateMaxLateralLengthFromDemand(waterDemandLday, mainDiameterMm, userMaxLateral) {
-  const diameter = parseFloat(mainDiameterMm || 110);
-  const maxLateralSetting = parseFloat(userMaxLateral || 100);
-  const hoursPerDay = parseFloat($("hoursPerDay")?.value || "24");
+// -------------------------
+// CROP CALENDAR (daily Kc curve, plantings & ratoons)
+// -------------------------
 
-  const flowTotalLps = waterDemandLday / (Math.max(1, hoursPerDay) * 3600);
-  const flowPerLateralLps = flowTotalLps / 10; // assume 10 laterals
-  const flowRate = flowPerLateralLps / 1000; // m³/s
+const DAY_MS = 86400000;
+const DEFAULT_PLANTING_DATE = "2025-11-01";
 
-  const diameterM = diameter / 1000;
-  const C = 150;
-  const maxHeadLoss = 0.05 * 30; // 5% of 30 m
+// "YYYY-MM-DD" as a UTC date, so stepping by whole days never drifts
+function parseIsoDate(value) {
+  const m = /^(\d{4})-(\d{2})-(\d{2})$/.exec(value || "");
+  return m ? new Date(Date.UTC(+m[1], +m[2] - 1, +m[3])) : null;
+}
 
-  const maxLength =
-    (maxHeadLoss * Math.pow(C, 1.852) * Math.pow(diameterM, 4.871)) /
-    (10.67 * Math.pow(flowRate, 1.852));
+function formatIsoDate(date) {
+  return date.toISOString().slice(0, 10);
+}
 
-  return Math.min(maxLateralSetting, Math.max(20, +maxLength.toFixed(1)));
+// FAO-56 Eq. 66: Kc is flat through the initial and mid stages and changes
+// linearly through development (ini → mid) and the late season (mid → end).
+// A development Kc off the straight line is passed through at mid-stage.
+function kcOnDay(day, stages, kc) {
+  const n = day + 1; // FAO-56 counts days from 1
+  const devStart = stages.initial;
+  const midStart = devStart + stages.development;
+  const lateStart = midStart + stages.mid;
+  if (n <= devStart) return kc.ini;
+  if (n <= midStart) {
+    const f = (n - devStart) / stages.development;
+    return f <= 0.5 ? kc.ini + (kc.dev - kc.ini) * f * 2 : kc.dev + (kc.mid - kc.dev) * (f - 0.5) * 2;
+  }
+  if (n <= lateStart) return kc.mid;
+  return kc.mid + ((kc.end - kc.mid) * (n - lateStart)) / stages.late;
 }
 
-// Full design pipeline for Planner page
-function buildDesignFromInputs(inputs) {
-  const demand = calculateWaterDemandLperDay(inputs);
-  const secondsPerDay = Math.max(1, inputs.hoursPerDay || 24) * 3600;
-  const flowLps = demand.waterDemandLday / secondsPerDay;
-  const flowM3s = flowLps / 1000;
+// Daily Kc of one growing cycle (index 0 = planting day)
+function buildKcCurve(inputs, stages = getStageDays(inputs)) {
+  const kc = { ini: inputs.kcInitial, dev: inputs.kcDevelopment, mid: inputs.kcMid, end: inputs.kcLate };
+  const length = stages.initial + stages.development + stages.mid + stages.late;
+  return Array.from({ length }, (_, day) => kcOnDay(day, stages, kc));
+}
 
-  const spacingX = Math.max(0.5, inputs.spacingX || 12);
-  const spacingY = Math.max(0.5, inputs.spacingY || 12);
-  const sprinklerCount = Math.max(1, Math.ceil(demand.areaM2 / (spacingX * spacingY)));
+// Growing cycles of the programme: staggered plantings share the area equally,
+// and each is followed by its ratoon crops (restarting at harvest)
+function buildCroppingCalendar(inputs) {
+  const firstPlanting = parseIsoDate(inputs.plantingDate) || parseIsoDate(DEFAULT_PLANTING_DATE);
+  const plantings = Math.max(1, Math.round(inputs.plantingCount) || 1);
+  const interval = Math.max(0, Math.round(inputs.plantingInterval) || 0);
+  const ratoons = Math.max(0, Math.round(inputs.ratoonCycles) || 0);
+  const plantStages = getStageDays(inputs);
+  const ratoonStages = findCrop(inputs.cropType)?.ratoonStages || plantStages;
+
+  const cycles = [];
+  for (let p = 0; p < plantings; p++) {
+    let start = new Date(firstPlanting.getTime() + p * interval * DAY_MS);
+    for (let r = 0; r <= ratoons; r++) {
+      const stages = r === 0 ? plantStages : ratoonStages;
+      const kcCurve = buildKcCurve(inputs, stages);
+      const harvest = new Date(start.getTime() + kcCurve.length * DAY_MS);
+      cycles.push({
+        label: `${plantings > 1 ? `Planting ${p + 1}` : "Plant crop"}${r ? `, ratoon ${r}` : ""}`,
+        planting: p,
+        ratoon: r,
+        stages,
+        start,
+        harvest,
+        areaShare: 1 / plantings,
+        kcCurve,
+        netMm: 0,
+      });
+      start = harvest;
+    }
+  }
+  return cycles;
+}
 
-  const layout = calculateLayoutLengths(demand.areaM2, spacingY, inputs.layoutMode);
-  const hydraulics = calculateHydraulics(
-    flowM3s,
-    layout.totalPipeLength,
-    inputs.mainDiameter,
-    layout.lateralLength
-  );
+// Integrate the daily Kc curve over the cropping programme. ETo and (effective)
+// rain are per calendar month in mm/day; results are binned per month of the
+// programme, which may run over several years with ratoons.
+function simulateCropDemand(inputs, monthlyEto, monthlyRain) {
+  const cycles = buildCroppingCalendar(inputs);
+  const areaM2 = (parseFloat(inputs.areaRai) || 0) * 1600; // 1 Rai = 1,600 m²
+  const start = Math.min(...cycles.map((c) => c.start.getTime()));
+  const end = Math.max(...cycles.map((c) => c.harvest.getTime()));
+
+  const days = [];
+  const months = [];
+  for (let time = start; time < end; time += DAY_MS) {
+    const date = new Date(time);
+    const month = date.getUTCMonth();
+    const eto = monthlyEto[month] || 0;
+    const rain = monthlyRain[month] || 0;
+
+    let kc = 0;
+    let netMm = 0; // over the whole field
+    cycles.forEach((cycle) => {
+      const day = Math.round((time - cycle.start.getTime()) / DAY_MS);
+      if (day < 0 || day >= cycle.kcCurve.length) return;
+      const cycleNet = Math.max(0, cycle.kcCurve[day] * eto - rain);
+      cycle.netMm += cycleNet;
+      kc += cycle.kcCurve[day] * cycle.areaShare;
+      netMm += cycleNet * cycle.areaShare;
+    });
+    days.push({ date: formatIsoDate(date), kc, etc: kc * eto, netMm });
 
-  const pumpPower = calculatePumpPowerHP(flowLps, hydraulics.totalHead);
-  const valves = Math.max(1, Math.ceil(sprinklerCount / 100));
+    let bin = months[months.length - 1];
+    if (!bin || bin.month !== month) {
+      bin = { label: `${MONTH_NAMES[month]} ${date.getUTCFullYear()}`, month, days: 0, kcSum: 0, netMm: 0 };
+      months.push(bin);
+    }
+    bin.days += 1;
+    bin.kcSum += kc;
+    bin.netMm += netMm;
+  }
 
+  const monthly = months.map(({ label, month, days: n, kcSum, netMm }) => ({
+    label,
+    month,
+    days: n,
+    meanKc: kcSum / n,
+    netMm,
+    demandL: Math.round(netMm * areaM2), // 1 mm over 1 m² = 1 L
+  }));
   return {
-    ...demand,
-    flowLps,
-    flowM3s,
-    spacingX,
-    spacingY,
-    sprinklerCount,
-    valves,
-    ...layout,
-    headLossPercent: hydraulics.headLossPercent,
-    lateralHeadLossPercent: hydraulics.lateralHeadLossPercent,
-    velocity: hydraulics.velocity,
-    totalHead: hydraulics.totalHead,
-    hydraulics,
-    pumpPowerHp: pumpPower.hp,
-    pumpPowerKw: pumpPower.kw,
+    cycles: cycles.map(({ label, start: s, harvest, areaShare, kcCurve, netMm }) => ({
+      label,
+      start: formatIsoDate(s),
+      harvest: formatIsoDate(harvest),
+      days: kcCurve.length,
+      areaShare,
+      seasonalKc: kcCurve.reduce((a, b) => a + b, 0) / (kcCurve.length || 1),
+      netMm,
+      demandL: Math.round(netMm * areaShare * areaM2),
+    })),
+    days,
+    monthly,
+    totalDemandL: monthly.reduce((sum, m) => sum + m.demandL, 0),
   };
 }
 
-function initPlannerInputs() {
-  const areaRange = $("area");
-  const areaValue = $("area-value");
+// -------------------------
+// SOIL WATER BALANCE (FAO-56 chapter 8, irrigation calendar)
+// -------------------------
 
-  areaRange.addEventListener("input", () => {
-    areaValue.value = areaRange.value;
-  });
+// FAO-56 Table 19 (mid-range θFC / θWP, m³/m³), the USDA-SCS curve number
+// of cultivated land in good condition for the soil's hydrologic group, the
+// basic intake rate (mm/h, FAO Irrigation Water Management manual 4) and the
+// seepage and percolation of the soil puddled for paddy (mm/day, FAO CROPWAT)
+const SOIL_TYPES = {
+  Sand: { thetaFC: 0.12, thetaWP: 0.045, curveNumber: 67, infiltrationMmH: 30, percolationMmDay: 8 },
+  "Loamy sand": { thetaFC: 0.15, thetaWP: 0.065, curveNumber: 67, infiltrationMmH: 25, percolationMmDay: 6 },
+  "Sandy loam": { thetaFC: 0.23, thetaWP: 0.11, curveNumber: 72, infiltrationMmH: 20, percolationMmDay: 5 },
+  Loam: { thetaFC: 0.25, thetaWP: 0.12, curveNumber: 78, infiltrationMmH: 13, percolationMmDay: 4 },
+  "Silt loam": { thetaFC: 0.29, thetaWP: 0.15, curveNumber: 78, infiltrationMmH: 10, percolationMmDay: 3 },
+  "Clay loam": { thetaFC: 0.335, thetaWP: 0.205, curveNumber: 85, infiltrationMmH: 8, percolationMmDay: 2.5 },
+  "Silty clay": { thetaFC: 0.36, thetaWP: 0.23, curveNumber: 89, infiltrationMmH: 5, percolationMmDay: 1.5 },
+  Clay: { thetaFC: 0.36, thetaWP: 0.22, curveNumber: 89, infiltrationMmH: 4, percolationMmDay: 1 },
+};
+const DEFAULT_SOIL_TYPE = "Loam";
+const MIN_ROOT_DEPTH_M = 0.2; // root depth at planting (FAO-56: 0.15–0.20 m)
+const RAIN_DAY_MM = 12; // mean depth of a rain day (Thai stations: ~1,500 mm on ~120 days a year)
 
-  areaValue.addEventListener("input", () => {
-    let v = parseFloat(areaValue.value) || 1;
-    if (v < 1) v = 1;
-    if (v > 100) v = 100;
-    areaValue.value = v;
-    areaRange.value = v;
-  });
+function getSoilType(name) {
+  return SOIL_TYPES[name] || SOIL_TYPES[DEFAULT_SOIL_TYPE];
+}
 
-  $("refresh-satellite").addEventListener("click", fillFakeSatelliteData);
-  $("calculate-demand").addEventListener("click", onRecalculate);
-  $("generate-layout").addEventListener("click", onGenerateLayout);
-  $("validate-hydraulics").addEventListener("click", onValidateHydraulics);
-  $("show-bom").addEventListener("click", onShowBOM);
-  $("finalize-design").addEventListener("click", onFinalizeDesign);
+// Soil for the calculations: the chosen texture, or the area-weighted soil of
+// the project's soil map over the field (see soilZonalStats)
+function resolveSoil(inputs) {
+  if (inputs.soilType === SOIL_MAP_VALUE) {
+    const soilMap = getFieldData("soilMap");
+    const stats = soilMap ? getSoilZonalStats(soilMap, getLayoutFieldBoundary(inputs)) : null;
+    if (stats?.soil) return { name: stats.label, soil: stats.soil, mapped: true };
+    return { name: `${DEFAULT_SOIL_TYPE} (no soil map over the field)`, soil: getSoilType(DEFAULT_SOIL_TYPE), mapped: false };
+  }
+  const name = SOIL_TYPES[inputs.soilType] ? inputs.soilType : DEFAULT_SOIL_TYPE;
+  return { name, soil: getSoilType(name), mapped: false };
+}
 
-  // Trigger recalculation when key planner fields change (including new efficiency/hours inputs)
-  [
-    "crop-type",
-    "area",
-    "area-value",
-    "kc",
-    "kc-initial",
-    "kc-development",
-    "kc-mid",
-    "kc-late",
-    "eto",
-    "rainfall",
-    "efficiency",
-    "main-diameter",
-    "max-lateral",
-    "hoursPerDay",
-    "spacingX",
-    "spacingY",
-    "layout-mode",
-  ].forEach((id) => {
-    const el = $(id);
-    if (el) el.addEventListener("input", onRecalculate);
-  });
+// Total available water per metre of root zone, mm/m (FAO-56 Eq. 82)
+function soilAvailableWater(soil) {
+  return 1000 * (soil.thetaFC - soil.thetaWP);
 }
 
-function fillFakeSatelliteData() {
-  const ndvi = (0.3 + Math.random() * 0.5).toFixed(2);
-  const slopeOptions = ["Flat", "Gentle", "Moderate", "Steep"];
-  const soilOptions = ["Sandy loam", "Loam", "Clay loam", "Clay"];
+// USDA-SCS curve-number runoff (mm) from a day's rain (mm)
+function curveNumberRunoff(rainMm, curveNumber) {
+  const s = 25400 / curveNumber - 254;
+  return rainMm > 0.2 * s ? (rainMm - 0.2 * s) ** 2 / (rainMm + 0.8 * s) : 0;
+}
+
+// Rain (mm) on one day of a month with the given mean (mm/day). The month's total
+// falls on rain days of RAIN_DAY_MM on average, spread evenly through it, with
+// depths at the quantiles of an exponential distribution (large storms between
+// small ones), so runoff sees storm-sized depths rather than a daily drizzle.
+function rainOnDay(date, meanMmDay) {
+  const days = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + 1, 0)).getUTCDate();
+  const total = meanMmDay * days;
+  if (!(total > 0)) return 0;
+  const rainDays = Math.min(days, Math.max(1, Math.round(total / RAIN_DAY_MM)));
+  const day = date.getUTCDate() - 1;
+  const slot = Math.floor((day * rainDays) / days);
+  if (Math.floor(((day + 1) * rainDays) / days) === slot) return 0;
+  const weight = (i) => -Math.log(1 - (i + 0.5) / rainDays);
+  let sum = 0;
+  for (let i = 0; i < rainDays; i++) sum += weight(i);
+  const rank = slot % 2 ? (slot - 1) / 2 : rainDays - 1 - slot / 2;
+  return (total * weight(rank)) / sum;
+}
+
+// Roots grow linearly from planting to full cover (start of mid-season);
+// ratoon crops regrow from an established root system
+function rootDepthOnDay(day, cycle, rootMax) {
+  if (cycle.ratoon > 0) return rootMax;
+  const growthDays = cycle.stages.initial + cycle.stages.development;
+  const f = growthDays > 0 ? Math.min(1, (day + 1) / growthDays) : 1;
+  return MIN_ROOT_DEPTH_M + (rootMax - MIN_ROOT_DEPTH_M) * f;
+}
+
+// Zones serving each planting block: blocks take consecutive equal shares of
+// the field and zones cover it in order, so a zone can be split between blocks
+function assignZonesToPlantings(zones, plantings) {
+  const totalArea = zones.reduce((sum, z) => sum + z.areaM2, 0) || 1;
+  let from = 0;
+  const spans = zones.map((zone) => {
+    const span = { zone, from, to: from + zone.areaM2 / totalArea };
+    from = span.to;
+    return span;
+  });
+  return Array.from({ length: plantings }, (_, p) => {
+    const lo = p / plantings;
+    const hi = (p + 1) / plantings;
+    return spans
+      .map((s) => ({ zone: s.zone, fraction: Math.max(0, Math.min(s.to, hi) - Math.max(s.from, lo)) / (s.to - s.from) }))
+      .filter((s) => s.fraction > 1e-6);
+  });
+}
+
+// Daily root-zone depletion per planting block (FAO-56 Eq. 85). Irrigation
+// refills the root zone to field capacity whenever depletion reaches the
+// management allowed depletion (MAD) of TAW; crops are stressed (Ks < 1) once
+// depletion passes RAW. Climate comes from the 12-month table and the soil
+// starts at field capacity.
+function simulateSoilWaterBalance(inputs, monthlyEto, monthlyRain, design) {
+  const { name: soilType, soil } = resolveSoil(inputs);
+  const availableWater = soilAvailableWater(soil);
+  const mad = Math.min(0.95, Math.max(0.05, (inputs.mad || 50) / 100));
+  const pTable = inputs.depletionFraction || 0.5;
+  const rootMax = Math.max(MIN_ROOT_DEPTH_M, inputs.rootDepth || 1);
+  const efficiency = Math.max(0.01, (parseFloat(inputs.efficiency) || 80) / 100);
+  const areaM2 = (parseFloat(inputs.areaRai) || 0) * 1600;
+  const hoursPerDay = Math.max(1, inputs.hoursPerDay || 24);
+
+  const cycles = buildCroppingCalendar(inputs);
+  const plantings = Math.max(...cycles.map((c) => c.planting)) + 1;
+  const blockZones = assignZonesToPlantings(design?.zones || [], plantings);
+
+  // field-average depths (mm)
+  const totals = { rain: 0, runoff: 0, deepPercolation: 0, etc: 0, eta: 0, net: 0, gross: 0, stressDays: 0 };
+  const events = [];
+  const series = []; // first planting block, for the depletion chart
+
+  for (let p = 0; p < plantings; p++) {
+    const share = 1 / plantings;
+    let depletion = 0;
+    cycles
+      .filter((c) => c.planting === p)
+      .forEach((cycle) => {
+        cycle.kcCurve.forEach((kc, day) => {
+          const date = new Date(cycle.start.getTime() + day * DAY_MS);
+          const month = date.getUTCMonth();
+          const eto = monthlyEto[month] || 0;
+          const rain = rainOnDay(date, monthlyRain[month] || 0);
+
+          const taw = availableWater * rootDepthOnDay(day, cycle, rootMax);
+          const etc = kc * eto;
+          // FAO-56 Table 22 note: p rises when ETc is low and falls when it is high
+          const pAdj = Math.min(0.8, Math.max(0.1, pTable + 0.04 * (5 - etc)));
+          const raw = pAdj * taw;
+          const ks = depletion > raw ? Math.max(0, (taw - depletion) / ((1 - pAdj) * taw)) : 1;
+          const eta = ks * etc;
+          const runoff = curveNumberRunoff(rain, soil.curveNumber);
+
+          depletion += eta - (rain - runoff);
+          const deepPercolation = Math.max(0, -depletion);
+          depletion = Math.min(taw, Math.max(0, depletion));
+
+          totals.rain += rain * share;
+          totals.runoff += runoff * share;
+          totals.deepPercolation += deepPercolation * share;
+          totals.etc += etc * share;
+          totals.eta += eta * share;
+          if (ks < 1) totals.stressDays += share;
+
+          if (p === 0) {
+            series.push({ date: formatIsoDate(date), depletion, raw, taw, trigger: mad * taw });
+          }
+
+          if (depletion >= mad * taw && depletion > 0) {
+            const net = depletion;
+            const gross = net / efficiency;
+            const zoneRuns = blockZones[p].map(({ zone, fraction }) => ({
+              name: zone.name,
+              runtimeH: zone.flowLph > 0 ? +((gross * zone.areaM2 * fraction) / zone.flowLph).toFixed(2) : 0,
+            }));
+            const totalRuntimeH = zoneRuns.reduce((sum, z) => sum + z.runtimeH, 0);
+            events.push({
+              date: formatIsoDate(date),
+              cycle: cycle.label,
+              dayAfterPlanting: day + 1,
+              netMm: +net.toFixed(1),
+              grossMm: +gross.toFixed(1),
+              volumeM3: +((gross * areaM2 * share) / 1000).toFixed(1),
+              zones: zoneRuns,
+              totalRuntimeH: +totalRuntimeH.toFixed(2),
+              irrigationDays: Math.max(1, Math.ceil(totalRuntimeH / hoursPerDay - 1e-9)),
+            });
+            totals.net += net * share;
+            totals.gross += gross * share;
+            depletion = 0;
+          }
+        });
+      });
+  }
+
+  events.sort((a, b) => a.date.localeCompare(b.date));
+  return {
+    soilType,
+    availableWaterMmPerM: Math.round(availableWater),
+    mad,
+    efficiency,
+    hoursPerDay,
+    events,
+    series,
+    totals: {
+      ...Object.fromEntries(Object.entries(totals).map(([k, v]) => [k, +v.toFixed(1)])),
+      events: events.length,
+      grossVolumeM3: Math.round((totals.gross * areaM2) / 1000),
+      pumpingHours: +events.reduce((sum, e) => sum + e.totalRuntimeH, 0).toFixed(1),
+    },
+  };
+}
+
+// -------------------------
+// RICE PADDY WATER (land soaking, ponding, seepage & percolation, AWD)
+// -------------------------
+
+const PADDY_REGIMES = { continuous: "Continuous flooding", awd: "Alternate wetting and drying (AWD)" };
+const PADDY_FREEBOARD_MM = 50; // rain the bunds hold above the ponding depth
+const AWD_FLOODED_DAYS = 14; // AWD starts once the transplants are established (IRRI safe AWD)
+const PADDY_FINAL_DRAIN_DAYS = 14; // no irrigation over the last two weeks before harvest
+const AWD_REFLOOD_DAYS = 3; // an AWD re-flood is spread over a few days of pumping
+
+// Paddy mode is for rice only, so a saved regime does not carry over to other crops
+function isPaddyMode(inputs) {
+  return Boolean(PADDY_REGIMES[inputs.paddyMode]) && /rice|paddy/i.test(inputs.cropType || "");
+}
+
+// Seepage and percolation (mm/day): the planner value, or the puddled soil's
+function paddyPercolation(inputs) {
+  return inputs.paddyPercolation > 0 ? inputs.paddyPercolation : resolveSoil(inputs).soil.percolationMmDay;
+}
+
+// Land soaking and puddling (van de Goor & Zijlstra, as in FAO CROPWAT): the
+// water S that saturates the puddled layer and sets up the ponding depth is
+// supplied over T days while open-water evaporation (1.1 ET₀) and percolation
+// keep running. Returns mm/day.
+function landPreparationMmDay(eto, inputs, percolation) {
+  const m = 1.1 * eto + percolation;
+  const s = Math.max(1, (inputs.landPrepMm ?? 200) + (inputs.pondingDepth ?? 50));
+  const t = Math.max(1, inputs.landPrepDays || 20);
+  if (m <= 0) return s / t;
+  const k = (m * t) / s;
+  return (m * Math.exp(k)) / (Math.exp(k) - 1);
+}
+
+// Net paddy requirement (mm/day) at one climate: ETc plus seepage and
+// percolation less effective rain. With staggered plantings one block is being
+// prepared while the others are ponded; a single planting peaks in preparation.
+function paddyNetMmDay(inputs, eto, effectiveRain, kc) {
+  const percolation = paddyPercolation(inputs);
+  const crop = Math.max(0, kc * eto + percolation - effectiveRain);
+  const landPrepRate = landPreparationMmDay(eto, inputs, percolation);
+  const landPrep = Math.max(0, landPrepRate - effectiveRain);
+  const share = 1 / Math.max(1, Math.round(inputs.plantingCount) || 1);
+  return { percolation, landPrepRate, crop, landPrep, net: Math.max(crop, share * landPrep + (1 - share) * crop) };
+}
+
+// Daily pond balance of each planting block. Plant crops are preceded by land
+// preparation over the days before transplanting; the pond then loses ETc and,
+// while water stands, seepage and percolation, and holds rain up to the bunds.
+// Continuous flooding tops the pond up to the ponding depth every day. AWD lets
+// it drain and, after the dry days, re-floods it over a few days of pumping; it
+// stays flooded while the transplants establish and from panicle initiation to
+// flowering (the first half of the mid-season). Irrigation stops for the final
+// drain.
+// Returns simulateCropDemand's shape plus the pond series, the irrigation
+// spells with zone run times, and the peak canal and pump flows.
+function simulatePaddyWater(inputs, monthlyEto, monthlyRain, design) {
+  const cycles = buildCroppingCalendar(inputs);
+  const areaM2 = (parseFloat(inputs.areaRai) || 0) * 1600;
+  const efficiency = Math.max(0.01, (parseFloat(inputs.efficiency) || 80) / 100);
+  const hoursPerDay = Math.max(1, inputs.hoursPerDay || 24);
+  const percolation = paddyPercolation(inputs);
+  const ponding = Math.max(0, inputs.pondingDepth ?? 50);
+  const prepDays = Math.max(0, Math.round(inputs.landPrepDays ?? 20));
+  const dryDays = Math.max(0, Math.round(inputs.awdDryDays ?? 5));
+  const awd = inputs.paddyMode === "awd";
+  const plantings = Math.max(...cycles.map((c) => c.planting)) + 1;
+  const share = 1 / plantings;
+  const blockZones = assignZonesToPlantings(design?.zones || [], plantings);
+
+  const start = Math.min(...cycles.map((c) => c.start.getTime())) - prepDays * DAY_MS;
+  const end = Math.max(...cycles.map((c) => c.harvest.getTime()));
+  const days = [];
+  for (let time = start; time < end; time += DAY_MS) {
+    days.push({ date: formatIsoDate(new Date(time)), kc: 0, etc: 0, landPrepMm: 0, percolationMm: 0, rainMm: 0, netMm: 0 });
+  }
+  const monthOf = (i) => new Date(start + i * DAY_MS).getUTCMonth();
+
+  // field-average depths (mm)
+  const totals = { rain: 0, etc: 0, percolation: 0, overflow: 0, landPrep: 0, net: 0 };
+  const spells = [];
+  const series = []; // first planting block, for the pond chart
+  const cycleNet = new Map();
+
+  for (let p = 0; p < plantings; p++) {
+    let depth = 0; // standing water; negative once the soil dries below saturation
+    let dry = 0;
+    let reflood = 0; // AWD re-flood days left
+    let spell = null;
+    const irrigate = (i, cycle, phase, day, mm) => {
+      if (spell && spell.phase === phase && spell.to === i - 1) {
+        spell.to = i;
+        spell.netMm += mm;
+      } else {
+        spell = { block: p, phase, from: i, to: i, day, netMm: mm };
+        spells.push(spell);
+      }
+      days[i].netMm += mm * share;
+      totals.net += mm * share;
+      cycleNet.set(cycle, (cycleNet.get(cycle) || 0) + mm);
+    };
+
+    cycles
+      .filter((c) => c.planting === p)
+      .forEach((cycle) => {
+        const offset = Math.round((cycle.start.getTime() - start) / DAY_MS);
+        if (cycle.ratoon === 0) {
+          for (let day = -prepDays; day < 0; day++) {
+            const i = offset + day;
+            const eto = monthlyEto[monthOf(i)] || 0;
+            const rain = monthlyRain[monthOf(i)] || 0;
+            const landPrep = landPreparationMmDay(eto, inputs, percolation);
+            days[i].landPrepMm += landPrep * share;
+            days[i].rainMm += rain * share;
+            totals.landPrep += landPrep * share;
+            totals.rain += rain * share;
+            if (landPrep > rain) irrigate(i, cycle, `${cycle.label} – land preparation`, day, landPrep - rain);
+          }
+          depth = ponding;
+          dry = 0;
+          reflood = 0;
+        }
+
+        const midStart = cycle.stages.initial + cycle.stages.development;
+        cycle.kcCurve.forEach((kc, day) => {
+          const i = offset + day;
+          const eto = monthlyEto[monthOf(i)] || 0;
+          const rain = monthlyRain[monthOf(i)] || 0;
+          const etc = kc * eto;
+          const seepage = depth > 0 ? percolation : 0; // the puddled layer stops draining once the water is gone
+          depth += rain - etc - seepage;
+          const overflow = Math.max(0, depth - ponding - PADDY_FREEBOARD_MM);
+          depth -= overflow;
+          dry = depth > 0 ? 0 : dry + 1;
+
+          const finalDrain = day >= cycle.kcCurve.length - PADDY_FINAL_DRAIN_DAYS;
+          const flooded = !awd || day < AWD_FLOODED_DAYS || (day >= midStart && day < midStart + cycle.stages.mid / 2);
+          if (finalDrain) {
+            reflood = 0;
+          } else if (flooded) {
+            reflood = 0;
+            if (depth < ponding) {
+              irrigate(i, cycle, cycle.label, day + 1, ponding - depth);
+              depth = ponding;
+              dry = 0;
+            }
+          } else {
+            if (!reflood && dry > dryDays) reflood = AWD_REFLOOD_DAYS;
+            if (reflood && depth < ponding) {
+              const mm = (ponding - depth) / reflood; // the rest of the gap on the last day
+              irrigate(i, cycle, cycle.label, day + 1, mm);
+              depth += mm;
+              dry = depth > 0 ? 0 : dry;
+            }
+            if (reflood) reflood -= 1;
+          }
+
+          days[i].kc += kc * share;
+          days[i].etc += etc * share;
+          days[i].percolationMm += seepage * share;
+          days[i].rainMm += rain * share;
+          totals.etc += etc * share;
+          totals.percolation += seepage * share;
+          totals.overflow += overflow * share;
+          totals.rain += rain * share;
+          if (p === 0) series.push({ date: days[i].date, depth, ponding });
+        });
+      });
+  }
+
+  const months = [];
+  days.forEach((d, i) => {
+    const month = monthOf(i);
+    let bin = months[months.length - 1];
+    if (!bin || bin.month !== month) {
+      bin = { label: `${MONTH_NAMES[month]} ${d.date.slice(0, 4)}`, month, days: 0, kcSum: 0, netMm: 0, landPrepMm: 0 };
+      months.push(bin);
+    }
+    bin.days += 1;
+    bin.kcSum += d.kc;
+    bin.netMm += d.netMm;
+    bin.landPrepMm += d.landPrepMm;
+  });
+  const monthly = months.map(({ label, month, days: n, kcSum, netMm, landPrepMm }) => ({
+    label,
+    month,
+    days: n,
+    meanKc: kcSum / n,
+    netMm,
+    landPrepMm,
+    demandL: Math.round(netMm * areaM2),
+  }));
+
+  // Irrigation spells (consecutive days of one block and phase) as calendar rows
+  const events = spells
+    .sort((a, b) => a.from - b.from)
+    .map((s) => {
+      const gross = s.netMm / efficiency;
+      const zoneRuns = blockZones[s.block].map(({ zone, fraction }) => ({
+        name: zone.name,
+        runtimeH: zone.flowLph > 0 ? +((gross * zone.areaM2 * fraction) / zone.flowLph).toFixed(2) : 0,
+      }));
+      const totalRuntimeH = zoneRuns.reduce((sum, z) => sum + z.runtimeH, 0);
+      const spellDays = s.to - s.from + 1;
+      return {
+        date: days[s.from].date,
+        until: days[s.to].date,
+        days: spellDays,
+        cycle: s.phase,
+        dayAfterPlanting: s.day,
+        netMm: +s.netMm.toFixed(1),
+        grossMm: +gross.toFixed(1),
+        volumeM3: +((gross * areaM2 * share) / 1000).toFixed(1),
+        zones: zoneRuns,
+        totalRuntimeH: +totalRuntimeH.toFixed(2),
+        fitsDays: totalRuntimeH <= spellDays * hoursPerDay + 1e-6,
+      };
+    });
+
+  // Peak day over the field: continuous canal supply and pumping within the hours
+  const peakDay = days.reduce((best, d) => (!best || d.netMm > best.netMm ? d : best), null);
+  const peakGrossMm = (peakDay?.netMm || 0) / efficiency;
+  const canalLps = (peakGrossMm * areaM2) / 86400;
+
+  return {
+    cycles: cycles.map((c) => ({
+      label: c.label,
+      start: formatIsoDate(c.start),
+      harvest: formatIsoDate(c.harvest),
+      days: c.kcCurve.length,
+      areaShare: c.areaShare,
+      seasonalKc: c.kcCurve.reduce((a, b) => a + b, 0) / (c.kcCurve.length || 1),
+      netMm: cycleNet.get(c) || 0,
+      demandL: Math.round((cycleNet.get(c) || 0) * c.areaShare * areaM2),
+    })),
+    days,
+    monthly,
+    totalDemandL: monthly.reduce((sum, m) => sum + m.demandL, 0),
+    regime: PADDY_REGIMES[awd ? "awd" : "continuous"],
+    percolation,
+    pondingDepth: ponding,
+    efficiency,
+    hoursPerDay,
+    series,
+    events,
+    totals: {
+      ...Object.fromEntries(Object.entries(totals).map(([k, v]) => [k, +v.toFixed(1)])),
+      gross: +(totals.net / efficiency).toFixed(1),
+      events: events.length,
+      grossVolumeM3: Math.round((totals.net / efficiency) * areaM2 / 1000),
+      pumpingHours: +events.reduce((sum, e) => sum + e.totalRuntimeH, 0).toFixed(1),
+    },
+    peak: {
+      date: peakDay?.date || null,
+      netMm: +(peakDay?.netMm || 0).toFixed(2),
+      grossMm: +peakGrossMm.toFixed(2),
+      canalLps: +canalLps.toFixed(2),
+      canalLpsPerHa: areaM2 > 0 ? +(canalLps / (areaM2 / 10000)).toFixed(2) : 0,
+      pumpLps: +((canalLps * 24) / hoursPerDay).toFixed(2),
+    },
+  };
+}
+
+// Demand series of the cropping programme from the design rain: the paddy
+// balance for rice in standing water (total rain, the bunds spill the excess),
+// the crop's ETc less effective rain otherwise
+function simulateWaterDemand(inputs, monthlyEto, designRain, design) {
+  return isPaddyMode(inputs)
+    ? simulatePaddyWater(inputs, monthlyEto, designRain.map((r) => r.rain), design)
+    : simulateCropDemand(inputs, monthlyEto, designRain.map((r) => r.effective));
+}
+
+// -------------------------
+// EMITTER CATALOGUE (dripline, micro-sprinkler and sprinkler models)
+// -------------------------
+
+// Built-in outlet models. Flow follows q = flowLph·(H / pressureM)^exponent
+// (0.5 for nozzles, near 0 for pressure-compensating drippers); the wetted
+// diameter is at the nominal pressure on a medium soil, and maxSpacingPercent
+// is the largest spacing, as % of it, that still overlaps evenly. Prices (Baht,
+// per pc or per m of dripline) go into the built-in price lists under the model.
+const DEFAULT_EMITTER_CATALOGUE = [
+  { model: "DL16-1.0/20", type: "drip", name: "Dripline Ø16 mm, 1.0 L/h every 20 cm", flowLph: 1.0, pressureM: 10, exponent: 0.5, minPressureM: 5, maxPressureM: 15, wettedDiameterM: 0.5, maxSpacingPercent: 80, spacingX: 0.2, diameterMm: 16, price: 5, packSize: 500 },
+  { model: "DL16-1.6/30", type: "drip", name: "Dripline Ø16 mm, 1.6 L/h every 30 cm", flowLph: 1.6, pressureM: 10, exponent: 0.5, minPressureM: 5, maxPressureM: 15, wettedDiameterM: 0.6, maxSpacingPercent: 80, spacingX: 0.3, diameterMm: 16, price: 4.5, packSize: 500 },
+  { model: "DL16-PC2.0/40", type: "drip", name: "Dripline Ø16 mm PC, 2.0 L/h every 40 cm", flowLph: 2.0, pressureM: 10, exponent: 0.05, minPressureM: 7, maxPressureM: 35, wettedDiameterM: 0.7, maxSpacingPercent: 80, spacingX: 0.4, diameterMm: 16, price: 7, packSize: 500 },
+  { model: "DL20-PC2.0/50", type: "drip", name: "Dripline Ø20 mm PC, 2.0 L/h every 50 cm", flowLph: 2.0, pressureM: 10, exponent: 0.05, minPressureM: 7, maxPressureM: 35, wettedDiameterM: 0.7, maxSpacingPercent: 80, spacingX: 0.5, diameterMm: 20, price: 8.5, packSize: 300 },
+  { model: "MS-35", type: "micro", name: "Micro-sprinkler 35 L/h on stake", flowLph: 35, pressureM: 20, exponent: 0.5, minPressureM: 10, maxPressureM: 30, wettedDiameterM: 3.5, price: 18, packSize: 50 },
+  { model: "MS-70", type: "micro", name: "Micro-sprinkler 70 L/h on stake", flowLph: 70, pressureM: 20, exponent: 0.5, minPressureM: 10, maxPressureM: 30, wettedDiameterM: 5, price: 22, packSize: 50 },
+  { model: "MS-120", type: "micro", name: "Micro-sprinkler 120 L/h on stake", flowLph: 120, pressureM: 20, exponent: 0.5, minPressureM: 10, maxPressureM: 30, wettedDiameterM: 6.5, price: 28, packSize: 50 },
+  { model: "MINI-300", type: "sprinkler", name: "Mini sprinkler 300 L/h", flowLph: 300, pressureM: 20, exponent: 0.5, minPressureM: 15, maxPressureM: 30, wettedDiameterM: 12, maxSpacingPercent: 60, spacingX: 7, spacingY: 7, price: 85, packSize: 10 },
+  { model: "IMP-900", type: "sprinkler", name: 'Impact sprinkler ½", 4 mm nozzle', flowLph: 900, pressureM: 30, exponent: 0.5, minPressureM: 20, maxPressureM: 40, wettedDiameterM: 26, maxSpacingPercent: 60, spacingX: 12, spacingY: 12, price: 320, packSize: 1 },
+  { model: "IMP-1600", type: "sprinkler", name: 'Impact sprinkler ¾", 5 mm nozzle', flowLph: 1600, pressureM: 35, exponent: 0.5, minPressureM: 25, maxPressureM: 45, wettedDiameterM: 32, maxSpacingPercent: 60, spacingX: 18, spacingY: 18, price: 480, packSize: 1 },
+];
+
+// Price-list category of each outlet type
+const EMITTER_PRICE_CATEGORY = { drip: "dripline", micro: "micro-sprinkler", sprinkler: "sprinkler" };
+
+function findEmitterModel(model) {
+  return DEFAULT_EMITTER_CATALOGUE.find((e) => e.model === model) || null;
+}
+
+// Outlet flow (L/h) of a model at a pressure head (m)
+function emitterFlowAt(emitter, headM) {
+  return emitter.flowLph * Math.pow(Math.max(0, headM) / emitter.pressureM, emitter.exponent);
+}
+
+// % of the ground a model wets: drippers closer than their wetted diameter
+// merge into a strip, wider-spaced outlets wet a circle each
+function emitterWettedPercent(emitter, spacingX, spacingY, perPosition = 1) {
+  const d = emitter.wettedDiameterM;
+  const wettedM2 = Math.min((Math.PI * d * d) / 4, d * spacingX) * perPosition;
+  return Math.min(100, Math.max(1, Math.round((wettedM2 / (spacingX * spacingY)) * 100)));
+}
+
+// Model list grouped by method; a model only applies to its own method
+function populateEmitterModelSelect() {
+  const select = $("emitter-model");
+  if (!select) return;
+  const current = select.value;
+  const groups = ["drip", "micro", "sprinkler"]
+    .map((type) => {
+      const options = DEFAULT_EMITTER_CATALOGUE.filter((e) => e.type === type)
+        .map((e) => `<option value="${e.model}">${e.model} – ${e.flowLph} L/h @ ${e.pressureM} m</option>`)
+        .join("");
+      return `<optgroup label="${IRRIGATION_METHODS[type].label}">${options}</optgroup>`;
+    })
+    .join("");
+  select.innerHTML = '<option value="">Custom (outlet flow below)</option>' + groups;
+  select.value = findEmitterModel(current) ? current : "";
+}
+
+// Take the model's recommended spacing (and dripline size), then recalculate
+function onEmitterModelChanged() {
+  const emitter = findEmitterModel($("emitter-model").value);
+  if (emitter) {
+    applyPlannerInputs({
+      ...(emitter.spacingX ? { spacingX: emitter.spacingX } : {}),
+      ...(emitter.spacingY ? { spacingY: emitter.spacingY } : {}),
+      ...(emitter.diameterMm ? { lateralDiameter: emitter.diameterMm } : {}),
+    });
+  }
+  onRecalculate();
+}
+
+// -------------------------
+// IRRIGATION METHODS (drip, micro-sprinkler, sprinkler, surface)
+// -------------------------
+
+const TURNOUT_HEAD_M = 0.5; // free discharge from a turnout into its basin
+const OUTLET_NODE_SPACING_M = 3; // closer outlets are lumped into one network node
+const MIN_WETTED_PERCENT = 33; // Keller & Bliesner, widely spaced crops
+
+// Pressure at the outlets, and the planner values each method starts from
+// (application efficiencies after FAO Irrigation & Drainage Paper 24). Drip
+// and micro-sprinklers are localized: they wet only part of the ground.
+const IRRIGATION_METHODS = {
+  drip: {
+    label: "Drip (dripline)",
+    operatingHead: 10,
+    localized: true,
+    defaults: {
+      efficiency: 90,
+      emitterModel: "DL16-1.6/30",
+      spacingX: 0.3,
+      spacingY: 1.2,
+      emitterFlow: 1.6,
+      lateralDiameter: 16,
+      wettedFraction: 60,
+    },
+  },
+  micro: {
+    label: "Micro-sprinkler (per tree)",
+    operatingHead: 20,
+    localized: true,
+    defaults: {
+      efficiency: 85,
+      emitterModel: "MS-70",
+      spacingX: 6,
+      spacingY: 6,
+      emitterFlow: 40,
+      lateralDiameter: 20,
+      emittersPerTree: 1,
+      wettedFraction: 50,
+    },
+  },
+  sprinkler: {
+    label: "Sprinkler (solid-set or hand-move)",
+    operatingHead: OPERATING_HEAD_M,
+    localized: false,
+    defaults: {
+      efficiency: 75,
+      emitterModel: "IMP-900",
+      spacingX: 12,
+      spacingY: 12,
+      emitterFlow: "",
+      lateralDiameter: 32,
+      sprinklerMoves: 1,
+    },
+  },
+  surface: {
+    label: "Surface (basin, border or furrow)",
+    operatingHead: TURNOUT_HEAD_M,
+    localized: false,
+    defaults: { efficiency: 60, emitterModel: "" },
+  },
+};
+
+// Method of the planner inputs; rice in a paddy regime is always flooded. A
+// catalogue model of the method sets the outlet pressure and wetted area.
+function resolveIrrigationMethod(inputs) {
+  const key = isPaddyMode(inputs)
+    ? "surface"
+    : IRRIGATION_METHODS[inputs.irrigationMethod]
+      ? inputs.irrigationMethod
+      : "sprinkler";
+  const method = IRRIGATION_METHODS[key];
+  const model = findEmitterModel(inputs.emitterModel);
+  const emitter = model?.type === key ? model : null;
+  const emittersPerTree = key === "micro" ? Math.max(1, Math.round(inputs.emittersPerTree || 1)) : 1;
+  const spacingX = Math.max(0.1, inputs.spacingX || 12);
+  const spacingY = Math.max(0.5, inputs.spacingY || 12);
+  const wettedFraction = !method.localized
+    ? 100
+    : emitter
+      ? emitterWettedPercent(emitter, spacingX, spacingY, emittersPerTree)
+      : Math.min(100, Math.max(1, inputs.wettedFraction || method.defaults.wettedFraction));
+  return {
+    key,
+    label: method.label,
+    emitter,
+    operatingHead: emitter ? emitter.pressureM : method.operatingHead,
+    localized: method.localized,
+    wettedFraction,
+    emittersPerTree,
+    sprinklerMoves: key === "sprinkler" ? Math.max(1, Math.round(inputs.sprinklerMoves || 1)) : 1,
+  };
+}
+
+// Fill the spacing, outlet and efficiency inputs from the method, then recalculate
+function onIrrigationMethodChanged() {
+  const method = IRRIGATION_METHODS[$("irrigation-method").value];
+  if (method) applyPlannerInputs(method.defaults);
+  onRecalculate();
+}
+
+// Network nodes along a lateral: one per sprinkler or tree (a tree's emitters
+// share its node), with drippers closer than OUTLET_NODE_SPACING_M lumped so a
+// dripline is not solved emitter by emitter
+function groupLateralOutlets(offsets, spacing, emittersPerTree = 1) {
+  const size = Math.max(1, Math.ceil(OUTLET_NODE_SPACING_M / spacing - 1e-9));
+  const groups = [];
+  for (let i = 0; i < offsets.length; i += size) {
+    const chunk = offsets.slice(i, i + size);
+    groups.push({
+      offset: chunk.reduce((a, b) => a + b, 0) / chunk.length,
+      count: chunk.length * emittersPerTree,
+    });
+  }
+  return groups;
+}
+
+// Flood delivery to the basins: the layout's main and submains run to a turnout
+// at every dead end and the laterals give way to basins (or borders/furrows). Each turnout floods
+// the strips nearest to it at the full pump flow, one basin group after the
+// other within the pumping hours; the group needing most pressure is critical.
+function buildFloodDelivery(layout, options) {
+  const { network } = layout;
+  // emitters and lateral pipes are added last, so the trunk keeps its ids
+  const nodes = network.nodes.filter((n) => n.type !== "emitter");
+  const pipes = network.pipes.filter((p) => p.role !== "lateral");
+  const degree = nodes.map(() => 0);
+  pipes.forEach((p) => {
+    degree[p.from] += 1;
+    degree[p.to] += 1;
+  });
+  let turnouts = nodes.filter((n) => n.id !== network.sourceId && degree[n.id] === 1);
+  if (!turnouts.length) turnouts = [nodes[network.sourceId]];
+
+  // strip length served by each turnout (the strips are one lateral spacing wide)
+  const served = turnouts.map(() => 0);
+  network.laterals.forEach((lat, idx) => {
+    const [a, b] = [network.nodes[lat.inletNode].xy, network.nodes[lat.endNode].xy];
+    const distance = (n) => Math.hypot(n.xy[0] - (a[0] + b[0]) / 2, n.xy[1] - (a[1] + b[1]) / 2);
+    const nearest = turnouts.reduce((best, n, t) => (distance(n) < distance(turnouts[best]) ? t : best), 0);
+    served[nearest] += layout.laterals[idx].length;
+  });
+  const totalServed = served.reduce((a, b) => a + b, 0);
+
+  const flowLph = options.flowLps * 3600;
+  const capacityLph = Math.max(1, options.capacityM3h || Infinity) * 1000;
+  const distributionLength = layout.mainLength + layout.submainLength;
+  let clock = parseClock(options.startTime);
+  const zones = turnouts
+    .map((node, t) => ({ node, share: totalServed > 0 ? served[t] / totalServed : 1 / turnouts.length }))
+    .filter((b) => b.share > 0)
+    .map((b, idx) => {
+      const areaM2 = options.fieldAreaM2 * b.share;
+      const volumeL = options.appliedDepthMm * areaM2;
+      const runtimeH = flowLph > 0 ? volumeL / flowLph : 0;
+      const zone = {
+        id: idx + 1,
+        name: zoneName(idx),
+        color: ZONE_COLORS[idx % ZONE_COLORS.length],
+        lateralIds: [],
+        turnoutNode: b.node.id,
+        latlng: b.node.latlng,
+        outlets: 1,
+        flowLph,
+        flowM3h: +(flowLph / 1000).toFixed(2),
+        areaM2: +areaM2.toFixed(1),
+        areaRai: +(areaM2 / 1600).toFixed(2),
+        applicationRateMmH: areaM2 > 0 ? +(flowLph / areaM2).toFixed(2) : 0,
+        volumeL: Math.round(volumeL),
+        runtimeH: +runtimeH.toFixed(2),
+        start: formatClock(clock),
+        end: formatClock(clock + runtimeH),
+        pipeLength: Math.round(distributionLength * b.share),
+        overCapacity: flowLph > capacityLph + 1e-9,
+      };
+      clock += runtimeH;
+      return zone;
+    });
+
+  const totalRuntimeH = zones.reduce((sum, z) => sum + z.runtimeH, 0);
+  const schedule = {
+    zones,
+    emitterFlowLph: flowLph,
+    capacityM3h: isFinite(capacityLph) ? capacityLph / 1000 : null,
+    totalRuntimeH: +totalRuntimeH.toFixed(2),
+    hoursPerDay: options.hoursPerDay,
+    fitsDay: totalRuntimeH <= options.hoursPerDay + 1e-6,
+    fitsCapacity: zones.every((z) => !z.overCapacity),
+    maxZoneFlowM3h: Math.max(0, ...zones.map((z) => z.flowM3h)),
+    maxApplicationRateMmH: Math.max(0, ...zones.map((z) => z.applicationRateMmH)),
+  };
+
+  const trunk = { nodes, pipes, sourceId: network.sourceId, laterals: [] };
+  const q = options.flowLps / 1000; // m³/s
+  const openTurnout = (zone) => nodes.forEach((n) => (n.demand = n.id === zone.turnoutNode ? q : 0));
+  let critical = null;
+  zones.forEach((zone) => {
+    openTurnout(zone);
+    const solution = solvePipeNetwork(trunk, { requiredPressure: TURNOUT_HEAD_M });
+    zone.sourcePressure = solution.sourcePressure;
+    if (!critical || solution.sourcePressure > critical.solution.sourcePressure) {
+      critical = { zone, solution };
+    }
+  });
+  openTurnout(critical.zone);
+  return { network: trunk, schedule, critical };
+}
+
+// Design for surface delivery (basins, borders, furrows and rice paddies): pump
+// flow = gross daily requirement over the pumping hours, main and submains to
+// the turnouts, no laterals or outlets
+function buildSurfaceDesign(inputs, demand, method) {
+  const hoursPerDay = Math.max(1, inputs.hoursPerDay || 24);
+  const layout = buildFieldLayout(inputs);
+  const flowLps = demand.waterDemandLday / (hoursPerDay * 3600);
+  const canalFlowLps = demand.waterDemandLday / 86400; // continuous supply from a canal
+
+  const delivery = buildFloodDelivery(layout, {
+    flowLps,
+    capacityM3h: inputs.sourceCapacity,
+    appliedDepthMm: demand.appliedDepth,
+    fieldAreaM2: demand.areaM2,
+    hoursPerDay,
+    startTime: inputs.scheduleStart,
+  });
+  const hydraulics = summarizeNetworkHydraulics(delivery.network, delivery.critical.solution);
+  hydraulics.criticalZone = delivery.critical.zone.name;
+  const pumpSizing = sizeDesignPump(inputs, flowLps, hydraulics, delivery.schedule.totalRuntimeH, method.operatingHead);
+  const basis = demand.designBasis.paddy || {};
+  const trunkLength = layout.mainLength + layout.submainLength;
+  // the stream floods one strip (a lateral spacing wide) at a time
+  const basinAreaM2 = Math.max(1, layout.longestLateral * Math.max(0.5, inputs.spacingY || 12));
+  const flood = {
+    turnouts: delivery.schedule.zones.length,
+    pumpFlowLps: +flowLps.toFixed(2),
+    canalFlowLps: +canalFlowLps.toFixed(2),
+    waterDutyLpsPerHa: demand.areaM2 > 0 ? +(canalFlowLps / (demand.areaM2 / 10000)).toFixed(2) : 0,
+    basinAreaM2: Math.round(basinAreaM2),
+    basinInflowMmH: +((flowLps * 3600) / basinAreaM2).toFixed(1), // L/h per m² = mm/h
+  };
+
+  return {
+    ...demand,
+    method,
+    flood,
+    paddy: isPaddyMode(inputs)
+      ? {
+          regime: PADDY_REGIMES[inputs.paddyMode],
+          pondingDepth: Math.max(0, inputs.pondingDepth ?? 50),
+          percolationMmDay: +paddyPercolation(inputs).toFixed(1),
+          landPrepMmDay: basis.landPrep !== undefined ? +basis.landPrep.toFixed(2) : null,
+          ...flood,
+        }
+      : null,
+    flowLps,
+    flowM3s: flowLps / 1000,
+    averageFlowLps: flowLps,
+    schedule: delivery.schedule,
+    zones: delivery.schedule.zones,
+    spacingX: Math.max(0.1, inputs.spacingX || 12),
+    spacingY: Math.max(0.5, inputs.spacingY || 12),
+    sprinklerCount: 0,
+    handMove: null,
+    valves: delivery.schedule.zones.length, // one turnout gate per basin group
+    layout: {
+      ...layout,
+      laterals: [],
+      network: delivery.network,
+      lateralCount: 0,
+      sprinklerCount: 0,
+      avgLateralLength: 0,
+      longestLateral: 0,
+      lateralLength: 0,
+      totalPipeLength: trunkLength,
+    },
+    terrain: layout.terrain
+      ? { ...layout.terrain, uphillLimit: inputs.uphillLimit ?? 2, uphillLaterals: [], steepestLateralSlope: 0 }
+      : null,
+    soil: summarizeDesignSoil(inputs),
+    lateralCount: 0,
+    avgLateralLength: 0,
+    longestLateral: 0,
+    lateralDesign: null,
+    maxLateralLength: 0,
+    mainLength: trunkLength,
+    submainLength: layout.submainLength,
+    lateralLength: 0,
+    totalPipeLength: trunkLength,
+    headLossPercent: hydraulics.headLossPercent,
+    lateralHeadLossPercent: 0,
+    velocity: hydraulics.velocity,
+    totalHead: hydraulics.totalHead,
+    hydraulics,
+    ...pumpSizing,
+    surge: summarizeDesignSurge(inputs, delivery.network, hydraulics, pumpSizing, { vented: true }),
+  };
+}
+
+// -------------------------
+// FIELD LAYOUT ENGINE (main / submains / laterals inside the polygon)
+// -------------------------
+
+const MIN_LATERAL_M = 0.5; // ignore slivers shorter than this
+
+// Local planar frame (metres) around an origin; fine for farm-sized fields
+function createLocalProjection(originLat, originLng) {
+  const rad = Math.PI / 180;
+  const kx = EARTH_RADIUS_M * rad * Math.cos(originLat * rad);
+  const ky = EARTH_RADIUS_M * rad;
+  return {
+    toXY: ([lat, lng]) => [(lng - originLng) * kx, (lat - originLat) * ky],
+    toLatLng: ([x, y]) => [+(originLat + y / ky).toFixed(7), +(originLng + x / kx).toFixed(7)],
+  };
+}
+
+function rotateXY([x, y], angle) {
+  const c = Math.cos(angle);
+  const s = Math.sin(angle);
+  return [x * c - y * s, x * s + y * c];
+}
+
+function ringCentroidLatLng(ring) {
+  const n = ring.length;
+  const sum = ring.reduce((acc, [lat, lng]) => [acc[0] + lat, acc[1] + lng], [0, 0]);
+  return [sum[0] / n, sum[1] / n];
+}
+
+// Field polygon for the layout: the drawn boundary, or a square of the planner
+// area centred on the default field when nothing has been drawn yet.
+function getLayoutFieldBoundary(inputs) {
+  if (inputs.boundary?.outer?.length >= 3) return inputs.boundary;
+
+  const areaM2 = Math.max(1, (parseFloat(inputs.areaRai) || 0) * 1600);
+  const half = Math.sqrt(areaM2) / 2;
+  const [lat0, lng0] = ringCentroidLatLng(DEFAULT_FIELD_BOUNDARY.slice(0, -1));
+  const proj = createLocalProjection(lat0, lng0);
+  const outer = [
+    [-half, -half],
+    [half, -half],
+    [half, half],
+    [-half, half],
+  ].map(proj.toLatLng);
+  return { outer, holes: [], placeholder: true };
+}
+
+// Direction (radians) of the longest edge of a ring in local XY
+function longestEdgeAngle(ringXY) {
+  let best = 0;
+  let bestLen = -1;
+  for (let i = 0; i < ringXY.length; i++) {
+    const [x1, y1] = ringXY[i];
+    const [x2, y2] = ringXY[(i + 1) % ringXY.length];
+    const len = Math.hypot(x2 - x1, y2 - y1);
+    if (len > bestLen) {
+      bestLen = len;
+      best = Math.atan2(y2 - y1, x2 - x1);
+    }
+  }
+  return best;
+}
+
+// x-coordinates where the horizontal line y crosses the rings, sorted.
+// Pairs (0,1), (2,3)... are inside the field (even-odd rule, so holes drop out).
+function scanlineIntersections(rings, y) {
+  const xs = [];
+  rings.forEach((ring) => {
+    for (let i = 0; i < ring.length; i++) {
+      const [x1, y1] = ring[i];
+      const [x2, y2] = ring[(i + 1) % ring.length];
+      if (y1 > y !== y2 > y) {
+        xs.push(x1 + ((y - y1) * (x2 - x1)) / (y2 - y1));
+      }
+    }
+  });
+  return xs.sort((a, b) => a - b);
+}
+
+// Emitter positions along a lateral: first at spacingX/2 from the feed, then every spacingX
+function placeEmitters(length, spacingX) {
+  const offsets = [];
+  for (let d = spacingX / 2; d <= length + 1e-6; d += spacingX) offsets.push(d);
+  if (!offsets.length) offsets.push(length / 2);
+  return offsets;
+}
+
+// Lay out one orientation. All geometry is in the rotated local frame (laterals
+// run along +x); manifolds run along y. Each manifold serves a band no wider
+// than 2 × maxLateral so no lateral exceeds the max lateral length.
+function layoutAtAngle(ringsXY, angle, spacingX, spacingY, maxLateral) {
+  const rings = ringsXY.map((ring) => ring.map((p) => rotateXY(p, -angle)));
+  const outer = rings[0];
+  const xsAll = outer.map((p) => p[0]);
+  const ysAll = outer.map((p) => p[1]);
+  const minX = Math.min(...xsAll);
+  const maxX = Math.max(...xsAll);
+  const minY = Math.min(...ysAll);
+  const maxY = Math.max(...ysAll);
+
+  const width = Math.max(MIN_LATERAL_M, maxX - minX);
+  const bandCount = Math.max(1, Math.ceil(width / (2 * maxLateral)));
+  const bandWidth = width / bandCount;
+  const bands = Array.from({ length: bandCount }, (_, i) => ({
+    x0: minX + bandWidth * i,
+    x1: minX + bandWidth * (i + 1),
+    xm: minX + bandWidth * (i + 0.5),
+    yMin: Infinity,
+    yMax: -Infinity,
+    connectors: [],
+  }));
+
+  const rowYs = [];
+  for (let y = minY + spacingY / 2; y < maxY; y += spacingY) rowYs.push(y);
+  if (!rowYs.length) rowYs.push((minY + maxY) / 2);
+
+  const laterals = [];
+  rowYs.forEach((y, rowIdx) => {
+    const xs = scanlineIntersections(rings, y);
+    for (let k = 0; k + 1 < xs.length; k += 2) {
+      const a = xs[k];
+      const b = xs[k + 1];
+      bands.forEach((band, bandIdx) => {
+        const lo = Math.max(a, band.x0);
+        const hi = Math.min(b, band.x1);
+        if (hi - lo < MIN_LATERAL_M) return;
+
+        band.yMin = Math.min(band.yMin, y);
+        band.yMax = Math.max(band.yMax, y);
+
+        const runs = [];
+        if (lo < band.xm && band.xm < hi) {
+          runs.push({ from: band.xm, to: lo });
+          runs.push({ from: band.xm, to: hi });
+        } else if (hi <= band.xm) {
+          runs.push({ from: hi, to: lo });
+          band.connectors.push({ y, from: band.xm, to: hi });
+        } else {
+          runs.push({ from: lo, to: hi });
+          band.connectors.push({ y, from: band.xm, to: lo });
+        }
+
+        runs.forEach((run) => {
+          const length = Math.abs(run.to - run.from);
+          if (length < MIN_LATERAL_M) return;
+          const dir = Math.sign(run.to - run.from);
+          laterals.push({
+            row: rowIdx,
+            band: bandIdx,
+            start: [run.from, y],
+            end: [run.to, y],
+            length,
+            emitterOffsets: placeEmitters(length, spacingX).map((d) => d * dir),
+          });
+        });
+      });
+    }
+  });
+
+  const activeBands = bands.filter((b) => isFinite(b.yMin));
+  const headerY = activeBands.length ? Math.min(...activeBands.map((b) => b.yMin)) : minY;
+  const manifolds = activeBands.map((b) => ({
+    band: bands.indexOf(b),
+    x: b.xm,
+    y0: bandCount > 1 ? headerY : b.yMin,
+    y1: b.yMax,
+    connectors: b.connectors,
+  }));
+  const manifoldLength = manifolds.reduce(
+    (sum, m) =>
+      sum +
+      (m.y1 - m.y0) +
+      m.connectors.reduce((s, c) => s + Math.abs(c.to - c.from), 0),
+    0
+  );
+  const headerLength =
+    manifolds.length > 1 ? manifolds[manifolds.length - 1].x - manifolds[0].x : 0;
+  const lateralLength = laterals.reduce((sum, l) => sum + l.length, 0);
+
+  // Single band: the manifold is the main. Several bands: a header main feeds submains.
+  const mainLength = manifolds.length > 1 ? headerLength : manifoldLength;
+  const submainLength = manifolds.length > 1 ? manifoldLength : 0;
+
+  return {
+    angle,
+    rowCount: rowYs.length,
+    laterals,
+    manifolds,
+    header: manifolds.length > 1 ? { y: headerY, x0: manifolds[0].x, x1: manifolds[manifolds.length - 1].x } : null,
+    mainLength,
+    submainLength,
+    lateralLength,
+    totalPipeLength: mainLength + submainLength + lateralLength,
+  };
+}
+
+// Pipe network (nodes + segments) for the chosen layout, in the local frame.
+// Source sits at the start of the main; every lateral is a chain of emitter
+// nodes, each standing for `outlets` emitters.
+function buildLayoutNetwork(best, toLL, options) {
+  const nodes = [];
+  const pipes = [];
+  const junctionIndex = {};
+
+  const addNode = (type, xy, role, extra = {}) => {
+    nodes.push({
+      id: nodes.length,
+      type,
+      role,
+      xy,
+      latlng: toLL(xy),
+      elevation: 0,
+      demand: 0,
+      ...extra,
+    });
+    return nodes.length - 1;
+  };
+  const addPipe = (from, to, role, diameter, extra = {}) => {
+    const [x1, y1] = nodes[from].xy;
+    const [x2, y2] = nodes[to].xy;
+    pipes.push({
+      id: pipes.length,
+      from,
+      to,
+      role,
+      diameter,
+      length: Math.max(0.01, Math.hypot(x2 - x1, y2 - y1)),
+      c: HAZEN_WILLIAMS_C_PVC,
+      ...extra,
+    });
+    return pipes.length - 1;
+  };
+  // main and submain pipes take the size and pressure class of their role
+  const addTrunkPipe = (from, to, role) =>
+    role === "submain"
+      ? addPipe(from, to, role, options.submainDiameter, { material: "pvc", pressureClass: options.submainPressureClass })
+      : addPipe(from, to, role, options.mainDiameter, { material: "pvc", pressureClass: options.mainPressureClass });
+  const key = (band, x, y) => `${band}:${x.toFixed(3)}:${y.toFixed(3)}`;
+
+  const multiBand = best.manifolds.length > 1;
+  const manifoldRole = multiBand ? "submain" : "main";
+  let sourceId = null;
+  let prevHeaderNode = null;
+  const manifoldTops = [];
+
+  best.manifolds.forEach((m) => {
+    // base of the manifold: on the header (or the source for a single band)
+    const baseType = sourceId === null ? "source" : "junction";
+    const base = addNode(baseType, [m.x, m.y0], "main");
+    if (sourceId === null) sourceId = base;
+    if (multiBand && prevHeaderNode !== null) {
+      addTrunkPipe(prevHeaderNode, base, "main");
+    }
+    prevHeaderNode = base;
+    junctionIndex[key(m.band, m.x, m.y0)] = base;
+
+    const ys = new Set();
+    best.laterals.filter((l) => l.band === m.band).forEach((l) => ys.add(l.start[1]));
+    m.connectors.forEach((c) => ys.add(c.y));
+    const sorted = [...ys].filter((y) => y > m.y0 + 1e-6).sort((a, b) => a - b);
+
+    let prev = base;
+    sorted.forEach((y) => {
+      const j = addNode("junction", [m.x, y], manifoldRole);
+      addTrunkPipe(prev, j, manifoldRole);
+      junctionIndex[key(m.band, m.x, y)] = j;
+      prev = j;
+    });
+    manifoldTops.push(prev);
+
+    m.connectors.forEach((c) => {
+      const from = junctionIndex[key(m.band, m.x, c.y)];
+      const end = addNode("junction", [c.to, c.y], manifoldRole);
+      addTrunkPipe(from, end, manifoldRole);
+      junctionIndex[key(m.band, c.to, c.y)] = end;
+    });
+  });
+
+  // Optional ring main: tie the far ends of neighbouring submains together
+  if (options.looped && multiBand) {
+    for (let i = 1; i < manifoldTops.length; i++) {
+      addTrunkPipe(manifoldTops[i - 1], manifoldTops[i], "main");
+    }
+  }
+
+  const laterals = best.laterals.map((l, idx) => {
+    const inlet = junctionIndex[key(l.band, l.start[0], l.start[1])];
+    const nodeIds = [];
+    let prev = inlet;
+    l.outlets.forEach(({ offset, count }) => {
+      const e = addNode("emitter", [l.start[0] + offset, l.start[1]], "lateral", { lateralId: idx + 1, outlets: count });
+      addPipe(prev, e, "lateral", options.lateralDiameter, {
+        lateralId: idx + 1,
+        material: "pe",
+        pressureClass: options.lateralPressureClass ?? null,
+      });
+      nodeIds.push(e);
+      prev = e;
+    });
+    return { id: idx + 1, inletNode: inlet, endNode: prev, nodeIds };
+  });
+
+  return { nodes, pipes, sourceId, laterals };
+}
+
+// Build the full pipe layout for the planner inputs. Heuristic mode runs laterals
+// parallel to the longest field edge; AI mode also tries the perpendicular and
+// the cardinal directions and keeps the shortest total pipe length.
+function buildFieldLayout(inputs, terrain = getProjectTerrain()) {
+  const boundary = getLayoutFieldBoundary(inputs);
+  const spacingX = Math.max(0.1, inputs.spacingX || 12);
+  const spacingY = Math.max(0.5, inputs.spacingY || 12);
+  const maxLateral = Math.max(spacingX, parseFloat(inputs.maxLateral) || 100);
+
+  const [lat0, lng0] = ringCentroidLatLng(boundary.outer);
+  const proj = createLocalProjection(lat0, lng0);
+  const ringsXY = [boundary.outer, ...(boundary.holes || [])].map((ring) => ring.map(proj.toXY));
+
+  const edgeAngle = longestEdgeAngle(ringsXY[0]);
+  const angles =
+    inputs.layoutMode === "ai"
+      ? [edgeAngle, edgeAngle + Math.PI / 2, 0, Math.PI / 2]
+      : [edgeAngle];
+
+  let best = null;
+  angles.forEach((angle) => {
+    const candidate = layoutAtAngle(ringsXY, angle, spacingX, spacingY, maxLateral);
+    if (
+      !best ||
+      candidate.totalPipeLength < best.totalPipeLength - 1e-6 ||
+      (Math.abs(candidate.totalPipeLength - best.totalPipeLength) < 1e-6 &&
+        candidate.laterals.length < best.laterals.length)
+    ) {
+      best = candidate;
+    }
+  });
+
+  const { emittersPerTree } = resolveIrrigationMethod(inputs);
+  best.laterals.forEach((l) => (l.outlets = groupLateralOutlets(l.emitterOffsets, spacingX, emittersPerTree)));
+
+  // Back to lat/lng for the map (plain arrays so the layout stays JSON-safe)
+  const toLL = (p) => proj.toLatLng(rotateXY(p, best.angle));
+  const laterals = best.laterals.map((l, idx) => ({
+    id: idx + 1,
+    row: l.row,
+    band: l.band,
+    length: +l.length.toFixed(1),
+    emitters: l.outlets.reduce((sum, o) => sum + o.count, 0),
+    path: [toLL(l.start), toLL(l.end)],
+    points: l.outlets.map((o) => toLL([l.start[0] + o.offset, l.start[1]])),
+  }));
+  const manifolds = best.manifolds.map((m) => ({
+    path: [toLL([m.x, m.y0]), toLL([m.x, m.y1])],
+    connectors: m.connectors.map((c) => [toLL([c.from, c.y]), toLL([c.to, c.y])]),
+  }));
+  const header = best.header
+    ? [toLL([best.header.x0, best.header.y]), toLL([best.header.x1, best.header.y])]
+    : null;
+
+  const mainDiameter = parseFloat(inputs.mainDiameter) || 110;
+  const mainPressureClass = parseFloat(inputs.mainPressureClass) || 8.5;
+  const network = buildLayoutNetwork(best, toLL, {
+    mainDiameter,
+    mainPressureClass,
+    submainDiameter: parseFloat(inputs.submainDiameter) || mainDiameter,
+    submainPressureClass: parseFloat(inputs.submainPressureClass) || mainPressureClass,
+    lateralDiameter: parseFloat(inputs.lateralDiameter) || LATERAL_DIAMETER_MM,
+    // dripline is rated by its emitter model, not a PE pressure class
+    lateralPressureClass: resolveIrrigationMethod(inputs).key === "drip" ? null : PE_LATERAL_PRESSURE_CLASS,
+    looped: inputs.networkType === "looped",
+  });
+
+  // Ground elevations from the project terrain; lateral slope + = uphill from the inlet
+  const terrainSummary = terrain ? applyTerrainToNetwork(network, terrain) : null;
+  if (terrainSummary) {
+    laterals.forEach((l, idx) => {
+      const inlet = network.nodes[network.laterals[idx].inletNode];
+      const end = network.nodes[network.laterals[idx].endNode];
+      const run = Math.hypot(end.xy[0] - inlet.xy[0], end.xy[1] - inlet.xy[1]);
+      l.rise = +(end.elevation - inlet.elevation).toFixed(2);
+      l.slopePercent = run > 0 ? +((l.rise / run) * 100).toFixed(2) : 0;
+    });
+  }
+
+  const lateralLengths = laterals.map((l) => l.length);
+  const sprinklerCount = laterals.reduce((sum, l) => sum + l.emitters, 0);
+
+  return {
+    boundary,
+    orientationDeg: +(((best.angle * 180) / Math.PI + 360) % 180).toFixed(1),
+    rowCount: best.rowCount,
+    laterals,
+    manifolds,
+    header,
+    network,
+    terrain: terrainSummary,
+    lateralCount: laterals.length,
+    sprinklerCount: Math.max(1, sprinklerCount),
+    avgLateralLength: lateralLengths.length
+      ? lateralLengths.reduce((a, b) => a + b, 0) / lateralLengths.length
+      : 0,
+    longestLateral: lateralLengths.length ? Math.max(...lateralLengths) : 0,
+    mainLength: Math.round(best.mainLength),
+    submainLength: Math.round(best.submainLength),
+    lateralLength: Math.round(best.lateralLength),
+    totalPipeLength: Math.round(best.totalPipeLength),
+  };
+}
+
+// Hazen–Williams hydraulic helper (returns head-loss %, velocity, total head)
+function calculateHydraulics(flowM3s, totalPipeLength, mainDiameterMm, lateralLength, operatingHead = 30) {
+  const diameterM = (mainDiameterMm || 110) / 1000; // m
+  const length = Math.max(1, totalPipeLength || 100); // m
+  const C = 150; // smooth PVC
+
+  const hf =
+    (10.67 * Math.pow(flowM3s, 1.852) * length) /
+    (Math.pow(C, 1.852) * Math.pow(diameterM, 4.871)); // m
+
+  const headLossPercent = (hf / operatingHead) * 100;
+  const lateralHeadLossPercent =
+    ((hf * (lateralLength || length) / length) / operatingHead) * 100;
+  const area = Math.PI * Math.pow(diameterM, 2) * 0.25;
+  const velocity = area > 0 ? flowM3s / area : 0;
+
+  return {
+    hf,
+    headLossPercent: Math.max(0, Math.min(100, +headLossPercent.toFixed(2))),
+    lateralHeadLossPercent: Math.max(0, Math.min(100, +lateralHeadLossPercent.toFixed(2))),
+    velocity: +velocity.toFixed(3),
+    withinLimit: headLossPercent <= 5 && lateralHeadLossPercent <= 5,
+    totalHead: operatingHead + hf,
+  };
+}
+
+// -------------------------
+// PIPE NETWORK SOLVER (Hazen–Williams, Hardy Cross for loops)
+// -------------------------
+
+// Resistance r in hf = r·Q·|Q|^0.852 (Q in m³/s, hf in m)
+function hazenWilliamsResistance(pipe) {
+  const d = (pipe.diameter || 110) / 1000;
+  const c = pipe.c || HAZEN_WILLIAMS_C_PVC;
+  return (10.67 * pipe.length) / (Math.pow(c, 1.852) * Math.pow(d, 4.871));
+}
+
+function signedHeadLoss(r, q) {
+  return r * q * Math.pow(Math.abs(q), 0.852);
+}
+
+// Solve flows and heads on a network of nodes (source / junction / emitter) and
+// pipe segments. Tree networks are solved directly from continuity; each extra
+// (chord) pipe closes a loop that is balanced with Hardy Cross corrections.
+// Heads are first computed relative to the source, then the source head is set
+// so the worst outlet gets exactly `requiredPressure` (or to options.sourceHead).
+function solvePipeNetwork(network, options = {}) {
+  const { nodes, pipes, sourceId } = network;
+  const requiredPressure = options.requiredPressure ?? OPERATING_HEAD_M;
+  const maxIterations = options.maxIterations || 200;
+  const tolerance = options.tolerance || 1e-7; // m³/s
+
+  const adjacency = nodes.map(() => []);
+  pipes.forEach((p) => {
+    adjacency[p.from].push(p.id);
+    adjacency[p.to].push(p.id);
+  });
+
+  // Spanning tree by BFS from the source
+  const parentPipe = new Array(nodes.length).fill(null);
+  const depth = new Array(nodes.length).fill(-1);
+  const order = [sourceId];
+  const inTree = new Array(pipes.length).fill(false);
+  depth[sourceId] = 0;
+  for (let i = 0; i < order.length; i++) {
+    const n = order[i];
+    adjacency[n].forEach((pid) => {
+      const p = pipes[pid];
+      const other = p.from === n ? p.to : p.from;
+      if (depth[other] !== -1) return;
+      depth[other] = depth[n] + 1;
+      parentPipe[other] = pid;
+      inTree[pid] = true;
+      order.push(other);
+    });
+  }
+
+  // Initial flows: chords carry nothing, tree pipes carry their subtree demand
+  const flows = new Array(pipes.length).fill(0);
+  const subtree = nodes.map((n) => n.demand || 0);
+  for (let i = order.length - 1; i > 0; i--) {
+    const n = order[i];
+    const p = pipes[parentPipe[n]];
+    const parent = p.from === n ? p.to : p.from;
+    flows[p.id] = p.to === n ? subtree[n] : -subtree[n];
+    subtree[parent] += subtree[n];
+  }
+
+  // Fundamental loops: chord u→v, then v up to the common ancestor and down to u
+  const parentOf = (n) => {
+    const p = pipes[parentPipe[n]];
+    return p.from === n ? p.to : p.from;
+  };
+  const loops = [];
+  pipes.forEach((chord) => {
+    if (inTree[chord.id] || depth[chord.from] < 0 || depth[chord.to] < 0) return;
+    const loop = [{ pipe: chord.id, sign: 1 }];
+    let a = chord.to;
+    let b = chord.from;
+    const down = [];
+    while (a !== b) {
+      if (depth[a] >= depth[b]) {
+        const p = pipes[parentPipe[a]];
+        loop.push({ pipe: p.id, sign: p.from === a ? 1 : -1 });
+        a = parentOf(a);
+      } else {
+        const p = pipes[parentPipe[b]];
+        down.push({ pipe: p.id, sign: p.to === b ? 1 : -1 });
+        b = parentOf(b);
+      }
+    }
+    loops.push(loop.concat(down.reverse()));
+  });
+
+  const resistance = pipes.map(hazenWilliamsResistance);
+  let iterations = 0;
+  let converged = true;
+
+  if (loops.length) {
+    converged = false;
+    for (iterations = 1; iterations <= maxIterations; iterations++) {
+      let maxCorrection = 0;
+      loops.forEach((loop) => {
+        let num = 0;
+        let den = 0;
+        loop.forEach(({ pipe, sign }) => {
+          const q = flows[pipe] * sign;
+          num += signedHeadLoss(resistance[pipe], q);
+          den += 1.852 * resistance[pipe] * Math.pow(Math.abs(q), 0.852);
+        });
+        const dq = -num / Math.max(den, 1e-9);
+        loop.forEach(({ pipe, sign }) => {
+          flows[pipe] += sign * dq;
+        });
+        maxCorrection = Math.max(maxCorrection, Math.abs(dq));
+      });
+      if (maxCorrection < tolerance) {
+        converged = true;
+        break;
+      }
+    }
+  }
+
+  // Hydraulic grade relative to the source, walking down the tree
+  const relHead = new Array(nodes.length).fill(0);
+  order.forEach((n) => {
+    if (n === sourceId) return;
+    const p = pipes[parentPipe[n]];
+    const hf = signedHeadLoss(resistance[p.id], flows[p.id]);
+    relHead[n] = p.to === n ? relHead[parentOf(n)] - hf : relHead[parentOf(n)] + hf;
+  });
+
+  // outlets = nodes drawing water (closed zones excluded); all emitters if none do
+  let outlets = nodes.filter((n) => (n.demand || 0) > 0);
+  if (!outlets.length) outlets = nodes.filter((n) => n.type === "emitter");
+  const sourceNode = nodes[sourceId];
+  const sourceHead =
+    options.sourceHead ??
+    Math.max(
+      sourceNode.elevation + requiredPressure,
+      ...outlets.map((n) => requiredPressure + n.elevation - relHead[n.id])
+    );
+
+  const nodeResults = nodes.map((n) => {
+    const head = sourceHead + relHead[n.id];
+    return {
+      id: n.id,
+      type: n.type,
+      role: n.role,
+      elevation: n.elevation,
+      head: +head.toFixed(3),
+      pressure: +(head - n.elevation).toFixed(3),
+    };
+  });
+
+  const pipeResults = pipes.map((p) => {
+    const area = Math.PI * Math.pow(p.diameter / 1000, 2) * 0.25;
+    const q = flows[p.id];
+    const hf = Math.abs(signedHeadLoss(resistance[p.id], q));
+    return {
+      id: p.id,
+      from: p.from,
+      to: p.to,
+      role: p.role,
+      lateralId: p.lateralId,
+      diameter: p.diameter,
+      length: +p.length.toFixed(2),
+      flowLps: +(q * 1000).toFixed(4),
+      velocity: +(area > 0 ? Math.abs(q) / area : 0).toFixed(3),
+      headLoss: +hf.toFixed(4),
+      headLossPerKm: +((hf / p.length) * 1000).toFixed(3),
+    };
+  });
+
+  const outletIds = new Set(outlets.map((o) => o.id));
+  const emitterPressures = nodeResults.filter((n) => outletIds.has(n.id)).map((n) => n.pressure);
+  const critical = nodeResults
+    .filter((n) => outletIds.has(n.id))
+    .reduce((min, n) => (!min || n.pressure < min.pressure ? n : min), null);
+
+  return {
+    converged,
+    iterations,
+    loopCount: loops.length,
+    sourceHead: +sourceHead.toFixed(3),
+    sourcePressure: +(sourceHead - sourceNode.elevation).toFixed(3),
+    criticalNode: critical ? critical.id : null,
+    minEmitterPressure: emitterPressures.length ? Math.min(...emitterPressures) : null,
+    maxEmitterPressure: emitterPressures.length ? Math.max(...emitterPressures) : null,
+    nodes: nodeResults,
+    pipes: pipeResults,
+  };
+}
+
+// Summarise a solved layout network into the figures the planner reports
+function summarizeNetworkHydraulics(network, solution, operatingHead = OPERATING_HEAD_M) {
+  const sourceHead = solution.sourceHead;
+  const pipesByLateral = {};
+  solution.pipes.forEach((p) => {
+    if (p.lateralId) (pipesByLateral[p.lateralId] = pipesByLateral[p.lateralId] || []).push(p);
+  });
+  const lateralResults = network.laterals.map((lat) => {
+    const pipesOnLateral = pipesByLateral[lat.id] || [];
+    const friction = pipesOnLateral.reduce((sum, p) => sum + p.headLoss, 0);
+    const inlet = solution.nodes[lat.inletNode];
+    const end = solution.nodes[lat.endNode];
+    return {
+      id: lat.id,
+      inletPressure: inlet.pressure,
+      endPressure: end.pressure,
+      headLoss: +friction.toFixed(3),
+      inletVelocity: pipesOnLateral.length ? pipesOnLateral[0].velocity : 0,
+      distributionLoss: +(sourceHead - inlet.head).toFixed(3),
+    };
+  });
+
+  const mainPipes = solution.pipes.filter((p) => p.role !== "lateral");
+  // without laterals (paddy turnouts) the open outlets carry the distribution loss
+  const distributionLosses = lateralResults.length
+    ? lateralResults.map((l) => l.distributionLoss)
+    : solution.nodes.filter((n) => network.nodes[n.id].demand > 0).map((n) => sourceHead - n.head);
+  const mainHeadLoss = Math.max(0, ...distributionLosses);
+  const lateralHeadLoss = Math.max(0, ...lateralResults.map((l) => l.headLoss));
+  const velocity = Math.max(0, ...mainPipes.map((p) => p.velocity));
+  const headLossPercent = (mainHeadLoss / operatingHead) * 100;
+  const lateralHeadLossPercent = (lateralHeadLoss / operatingHead) * 100;
+  // static head from the source up (or down) to the critical outlet
+  const criticalNode = solution.nodes[solution.criticalNode];
+  const elevationHead = criticalNode ? criticalNode.elevation - solution.nodes[network.sourceId].elevation : 0;
+
+  return {
+    operatingHead,
+    hf: +(solution.sourcePressure - operatingHead).toFixed(3),
+    mainHeadLoss: +mainHeadLoss.toFixed(3),
+    lateralHeadLoss: +lateralHeadLoss.toFixed(3),
+    headLossPercent: Math.max(0, Math.min(100, +headLossPercent.toFixed(2))),
+    lateralHeadLossPercent: Math.max(0, Math.min(100, +lateralHeadLossPercent.toFixed(2))),
+    velocity: +velocity.toFixed(3),
+    withinLimit: headLossPercent <= 5 && lateralHeadLossPercent <= 5,
+    totalHead: solution.sourcePressure,
+    elevationHead: +elevationHead.toFixed(2),
+    converged: solution.converged,
+    iterations: solution.iterations,
+    loopCount: solution.loopCount,
+    minEmitterPressure: solution.minEmitterPressure,
+    maxEmitterPressure: solution.maxEmitterPressure,
+    laterals: lateralResults,
+    solution,
+  };
+}
+
+// -------------------------
+// LATERAL DESIGN (multiple outlets, Christiansen F, emission uniformity)
+// -------------------------
+
+const EMITTER_CV = 0.05; // manufacturer's coefficient of variation
+const DEFAULT_EMITTER_EXPONENT = 0.5; // orifice-type nozzles / sprinklers
+
+// Christiansen F for N equally spaced outlets. With the first outlet at half a
+// spacing from the inlet (as the layout places them) use Scaloppi & Allen's form.
+function christiansenF(outlets, m = 1.852, firstAtHalfSpacing = true) {
+  const n = Math.max(1, outlets);
+  const tail = Math.sqrt(m - 1) / (6 * n * n);
+  if (firstAtHalfSpacing) {
+    return ((2 * n) / (2 * n - 1)) * (1 / (m + 1) + tail);
+  }
+  return 1 / (m + 1) + 1 / (2 * n) + tail;
+}
+
+function lateralOutletCount(length, spacing) {
+  return Math.max(1, Math.floor((length - spacing / 2) / spacing + 1e-9) + 1);
+}
+
+// Lateral with N outlets at `spacing` (first at spacing/2). Friction uses the
+// Christiansen-corrected Hazen–Williams loss; pressures are stepped outlet by
+// outlet (with slope) and shifted so the mean outlet pressure equals the
+// operating head. slopePercent > 0 means the lateral runs uphill.
+function analyzeLateral(params) {
+  const spacing = Math.max(0.1, params.spacing || 12);
+  const outlets = params.outlets || lateralOutletCount(params.length || spacing, spacing);
+  const qLph = Math.max(0.001, params.emitterFlowLph || 100);
+  const q = qLph / 3600 / 1000; // m³/s per outlet
+  const d = (params.diameterMm || LATERAL_DIAMETER_MM) / 1000;
+  const c = params.c || HAZEN_WILLIAMS_C_PVC;
+  const operatingHead = params.operatingHead || OPERATING_HEAD_M;
+  const exponent = params.exponent || DEFAULT_EMITTER_EXPONENT;
+  const slope = (params.slopePercent || 0) / 100;
+
+  const length = (outlets - 0.5) * spacing; // inlet to last outlet
+  const inletFlow = outlets * q;
+  const k = (10.67 / (Math.pow(c, 1.852) * Math.pow(d, 4.871)));
+  const F = christiansenF(outlets);
+  const frictionLoss = F * k * length * Math.pow(inletFlow, 1.852);
+
+  // step along the lateral; relative head 0 at the inlet
+  const rel = [];
+  let h = 0;
+  for (let i = 0; i < outlets; i++) {
+    const segLen = i === 0 ? spacing / 2 : spacing;
+    const flowInSegment = (outlets - i) * q;
+    h -= k * segLen * Math.pow(flowInSegment, 1.852) + slope * segLen;
+    rel.push(h);
+  }
+  const meanRel = rel.reduce((a, b) => a + b, 0) / outlets;
+  const inletPressure = operatingHead - meanRel;
+  const pressures = rel.map((r) => inletPressure + r);
+  const minPressure = Math.min(...pressures);
+  const maxPressure = Math.max(...pressures);
+
+  const flows = pressures.map((p) => qLph * Math.pow(Math.max(0, p) / operatingHead, exponent));
+  const qMin = Math.min(...flows);
+  const qMax = Math.max(...flows);
+  const qAvg = flows.reduce((a, b) => a + b, 0) / outlets;
+
+  // Keller & Karmeli design EU (one outlet per plant)
+  const emissionUniformity = 100 * (1 - 1.27 * EMITTER_CV) * (qMin / qAvg);
+
+  return {
+    outlets,
+    length: +length.toFixed(1),
+    inletFlowLph: +(inletFlow * 3600 * 1000).toFixed(1),
+    christiansenF: +F.toFixed(4),
+    frictionLoss: +frictionLoss.toFixed(3),
+    elevationChange: +(slope * length).toFixed(3),
+    inletPressure: +inletPressure.toFixed(3),
+    endPressure: +pressures[outlets - 1].toFixed(3),
+    minPressure: +minPressure.toFixed(3),
+    maxPressure: +maxPressure.toFixed(3),
+    pressureVariation: +(((maxPressure - minPressure) / operatingHead) * 100).toFixed(2),
+    flowVariation: +(qMax > 0 ? ((qMax - qMin) / qMax) * 100 : 0).toFixed(2),
+    emissionUniformity: +emissionUniformity.toFixed(1),
+  };
+}
+
+// Longest lateral (in whole outlet spacings) whose flow variation stays within
+// limitPercent. The outlet heads of analyzeLateral are stepped from the far end,
+// where they do not depend on the outlet count, so each extra outlet is one more
+// step. `capped` means even maxOutlets stay within the limit.
+function calculateMaxLateralLength(params, limitPercent = 10, maxOutlets = 2000) {
+  const spacing = Math.max(0.1, params.spacing || 12);
+  const qLph = Math.max(0.001, params.emitterFlowLph || 100);
+  const q = qLph / 3600 / 1000;
+  const d = (params.diameterMm || LATERAL_DIAMETER_MM) / 1000;
+  const k = 10.67 / (Math.pow(params.c || HAZEN_WILLIAMS_C_PVC, 1.852) * Math.pow(d, 4.871));
+  const operatingHead = params.operatingHead || OPERATING_HEAD_M;
+  const exponent = params.exponent || DEFAULT_EMITTER_EXPONENT;
+  const slope = (params.slopePercent || 0) / 100;
+  const flowAt = (p) => qLph * Math.pow(Math.max(0, p) / operatingHead, exponent);
+
+  let head = 0; // relative to the last outlet
+  let sum = 0;
+  let min = 0;
+  let max = 0;
+  let best = 0;
+  for (let n = 1; n <= maxOutlets; n++) {
+    if (n > 1) head += k * spacing * Math.pow((n - 1) * q, 1.852) + slope * spacing;
+    sum += head;
+    min = Math.min(min, head);
+    max = Math.max(max, head);
+    const mean = sum / n;
+    const qMax = flowAt(operatingHead + max - mean);
+    const qMin = flowAt(operatingHead + min - mean);
+    const variation = +(qMax > 0 ? ((qMax - qMin) / qMax) * 100 : 0).toFixed(2);
+    if (variation > limitPercent) break;
+    best = n;
+  }
+  if (!best) return { maxLength: 0, maxOutlets: 0, capped: false, analysis: analyzeLateral({ ...params, outlets: 1 }) };
+  const analysis = analyzeLateral({ ...params, outlets: best });
+  // the lateral can run half a spacing past its last outlet
+  return {
+    maxLength: +(analysis.length + spacing / 2).toFixed(1),
+    maxOutlets: best,
+    capped: best === maxOutlets,
+    analysis,
+  };
+}
+
+// -------------------------
+// ZONING & IRRIGATION SHIFT SCHEDULE
+// -------------------------
+
+const ZONE_COLORS = ["#4a90e2", "#e67e22", "#9b59b6", "#16a085", "#e74c3c", "#f1c40f", "#34495e", "#2ecc71"];
+
+function zoneName(idx) {
+  let name = "";
+  let n = idx;
+  do {
+    name = String.fromCharCode(65 + (n % 26)) + name;
+    n = Math.floor(n / 26) - 1;
+  } while (n >= 0);
+  return `Zone ${name}`;
+}
+
+function formatClock(hours) {
+  const total = Math.round(hours * 60);
+  const h = Math.floor(total / 60) % 24;
+  const m = total % 60;
+  return `${String(h).padStart(2, "0")}:${String(m).padStart(2, "0")}`;
+}
+
+function parseClock(value) {
+  const [h, m] = String(value || "06:00").split(":").map((v) => parseInt(v, 10) || 0);
+  return h + m / 60;
+}
+
+// Split the laterals into contiguous valve zones whose flow fits the source
+// capacity, balanced so zones carry similar flow. Laterals are taken in
+// submain/row order so each zone is a compact block of the field.
+function partitionLateralsIntoZones(laterals, lateralFlow, capacity, minZones = 1) {
+  const ordered = laterals.slice().sort((a, b) => a.band - b.band || a.row - b.row || a.id - b.id);
+  const total = ordered.reduce((sum, l) => sum + lateralFlow(l), 0);
+  if (!ordered.length) return [];
+
+  const fewest = Math.min(ordered.length, Math.max(1, minZones, Math.ceil(total / capacity)));
+  for (let count = fewest; count <= ordered.length; count++) {
+    const target = total / count;
+    const groups = [];
+    let current = [];
+    let flow = 0;
+    let cumulative = 0;
+    ordered.forEach((lat) => {
+      const q = lateralFlow(lat);
+      const boundary = target * (groups.length + 1);
+      // close the zone when adding this lateral overshoots the boundary more than stopping short
+      if (current.length && groups.length < count - 1 && cumulative + q - boundary > boundary - cumulative) {
+        groups.push({ laterals: current, flow });
+        current = [];
+        flow = 0;
+      }
+      current.push(lat);
+      flow += q;
+      cumulative += q;
+    });
+    groups.push({ laterals: current, flow });
+
+    if (groups.every((g) => g.flow <= capacity + 1e-9) || count === ordered.length) {
+      return groups;
+    }
+  }
+  return [{ laterals: ordered, flow: total }];
+}
+
+function buildIrrigationZones(layout, options) {
+  const emitterFlowLph = options.emitterFlowLph;
+  const capacityLph = Math.max(1, options.capacityM3h || Infinity) * 1000;
+  const totalOutlets = Math.max(1, layout.sprinklerCount);
+  const distributionLength = layout.mainLength + layout.submainLength;
+
+  const groups = partitionLateralsIntoZones(
+    layout.laterals,
+    (l) => l.emitters * emitterFlowLph,
+    capacityLph,
+    options.minZones
+  );
+  const wetted = (options.wettedFraction || 100) / 100; // localized methods wet part of the ground
+
+  const startClock = parseClock(options.startTime);
+  let clock = startClock;
+  const zones = groups.map((g, idx) => {
+    const outlets = g.laterals.reduce((sum, l) => sum + l.emitters, 0);
+    const areaM2 = options.fieldAreaM2 * (outlets / totalOutlets);
+    const volumeL = options.appliedDepthMm * areaM2; // 1 mm over 1 m² = 1 L
+    const runtimeH = g.flow > 0 ? volumeL / g.flow : 0;
+    const lateralLength = g.laterals.reduce((sum, l) => sum + l.length, 0);
+    const zone = {
+      id: idx + 1,
+      name: zoneName(idx),
+      color: ZONE_COLORS[idx % ZONE_COLORS.length],
+      lateralIds: g.laterals.map((l) => l.id),
+      outlets,
+      flowLph: g.flow,
+      flowM3h: +(g.flow / 1000).toFixed(2),
+      areaM2: +areaM2.toFixed(1),
+      areaRai: +(areaM2 / 1600).toFixed(2),
+      applicationRateMmH: areaM2 > 0 ? +(g.flow / (areaM2 * wetted)).toFixed(2) : 0, // L/h per wetted m² = mm/h
+      volumeL: Math.round(volumeL),
+      runtimeH: +runtimeH.toFixed(2),
+      start: formatClock(clock),
+      end: formatClock(clock + runtimeH),
+      lateralLength: Math.round(lateralLength),
+      pipeLength: Math.round(lateralLength + distributionLength * (outlets / totalOutlets)),
+      overCapacity: g.flow > capacityLph + 1e-9,
+    };
+    clock += runtimeH;
+    return zone;
+  });
+
+  const totalRuntimeH = clock - startClock;
+  return {
+    zones,
+    emitterFlowLph,
+    capacityM3h: isFinite(capacityLph) ? capacityLph / 1000 : null,
+    totalRuntimeH: +totalRuntimeH.toFixed(2),
+    hoursPerDay: options.hoursPerDay,
+    fitsDay: totalRuntimeH <= options.hoursPerDay + 1e-6,
+    fitsCapacity: zones.every((z) => !z.overCapacity),
+    maxZoneFlowM3h: Math.max(0, ...zones.map((z) => z.flowM3h)),
+    maxApplicationRateMmH: Math.max(0, ...zones.map((z) => z.applicationRateMmH)),
+  };
+}
+
+// Solve the network once per zone (only that zone's outlets open) and keep the
+// zone that needs the highest source pressure as the design case.
+function solveZonedNetwork(layout, schedule, operatingHead = OPERATING_HEAD_M) {
+  const q = schedule.emitterFlowLph / 1000 / 3600; // m³/s per outlet
+  const emitters = layout.network.nodes.filter((n) => n.type === "emitter");
+  let critical = null;
+
+  schedule.zones.forEach((zone) => {
+    const open = new Set(zone.lateralIds);
+    emitters.forEach((n) => {
+      n.demand = open.has(n.lateralId) ? q * n.outlets : 0;
+    });
+    const solution = solvePipeNetwork(layout.network, { requiredPressure: operatingHead });
+    zone.sourcePressure = solution.sourcePressure;
+    if (!critical || solution.sourcePressure > critical.solution.sourcePressure) {
+      critical = { zone, solution };
+    }
+  });
+
+  // leave the node demands describing the critical zone
+  const open = new Set(critical.zone.lateralIds);
+  emitters.forEach((n) => {
+    n.demand = open.has(n.lateralId) ? q * n.outlets : 0;
+  });
+  return critical;
+}
+
+// -------------------------
+// PUMP CATALOGUE & SELECTION (pump curves vs system curve)
+// -------------------------
+
+const PUMP_CATALOGUE_LS_KEY = "irrigation-pump-catalogue";
+
+// Built-in end-suction centrifugal pumps, and low-head mixed-flow pumps for
+// flood delivery. Curve points: [flow m³/h, head m, efficiency %]
+const DEFAULT_PUMP_CATALOGUE = [
+  { model: "CP-110", ratedKw: 1.1, price: 6500, curve: [[0, 36, 0], [3, 34, 40], [6, 30, 55], [9, 24, 57], [12, 15, 48]] },
+  { model: "CP-220", ratedKw: 2.2, price: 9800, curve: [[0, 42, 0], [6, 40, 45], [12, 35, 60], [18, 27, 62], [24, 16, 52]] },
+  { model: "CP-300H", ratedKw: 3.0, price: 13500, curve: [[0, 70, 0], [4, 66, 42], [8, 58, 58], [12, 46, 60], [16, 28, 50]] },
+  { model: "CP-370", ratedKw: 3.7, price: 14500, curve: [[0, 46, 0], [10, 44, 50], [20, 38, 65], [30, 29, 66], [40, 17, 55]] },
+  { model: "CP-550", ratedKw: 5.5, price: 21000, curve: [[0, 48, 0], [15, 46, 52], [30, 41, 68], [45, 31, 70], [60, 18, 58]] },
+  { model: "CP-750", ratedKw: 7.5, price: 28500, curve: [[0, 52, 0], [20, 50, 55], [40, 45, 70], [60, 32, 72], [80, 18, 60]] },
+  { model: "CP-1100", ratedKw: 11, price: 39000, curve: [[0, 55, 0], [30, 53, 58], [60, 47, 72], [90, 33, 74], [120, 18, 62]] },
+  { model: "CP-1500", ratedKw: 15, price: 52000, curve: [[0, 60, 0], [40, 58, 60], [80, 52, 74], [120, 36, 76], [160, 20, 64]] },
+  { model: "MF-150", ratedKw: 1.5, price: 9500, curve: [[0, 8.5, 0], [15, 8, 50], [30, 7, 64], [45, 5.5, 66], [60, 3.5, 55]] },
+  { model: "MF-220", ratedKw: 2.2, price: 12500, curve: [[0, 9, 0], [25, 8.5, 52], [50, 7.5, 66], [75, 5.5, 68], [100, 3, 56]] },
+  { model: "MF-400", ratedKw: 4, price: 19500, curve: [[0, 11, 0], [50, 10, 55], [100, 8.5, 70], [150, 6, 72], [200, 3, 58]] },
+  { model: "MF-750", ratedKw: 7.5, price: 31000, curve: [[0, 13, 0], [100, 12, 58], [200, 10, 73], [300, 7, 75], [400, 3.5, 60]] },
+];
+
+// Accepts { model, ratedKw|kw, price, curve } with curve points as [q, h, eff] or { flow, head, efficiency }
+function normalizePump(raw) {
+  const model = String(raw.model || raw.name || "").trim();
+  const ratedKw = parseFloat(raw.ratedKw ?? raw.kw);
+  const price = parseFloat(raw.price) || 0;
+  const curve = (raw.curve || [])
+    .map((pt) =>
+      Array.isArray(pt)
+        ? { flow: parseFloat(pt[0]), head: parseFloat(pt[1]), efficiency: parseFloat(pt[2]) }
+        : { flow: parseFloat(pt.flow), head: parseFloat(pt.head), efficiency: parseFloat(pt.efficiency) }
+    )
+    .filter((pt) => isFinite(pt.flow) && isFinite(pt.head) && isFinite(pt.efficiency))
+    .sort((a, b) => a.flow - b.flow);
+
+  if (!model) throw new Error("a pump has no model name");
+  if (!(ratedKw > 0)) throw new Error(`${model}: rated power (kW) is missing`);
+  if (curve.length < 3) throw new Error(`${model}: at least 3 curve points are needed`);
+  return { model, ratedKw, price, curve };
+}
+
+function parsePumpCatalogueJSON(text) {
+  const data = JSON.parse(text);
+  const list = Array.isArray(data) ? data : data.pumps;
+  if (!Array.isArray(list)) throw new Error("expected an array of pumps or { pumps: [...] }");
+  return list.map(normalizePump);
+}
+
+// One row per curve point: model, rated_kw, price, flow_m3h, head_m, efficiency
+function parsePumpCatalogueCSV(text) {
+  const rows = text
+    .split(/\r?\n/)
+    .map((line) => line.trim())
+    .filter(Boolean)
+    .map((line) => line.split(/[,;\t]/).map((cell) => cell.trim()));
+  const header = (rows.shift() || []).map((h) => h.toLowerCase());
+  const col = (re) => header.findIndex((h) => re.test(h));
+  const idx = {
+    model: col(/model|name/),
+    kw: col(/kw|power/),
+    price: col(/price|cost/),
+    flow: col(/flow|^q/),
+    head: col(/head|^h/),
+    efficiency: col(/eff/),
+  };
+  const missing = Object.keys(idx).filter((key) => key !== "price" && idx[key] < 0);
+  if (missing.length) throw new Error(`missing column(s): ${missing.join(", ")}`);
+
+  const byModel = new Map();
+  rows.forEach((r) => {
+    const model = r[idx.model];
+    if (!model) return;
+    if (!byModel.has(model)) {
+      byModel.set(model, { model, ratedKw: r[idx.kw], price: idx.price >= 0 ? r[idx.price] : 0, curve: [] });
+    }
+    byModel.get(model).curve.push([r[idx.flow], r[idx.head], r[idx.efficiency]]);
+  });
+  return [...byModel.values()].map(normalizePump);
+}
+
+function loadPumpCatalogue() {
+  try {
+    const stored = JSON.parse(localStorage.getItem(PUMP_CATALOGUE_LS_KEY) || "null");
+    if (stored?.pumps?.length) {
+      return { source: stored.source || "imported", pumps: stored.pumps.map(normalizePump) };
+    }
+  } catch (err) {
+    console.warn("Could not read the pump catalogue, using the built-in one", err);
+  }
+  return { source: "built-in", pumps: DEFAULT_PUMP_CATALOGUE.map(normalizePump) };
+}
+
+function savePumpCatalogue(source, pumps) {
+  try {
+    if (pumps) localStorage.setItem(PUMP_CATALOGUE_LS_KEY, JSON.stringify({ source, pumps }));
+    else localStorage.removeItem(PUMP_CATALOGUE_LS_KEY);
+  } catch (err) {
+    console.warn("Could not save the pump catalogue", err);
+  }
+}
+
+// Linear interpolation on a pump curve; null outside the published flow range
+function pumpCurveAt(curve, flow, key) {
+  if (flow < curve[0].flow || flow > curve[curve.length - 1].flow) return null;
+  for (let i = 1; i < curve.length; i++) {
+    const a = curve[i - 1];
+    const b = curve[i];
+    if (flow <= b.flow) {
+      const t = b.flow === a.flow ? 0 : (flow - a.flow) / (b.flow - a.flow);
+      return a[key] + t * (b[key] - a[key]);
+    }
+  }
+  return null;
+}
+
+// System curve: static lift + outlet pressure + network friction, scaled from the
+// solved duty point. Outlets behave as orifices (pressure ∝ Q²) and friction
+// follows Hazen–Williams (∝ Q^1.852).
+// elevationHead: ground rise from the source to the critical outlet (static, like the lift)
+function buildSystemCurve(flowLps, sourceHead, staticLift, elevationHead = 0, pressureHead = OPERATING_HEAD_M) {
+  return {
+    staticLift,
+    elevationHead,
+    pressureHead,
+    frictionHead: Math.max(0, sourceHead - pressureHead - elevationHead),
+    dutyFlowM3h: flowLps * 3.6,
+    dutyHead: staticLift + sourceHead,
+  };
+}
+
+function systemCurveHead(system, flowM3h) {
+  const ratio = system.dutyFlowM3h > 0 ? flowM3h / system.dutyFlowM3h : 0;
+  return (
+    system.staticLift +
+    (system.elevationHead || 0) +
+    system.pressureHead * ratio * ratio +
+    system.frictionHead * Math.pow(ratio, 1.852)
+  );
+}
+
+// Operating point of one pump on the system curve, with power and yearly energy cost
+function evaluatePump(pump, system, energy) {
+  const curve = pump.curve;
+  const qMin = curve[0].flow;
+  const qMax = curve[curve.length - 1].flow;
+  const excess = (q) => pumpCurveAt(curve, q, "head") - systemCurveHead(system, q);
+  const bep = curve.reduce((best, pt) => (pt.efficiency > best.efficiency ? pt : best), curve[0]);
+  const result = {
+    model: pump.model,
+    ratedKw: pump.ratedKw,
+    price: pump.price,
+    curve,
+    bepFlowM3h: bep.flow,
+    operatingPoint: null,
+    feasible: false,
+  };
+
+  if (excess(qMin) <= 0) return { ...result, status: "Shut-off head below system curve" };
+  // still above the system curve at the last point: the pump would run out
+  // past its published curve (oversized for this system, or a truncated curve)
+  if (excess(qMax) > 0) return { ...result, status: "Oversized, runs out past end of curve" };
+
+  // pump head falls and system head rises with flow, so the crossing is unique
+  let lo = qMin;
+  let hi = qMax;
+  for (let i = 0; i < 60; i++) {
+    const mid = (lo + hi) / 2;
+    if (excess(mid) > 0) lo = mid;
+    else hi = mid;
+  }
+  const flowM3h = (lo + hi) / 2;
+  const head = systemCurveHead(system, flowM3h);
+  const efficiency = pumpCurveAt(curve, flowM3h, "efficiency");
+  const shaftKw = (9.81 * (flowM3h / 3600) * head) / Math.max(0.01, efficiency / 100);
+  const inputKw = shaftKw / MOTOR_EFFICIENCY;
+
+  // A pump delivering more than the duty flow finishes the rotation sooner
+  const runtimeHPerDay = flowM3h > 0 ? energy.runtimeHPerDay * (system.dutyFlowM3h / flowM3h) : 0;
+  const annualKwh = inputKw * runtimeHPerDay * energy.daysPerYear;
+  const bepRatio = bep.flow > 0 ? flowM3h / bep.flow : 0;
+
+  let status = "OK";
+  if (flowM3h < system.dutyFlowM3h * 0.98) status = "Below duty flow";
+  else if (flowM3h > system.dutyFlowM3h * 1.25) status = "Oversized, outlet pressure too high";
+  else if (shaftKw > pump.ratedKw * 1.05) status = "Motor overloaded";
+  else if (bepRatio < 0.7 || bepRatio > 1.2) status = "OK, away from best efficiency";
+
+  return {
+    ...result,
+    operatingPoint: { flowM3h: +flowM3h.toFixed(2), head: +head.toFixed(2) },
+    efficiency: +efficiency.toFixed(1),
+    shaftKw: +shaftKw.toFixed(2),
+    inputKw: +inputKw.toFixed(2),
+    runtimeHPerDay: +runtimeHPerDay.toFixed(2),
+    annualKwh: Math.round(annualKwh),
+    annualEnergyCost: Math.round(annualKwh * energy.tariff),
+    bepRatio: +bepRatio.toFixed(2),
+    feasible: status.startsWith("OK"),
+    status,
+  };
+}
+
+// Rank the catalogue for the duty point: pumps that meet it first, then by yearly
+// energy cost (which already reflects the efficiency at each operating point)
+function selectPump(system, pumps, energy, preferredModel) {
+  const candidates = pumps
+    .map((pump) => evaluatePump(pump, system, energy))
+    .sort(
+      (a, b) =>
+        b.feasible - a.feasible ||
+        (a.annualEnergyCost ?? Infinity) - (b.annualEnergyCost ?? Infinity) ||
+        (b.efficiency || 0) - (a.efficiency || 0)
+    );
+  const recommended = candidates.find((c) => c.feasible) || null;
+  const chosen = preferredModel ? candidates.find((c) => c.model === preferredModel) : null;
+
+  return {
+    system,
+    energy,
+    candidates,
+    recommended,
+    selected: chosen || recommended,
+    manual: Boolean(chosen),
+  };
+}
+
+function populatePumpModelSelect() {
+  const select = $("pump-model");
+  if (!select) return;
+  const current = select.value;
+  select.innerHTML =
+    '<option value="">Recommended (lowest energy cost)</option>' +
+    pumpCatalogue.map((p) => `<option value="${p.model}">${p.model} – ${p.ratedKw} kW</option>`).join("");
+  select.value = pumpCatalogue.some((p) => p.model === current) ? current : "";
+
+  const info = $("pump-catalogue-info");
+  if (info) info.textContent = `${pumpCatalogue.length} pump(s) · ${pumpCatalogueSource} catalogue`;
+}
+
+function setPumpCatalogue(source, pumps, options = {}) {
+  pumpCatalogueSource = source;
+  pumpCatalogue = pumps;
+  populatePumpModelSelect();
+  if (!options.silent) onRecalculate();
+}
+
+// Import a catalogue from a .json or .csv file (replaces the current one)
+function onPumpCatalogueFile(e) {
+  const file = e.target.files?.[0];
+  if (!file) return;
+  const reader = new FileReader();
+  reader.onload = () => {
+    try {
+      const text = String(reader.result || "");
+      const pumps = /\.json$/i.test(file.name) || /^[[{]/.test(text.trim())
+        ? parsePumpCatalogueJSON(text)
+        : parsePumpCatalogueCSV(text);
+      if (!pumps.length) throw new Error("no pumps found");
+      savePumpCatalogue(file.name, pumps);
+      setPumpCatalogue(file.name, pumps);
+    } catch (err) {
+      alert(`Could not import the pump catalogue: ${err.message}`);
+    }
+    e.target.value = "";
+  };
+  reader.readAsText(file);
+}
+
+function resetPumpCatalogue() {
+  savePumpCatalogue(null, null);
+  const { source, pumps } = loadPumpCatalogue();
+  setPumpCatalogue(source, pumps);
+}
+
+function initPumpCatalogue() {
+  const { source, pumps } = loadPumpCatalogue();
+  setPumpCatalogue(source, pumps, { silent: true });
+
+  $("import-pump-catalogue")?.addEventListener("click", () => $("pump-catalogue-file").click());
+  $("pump-catalogue-file")?.addEventListener("change", onPumpCatalogueFile);
+  $("reset-pump-catalogue")?.addEventListener("click", resetPumpCatalogue);
+}
+
+// Rough pump power at an assumed efficiency, used when no catalogue pump fits
+function calculatePumpPowerHP(flowLps, totalHead, pumpEfficiency = 0.65) {
+  // pumpPower = (Q (L/s) × head (m)) / (eff × 75)
+  const hp = (flowLps * totalHead) / (pumpEfficiency * 75);
+  return {
+    hp: +hp.toFixed(2),
+    kw: +((hp || 0) * 0.746).toFixed(2),
+  };
+}
+
+// ✅ FAO-56 style water demand (input Rai → m²) with multi-stage Kc and effective rainfall
+// `basis` is the design condition from resolveDesignBasis (planner values by default)
+function calculateWaterDemandLperDay(inputs, basis = resolveDesignBasis(inputs)) {
+  const areaRai = parseFloat(inputs.areaRai) || 0;
+  const areaM2 = areaRai * 1600; // 1 Rai = 1,600 m²
+  const designKc = basis.kc;
+  const etc = basis.eto * designKc; // mm/day
+  const effectiveRain = basis.effectiveRain; // mm/day
+  // seasonal and paddy bases carry their own net, which already weights staggered plantings
+  const netIrrigation = basis.netMm ?? Math.max(0, etc - effectiveRain); // NIR (mm/day)
+  const efficiency = Math.max(0.01, (parseFloat(inputs.efficiency) || 80) / 100);
+  const appliedDepth = netIrrigation / efficiency; // GIR (mm/day applied)
+
+  // 1 mm over 1 m² = 1 liter
+  const waterDemand = appliedDepth * areaM2; // L/day
+
+  // Example check for 10 Rai:
+  // areaRai = 10, Kc = 0.3, ETo = 5, rainfall = 0
+  // ETc = 1.5 mm/day → netIrrigation = 1.5
+  // With efficiency = 80% (0.8):
+  // appliedDepth = 1.5 / 0.8 = 1.875 mm/day
+  // areaM2 = 10 * 1600 = 16,000 m²
+  // waterDemand = 1.875 * 16,000 = 30,000 L/day
+  return {
+    areaM2,
+    designKc,
+    designBasis: basis,
+    etc,
+    effectiveRain,
+    netIrrigation,
+    efficiency,
+    appliedDepth,
+    waterDemandLday: waterDemand,
+  };
+}
+
+// ✅ Wrapper to keep legacy signature, but uses new hydraulic model
+function calculateHeadLossPercent(waterDemandLday, pipeLength, mainDiameterMm, hoursPerDayOverride, lateralLengthOverride) {
+  const hoursPerDay = parseFloat(
+    hoursPerDayOverride ?? $("hoursPerDay")?.value ?? "24"
+  );
+  const secondsPerDay = Math.max(1, hoursPerDay) * 3600;
+  const flowRateLps = waterDemandLday / secondsPerDay; // L/s based on operation hours
+  const hydraulics = calculateHydraulics(
+    flowRateLps / 1000,
+    pipeLength,
+    mainDiameterMm,
+    lateralLengthOverride || pipeLength * 0.6
+  );
+  return hydraulics.headLossPercent;
+}
+
+// Full design pipeline for Planner page. `climate` is the monthly ET₀/rainfall
+// table (getMonthlyTableData's shape) the seasonal design bases read; the design
+// keeps it so rebuilds with other sizes start from the same weather.
+function buildDesignFromInputs(inputs, climate) {
+  const demand = calculateWaterDemandLperDay(inputs, resolveDesignBasis(inputs, climate));
+  const method = resolveIrrigationMethod(inputs);
+  if (method.key === "surface") return { ...buildSurfaceDesign(inputs, demand, method), climate };
+  const hoursPerDay = Math.max(1, inputs.hoursPerDay || 24);
+  const secondsPerDay = hoursPerDay * 3600;
+
+  const spacingX = Math.max(0.1, inputs.spacingX || 12);
+  const spacingY = Math.max(0.5, inputs.spacingY || 12);
+
+  const layout = buildFieldLayout(inputs);
+  const sprinklerCount = layout.sprinklerCount;
+
+  // Outlet flow is the catalogue model's at its pressure, the user's value, or
+  // the daily demand spread over all outlets and hours. Zones (and hand-move
+  // sets, one zone each) take turns, so each outlet runs for its zone's share
+  // of the day; the zone count depends on the flow, so repeat until it settles
+  // (when the source cannot supply the day's demand in the hours, no rotation fits).
+  const zoneOptions = {
+    capacityM3h: inputs.sourceCapacity,
+    appliedDepthMm: demand.appliedDepth,
+    fieldAreaM2: demand.areaM2,
+    hoursPerDay,
+    startTime: inputs.scheduleStart,
+    wettedFraction: method.wettedFraction,
+  };
+  const autoFlow = !method.emitter && !(inputs.emitterFlow > 0);
+  const sourceKeepsUp = demand.waterDemandLday / hoursPerDay / 1000 <= (inputs.sourceCapacity || Infinity);
+  const flowForZones = (zoneCount) =>
+    method.emitter
+      ? emitterFlowAt(method.emitter, method.operatingHead)
+      : autoFlow
+        ? (demand.waterDemandLday / hoursPerDay / Math.max(1, sprinklerCount)) * zoneCount
+        : inputs.emitterFlow;
+  let zoneCount = method.sprinklerMoves; // a hand-move set is one zone
+  let schedule = buildIrrigationZones(layout, { ...zoneOptions, emitterFlowLph: flowForZones(zoneCount), minZones: zoneCount });
+  while (autoFlow && sourceKeepsUp && schedule.zones.length > zoneCount && zoneCount < layout.laterals.length) {
+    zoneCount = schedule.zones.length;
+    schedule = buildIrrigationZones(layout, { ...zoneOptions, emitterFlowLph: flowForZones(zoneCount), minZones: zoneCount });
+  }
+  const emitterFlowLph = schedule.emitterFlowLph;
+  const critical = solveZonedNetwork(layout, schedule, method.operatingHead);
+  const hydraulics = summarizeNetworkHydraulics(layout.network, critical.solution, method.operatingHead);
+  hydraulics.criticalZone = critical.zone.name;
+
+  // design flow = the largest zone running on its own
+  const flowLps = (schedule.maxZoneFlowM3h * 1000) / 3600;
+  const flowM3s = flowLps / 1000;
+  const averageFlowLps = demand.waterDemandLday / secondsPerDay;
+
+  // Lateral design for the chosen outlet flow, on the steepest uphill lateral
+  // when terrain is loaded (the slope input otherwise)
+  const lateralSlopes = layout.terrain ? layout.laterals.map((l) => l.slopePercent) : [];
+  const lateralParams = {
+    diameterMm: parseFloat(inputs.lateralDiameter) || LATERAL_DIAMETER_MM,
+    emitterFlowLph: emitterFlowLph * method.emittersPerTree,
+    spacing: spacingX,
+    slopePercent: lateralSlopes.length ? Math.max(...lateralSlopes) : inputs.lateralSlope || 0,
+    operatingHead: method.operatingHead,
+    exponent: method.emitter?.exponent,
+  };
+  const lateralLimit = inputs.flowVariationLimit || 10;
+  const lateralMax = calculateMaxLateralLength(lateralParams, lateralLimit);
+  const lateralDesign = {
+    ...lateralParams,
+    flowVariationLimit: lateralLimit,
+    maxLength: lateralMax.maxLength,
+    maxOutlets: lateralMax.maxOutlets,
+    capped: lateralMax.capped,
+    atMaxLength: lateralMax.analysis,
+    longest: analyzeLateral({ ...lateralParams, length: Math.max(spacingX / 2, layout.longestLateral) }),
+  };
+
+  const valves = schedule.zones.length; // one control valve per zone
+
+  // Hand-move sprinklers: one zone's laterals are carried from set to set and
+  // every lateral position has a hydrant on the main
+  const largestSet = (count) => Math.max(0, ...schedule.zones.map(count));
+  const handMove =
+    method.sprinklerMoves > 1
+      ? {
+          moves: schedule.zones.length,
+          laterals: largestSet((z) => z.lateralIds.length),
+          lateralLength: largestSet((z) => z.lateralLength),
+          sprinklers: largestSet((z) => z.outlets),
+          hydrants: layout.lateralCount,
+        }
+      : null;
+
+  // Catalogue model: spacing against its wetted diameter (along the dripline
+  // for drip, both ways for sprinklers) and the set time for the gross depth at
+  // the rate it applies over the whole field
+  const grossRateMmH = (emitterFlowLph * method.emittersPerTree) / (spacingX * spacingY);
+  const emitter = method.emitter
+    ? {
+        model: method.emitter.model,
+        name: method.emitter.name,
+        flowLph: +emitterFlowLph.toFixed(2),
+        pressureM: method.emitter.pressureM,
+        minPressureM: method.emitter.minPressureM,
+        maxPressureM: method.emitter.maxPressureM,
+        exponent: method.emitter.exponent,
+        wettedDiameterM: method.emitter.wettedDiameterM,
+        maxSpacingPercent: method.emitter.maxSpacingPercent ?? null,
+        spacingPercent: +(
+          ((method.key === "drip" ? spacingX : Math.max(spacingX, spacingY)) / method.emitter.wettedDiameterM) *
+          100
+        ).toFixed(1),
+        grossRateMmH: +grossRateMmH.toFixed(2),
+        runTimeH: +(demand.appliedDepth / grossRateMmH).toFixed(2),
+      }
+    : null;
+
+  const pumpSizing = sizeDesignPump(inputs, flowLps, hydraulics, schedule.totalRuntimeH, method.operatingHead);
+  const uphillLimit = inputs.uphillLimit ?? 2;
+  const terrain = layout.terrain
+    ? {
+        ...layout.terrain,
+        uphillLimit,
+        uphillLaterals: layout.laterals.filter((l) => l.slopePercent > uphillLimit).map((l) => l.id),
+        steepestLateralSlope: lateralParams.slopePercent,
+      }
+    : null;
+
+  return {
+    ...demand,
+    method,
+    flowLps,
+    flowM3s,
+    averageFlowLps,
+    schedule,
+    zones: schedule.zones,
+    spacingX,
+    spacingY,
+    sprinklerCount,
+    emitter,
+    handMove,
+    valves,
+    layout,
+    terrain,
+    soil: summarizeDesignSoil(inputs),
+    lateralCount: layout.lateralCount,
+    avgLateralLength: layout.avgLateralLength,
+    longestLateral: layout.longestLateral,
+    lateralDesign,
+    maxLateralLength: lateralDesign.maxLength,
+    mainLength: layout.mainLength + layout.submainLength,
+    submainLength: layout.submainLength,
+    lateralLength: layout.lateralLength,
+    totalPipeLength: layout.totalPipeLength,
+    headLossPercent: hydraulics.headLossPercent,
+    lateralHeadLossPercent: hydraulics.lateralHeadLossPercent,
+    velocity: hydraulics.velocity,
+    totalHead: hydraulics.totalHead,
+    hydraulics,
+    ...pumpSizing,
+    surge: summarizeDesignSurge(inputs, layout.network, hydraulics, pumpSizing),
+    climate,
+  };
+}
+
+// Pump duty = static lift + source pressure of the critical zone, at its flow
+function sizeDesignPump(inputs, flowLps, hydraulics, runtimeHPerDay, pressureHead = OPERATING_HEAD_M) {
+  const staticLift = Math.max(0, inputs.staticLift || 0);
+  const pumpHead = staticLift + hydraulics.totalHead;
+  const pump = selectPump(
+    buildSystemCurve(flowLps, hydraulics.totalHead, staticLift, hydraulics.elevationHead, pressureHead),
+    pumpCatalogue,
+    {
+      runtimeHPerDay,
+      daysPerYear: Math.max(0, inputs.irrigationDays || 0),
+      tariff: Math.max(0, inputs.energyTariff || 0),
+    },
+    inputs.pumpModel
+  );
+  const pumpPower = pump.selected?.operatingPoint
+    ? { kw: pump.selected.inputKw, hp: +(pump.selected.inputKw / 0.746).toFixed(2) }
+    : calculatePumpPowerHP(flowLps, pumpHead);
+  return { staticLift, pumpHead, pump, pumpPowerHp: pumpPower.hp, pumpPowerKw: pumpPower.kw };
+}
+
+function summarizeDesignSoil(inputs) {
+  const { name, soil } = resolveSoil(inputs);
+  return {
+    name,
+    availableWaterMmPerM: Math.round(soilAvailableWater(soil)),
+    infiltrationMmH: soil.infiltrationMmH,
+    percolationMmDay: soil.percolationMmDay,
+  };
+}
+
+function initPlannerInputs() {
+  const areaRange = $("area");
+  const areaValue = $("area-value");
+
+  areaRange.addEventListener("input", () => {
+    areaValue.value = areaRange.value;
+  });
+
+  areaValue.addEventListener("input", () => {
+    let v = parseFloat(areaValue.value) || 1;
+    if (v < 1) v = 1;
+    if (v > 100) v = 100;
+    areaValue.value = v;
+    areaRange.value = v;
+  });
+
+  $("calculate-demand").addEventListener("click", onRecalculate);
+  $("generate-layout").addEventListener("click", onGenerateLayout);
+  $("validate-hydraulics").addEventListener("click", onValidateHydraulics);
+  $("show-bom").addEventListener("click", onShowBOM);
+  $("finalize-design").addEventListener("click", onFinalizeDesign);
+  $("finalize-lock-btn").addEventListener("click", onLockFinalDesign);
+  $("irrigation-method")?.addEventListener("change", onIrrigationMethodChanged);
+  populateEmitterModelSelect();
+  $("emitter-model")?.addEventListener("change", onEmitterModelChanged);
+  $("apply-pipe-sizing")?.addEventListener("click", onApplyPipeSizing);
+
+  // Trigger recalculation when key planner fields change (including new efficiency/hours inputs)
+  [
+    "area",
+    "area-value",
+    "kc",
+    "kc-initial",
+    "kc-development",
+    "kc-mid",
+    "kc-late",
+    "stage-initial-days",
+    "stage-development-days",
+    "stage-mid-days",
+    "stage-late-days",
+    "root-depth",
+    "depletion-fraction",
+    "crop-height",
+    "planting-date",
+    "planting-count",
+    "planting-interval",
+    "ratoon-cycles",
+    "soil-type",
+    "mad",
+    "paddy-mode",
+    "land-prep-days",
+    "land-prep-depth",
+    "ponding-depth",
+    "paddy-percolation",
+    "awd-dry-days",
+    "eto",
+    "rainfall",
+    "effective-rain-method",
+    "effective-rain-percent",
+    "rain-probability",
+    "design-basis",
+    "design-percentile",
+    "efficiency",
+    "wetted-fraction",
+    "emitters-per-tree",
+    "sprinkler-moves",
+    "main-diameter",
+    "main-pressure-class",
+    "submain-diameter",
+    "submain-pressure-class",
+    "valve-closure-time",
+    "max-lateral",
+    "hoursPerDay",
+    "spacingX",
+    "spacingY",
+    "layout-mode",
+    "network-type",
+    "lateral-diameter",
+    "emitter-flow",
+    "lateral-slope",
+    "uphill-limit",
+    "flow-variation-limit",
+    "source-capacity",
+    "schedule-start",
+    "static-lift",
+    "energy-tariff",
+    "irrigation-days",
+    "project-life",
+    "discount-rate",
+    "pump-model",
+    "price-list",
+  ].forEach((id) => {
+    const el = $(id);
+    if (el) el.addEventListener("input", onRecalculate);
+  });
+}
+
+// Core planner recalculation (FAO + Hazen–Williams)
+function onRecalculate() {
+  const inputs = getPlannerInputs();
+
+  const design = buildDesignFromInputs(inputs, getMonthlyTableData());
+  lastPlannerDesign = design;
+
+  $("water-demand").textContent = Math.round(design.waterDemandLday);
+  $("pipe-length").textContent = design.totalPipeLength;
+  $("head-loss").textContent = design.headLossPercent;
+  $("max-lateral-output").textContent = design.maxLateralLength.toFixed(1);
+  $("max-lateral-note").textContent = design.flood
+    ? `m · flood delivery to ${design.flood.turnouts} turnout(s), no laterals`
+    : `m${design.lateralDesign.capped ? ` or more (exceeds ${design.lateralDesign.maxOutlets} outlets)` : ""} · ≤ ${
+        design.lateralDesign.flowVariationLimit
+      }% flow variation, EU ${design.lateralDesign.atMaxLength.emissionUniformity}%`;
+  if ($("design-basis-info")) $("design-basis-info").textContent = describeDesignBasis(design.designBasis, design.netIrrigation);
+
+  updateKPIFromPlanner(
+    design.waterDemandLday,
+    design.totalPipeLength,
+    design.headLossPercent,
+    design.maxLateralLength
+  );
+
+  updateSummaryFromDesign(design, inputs);
+  renderZoneSchedule(design);
+  renderPumpSelection(design);
+  renderPipeSizing(design, inputs);
+  if ($("network-results")?.style.display === "block") renderNetworkResults(design);
+
+  if (currentProjectId) {
+    const proj = projects.find((p) => p.id === currentProjectId);
+    if (proj) {
+      proj.areaRai = inputs.areaRai;
+      proj.cropType = inputs.cropType;
+      proj.inputs = { ...inputs };
+      proj.monthly = design.climate;
+      syncProjectDraftStatus(proj);
+      // keep the cost from the last BOM or locked revision
+      proj.metrics = {
+        ...proj.metrics,
+        waterDemand: Math.round(design.waterDemandLday),
+        pipeLength: design.totalPipeLength,
+        headLoss: design.headLossPercent,
+        maxLateral: design.maxLateralLength,
+      };
+      scheduleProjectSave(proj);
+      updateSummaryFromProject(proj);
+    }
+  }
+}
+
+// -------------------------
+// PRESSURE CLASS & SURGE (working pressure and water hammer on each segment)
+// -------------------------
+
+const WATER_BULK_MODULUS_GPA = 2.19;
+const VAPOUR_PRESSURE_HEAD_M = -9.8; // gauge head at which the water column separates
+const DEFAULT_VALVE_CLOSURE_S = 5; // typical solenoid zone valve
+const PUMP_RUNDOWN_S = 2; // small irrigation pumps stop within a couple of seconds
+const PE_PRESSURE_CLASSES = [4, 6.3, 8, 10, 12.5, 16]; // PN series (bar)
+
+// Elastic modulus and ISO design stress (wall = D/SDR, SDR = 2σ/PN + 1)
+const PIPE_MATERIALS = {
+  pvc: { label: "PVC", modulusGPa: 3.0, designStressMPa: 10 },
+  pe: { label: "PE", modulusGPa: 0.9, designStressMPa: 6.3 },
+};
+
+// Korteweg wave speed (m/s): a = √(K/ρ) / √(1 + K·D/(E·e)), with D/e = SDR − 1
+// for the mean wall diameter
+function pipeWaveSpeed(material, pressureClass) {
+  const m = PIPE_MATERIALS[material] || PIPE_MATERIALS.pvc;
+  const sdr = (2 * m.designStressMPa * 10) / pressureClass + 1;
+  const k = WATER_BULK_MODULUS_GPA;
+  return Math.sqrt((k * 1e9) / 1000) / Math.sqrt(1 + (k / m.modulusGPa) * (sdr - 1));
+}
+
+function formatPressureClass(material, pressureClass) {
+  return material === "pe" ? `PN${pressureClass}` : `class ${pressureClass}`;
+}
+
+// Lowest class of the material rated for the head, null when none is
+function requiredPressureClass(material, headM) {
+  const classes = material === "pe" ? PE_PRESSURE_CLASSES : PVC_PRESSURE_CLASSES;
+  return classes.find((pc) => pc * M_PER_BAR >= headM) ?? null;
+}
+
+// Head change when the flow (m/s) stops over `stopS`: the full Joukowsky a·v/g
+// within 2L/a, Michaud's 2Lv/(g·t) when slower
+function surgeHead(waveSpeed, velocity, pipelineLength, stopS) {
+  return stopS <= (2 * pipelineLength) / waveSpeed
+    ? (waveSpeed * velocity) / 9.81
+    : (2 * pipelineLength * velocity) / (9.81 * stopS);
+}
+
+// Working and transient pressure on every rated segment of the solved network.
+// Working pressure is the running pressure or, on the main and submains, the
+// pump shut-off head against closed zone valves. Stopping the flow within 2L/a
+// gives the full Joukowsky change a·v/g, a slower stop Michaud's 2Lv/(g·t). A
+// zone valve closing raises the trunk pressure; a pump trip drops it as the
+// pump runs down and the column can come back as much above the running
+// pressure. Open outlets (flood turnouts) vent the line against separation.
+function analyzePipeSurge(network, solution, options = {}) {
+  const closureS = Math.max(0.1, options.valveClosureS || DEFAULT_VALVE_CLOSURE_S);
+
+  // pipeline length the wave travels, pump to the farthest zone valve
+  const trunkPipes = network.pipes.filter((p) => p.role !== "lateral");
+  const distance = { [network.sourceId]: 0 };
+  const queue = [network.sourceId];
+  while (queue.length) {
+    const id = queue.shift();
+    trunkPipes.forEach((p) => {
+      const next = p.from === id ? p.to : p.to === id ? p.from : null;
+      if (next === null || distance[next] !== undefined) return;
+      distance[next] = distance[id] + p.length;
+      queue.push(next);
+    });
+  }
+  const pipelineLength = Math.max(0, ...Object.values(distance));
+  const source = solution.nodes[network.sourceId];
+  const shutoffAt = (n) => options.shutoffHead - (options.staticLift || 0) + source.elevation - n.elevation;
+  const r1 = (x) => +x.toFixed(1);
+
+  const segments = solution.pipes
+    .map((p) => {
+      const pipe = network.pipes[p.id];
+      if (!pipe.pressureClass) return null; // dripline is rated by its emitter model
+      const trunk = p.role !== "lateral";
+      if (!trunk && !(p.velocity > 0)) return null; // laterals of closed zones sit behind their valve
+      const material = pipe.material || (trunk ? "pvc" : "pe");
+      const ends = [solution.nodes[p.from], solution.nodes[p.to]];
+      const running = Math.max(...ends.map((n) => n.pressure));
+      const shutoff = trunk && options.shutoffHead ? Math.max(...ends.map(shutoffAt)) : null;
+      const waveSpeed = pipeWaveSpeed(material, pipe.pressureClass);
+      const criticalTimeS = (2 * pipelineLength) / waveSpeed;
+      const valveSurge = surgeHead(waveSpeed, p.velocity, pipelineLength, closureS);
+      const tripSurge = surgeHead(waveSpeed, p.velocity, pipelineLength, PUMP_RUNDOWN_S);
+      return {
+        id: p.id,
+        role: p.role,
+        trunk,
+        material,
+        diameter: p.diameter,
+        pressureClass: pipe.pressureClass,
+        ratingM: r1(pipe.pressureClass * M_PER_BAR),
+        velocity: p.velocity,
+        running: r1(running),
+        shutoff: shutoff === null ? null : r1(shutoff),
+        working: r1(Math.max(running, shutoff ?? -Infinity)),
+        waveSpeed: Math.round(waveSpeed),
+        criticalTimeS: r1(criticalTimeS),
+        valveSurge: r1(valveSurge),
+        valvePeak: r1(running + valveSurge),
+        tripSurge: r1(tripSurge),
+        tripLow: r1(Math.min(...ends.map((n) => n.pressure)) - tripSurge),
+        tripPeak: r1(running + tripSurge),
+      };
+    })
+    .filter(Boolean);
+
+  const trunk = segments.filter((s) => s.trunk);
+  const over = (list, key) => list.filter((s) => s[key] > s.ratingM).length;
+  const worst = (list, key) => list.reduce((w, s) => (!w || s[key] - s.ratingM > w[key] - w.ratingM ? s : w), null);
+  const valve = worst(trunk, "valvePeak");
+  const lowest = trunk.reduce((w, s) => (!w || s.tripLow < w.tripLow ? s : w), null);
+  // closure slow enough to keep the rise on the worst segment within its class
+  const margin = valve ? valve.ratingM - valve.running : 0;
+  const safeClosureS =
+    valve && margin > 0
+      ? Math.ceil(Math.max(valve.criticalTimeS, (2 * pipelineLength * valve.velocity) / (9.81 * margin)))
+      : null;
+
+  return {
+    valveClosureS: closureS,
+    pipelineLength: r1(pipelineLength),
+    segments,
+    working: { worst: worst(segments, "working"), over: over(segments, "working") },
+    valve: { worst: valve, over: over(trunk, "valvePeak"), safeClosureS },
+    trip: {
+      worst: worst(trunk, "tripPeak"),
+      over: over(trunk, "tripPeak"),
+      lowest,
+      separation: Boolean(!options.vented && lowest && lowest.tripLow < VAPOUR_PRESSURE_HEAD_M),
+    },
+  };
+}
+
+// Surge summary for a built design, shut-off from the selected pump curve
+function summarizeDesignSurge(inputs, network, hydraulics, pumpSizing, options = {}) {
+  const curve = pumpSizing.pump.selected?.curve;
+  return analyzePipeSurge(network, hydraulics.solution, {
+    valveClosureS: inputs.valveClosureTime,
+    shutoffHead: curve?.length ? curve[0].head : null,
+    staticLift: pumpSizing.staticLift,
+    ...options,
+  });
+}
+
+function describeSurgeSegment(s) {
+  return `${PIPE_ROLE_LABELS[s.role].toLowerCase()} Ø${s.diameter} ${formatPressureClass(s.material, s.pressureClass)}`;
+}
+
+// "Use class X" advice for a segment that must carry `headM`
+function surgeClassAdvice(s, headM) {
+  const pc = requiredPressureClass(s.material, headM);
+  const role = PIPE_ROLE_LABELS[s.role].toLowerCase();
+  return pc
+    ? `Use ${formatPressureClass(s.material, pc)} pipe for the ${role}`
+    : `Use steel or higher-rated pipe for the ${role} (no ${PIPE_MATERIALS[s.material].label} class takes ${headM} m)`;
+}
+
+// -------------------------
+// HYDRAULIC VALIDATION & KPI CARDS
+// -------------------------
+
+function applyValidationCard(valid, notes) {
+  const card = $("validation-card");
+  const icon = $("validation-icon");
+  const status = $("validation-status");
+  const notesEl = $("validation-notes");
+
+  card.classList.remove("valid", "invalid");
+
+  if (valid) {
+    card.classList.add("valid");
+    icon.className = "fas fa-check-circle";
+    status.textContent = "Valid";
+  } else {
+    card.classList.add("invalid");
+    icon.className = "fas fa-exclamation-triangle";
+    status.textContent = "Check Design";
+  }
+  notesEl.textContent = notes || "";
+}
+
+// Functional KPI #2: Hydraulic Validation Compliance (head-loss ≤ 5%)
+// Checks run on the solved pipe network (see solvePipeNetwork)
+function validateDesign(design) {
+  const h = design.hydraulics || {};
+  const headLoss = design.headLossPercent || 0;
+  const lateralLoss = design.lateralHeadLossPercent || 0;
+  const surge = design.surge;
+
+  const checks = [
+    {
+      label: "Design condition available",
+      ok: !design.designBasis?.fallback,
+      detail: design.designBasis ? describeDesignBasis(design.designBasis, design.netIrrigation) : "Planner ET₀ and rainfall",
+      fix: "Fill the Seasonal ET₀/rainfall table and check the planting calendar, or size on the planner values.",
+    },
+    {
+      label: "Network solved",
+      ok: h.converged !== false,
+      detail: h.loopCount ? `${h.loopCount} loop(s), ${h.iterations} Hardy Cross iterations` : "Branched network",
+      fix: "The looped network did not converge; check for very small or very long pipes.",
+    },
+    {
+      label: "Main/submain head loss ≤ 5%",
+      ok: headLoss <= 5, // target head-loss ≤5% for main and laterals
+      detail: `${headLoss}% (${h.mainHeadLoss ?? "-"} m)`,
+      fix: "Increase the main pipe diameter or divide the field into more zones.",
+    },
+    // flood delivery has no laterals or outlets to check
+    ...(design.flood
+      ? []
+      : [
+          {
+            label: "Lateral head loss ≤ 5%",
+            ok: lateralLoss <= 5,
+            detail: `${lateralLoss}% (${h.lateralHeadLoss ?? "-"} m)`,
+            fix: "Shorten laterals (lower max lateral length) or use a larger lateral diameter.",
+          },
+          {
+            label: "Longest lateral within hydraulic max",
+            ok:
+              (design.longestLateral || 0) <= (design.maxLateralLength ?? Infinity) ||
+              (design.lateralDesign?.capped && design.lateralDesign.longest.flowVariation <= design.lateralDesign.flowVariationLimit),
+            detail: `${(design.longestLateral || 0).toFixed(1)} m vs ${design.maxLateralLength} m${
+              design.lateralDesign?.capped ? ` or more (exceeds ${design.lateralDesign.maxOutlets} outlets)` : ""
+            } (flow variation ${design.lateralDesign?.longest.flowVariation}%, EU ${design.lateralDesign?.longest.emissionUniformity}%)`,
+            fix: "Lower the maximum lateral length or use a larger lateral diameter.",
+          },
+        ]),
+    ...(design.terrain
+      ? [
+          {
+            label: "Terrain covers the network",
+            ok: design.terrain.sampledNodes >= design.terrain.totalNodes,
+            detail: `${design.terrain.sampledNodes} of ${design.terrain.totalNodes} node(s) on ${design.terrain.name} (${Math.round(
+              (design.terrain.sampledNodes / Math.max(1, design.terrain.totalNodes)) * 100
+            )}%); the rest take the elevation of the pipe feeding them`,
+            fix: "Import a DEM or survey points that cover the whole network, including the pump and main line.",
+          },
+        ]
+      : []),
+    ...(design.terrain && !design.flood
+      ? [
+          {
+            label: `Laterals uphill ≤ ${design.terrain.uphillLimit}%`,
+            ok: design.terrain.uphillLaterals.length === 0,
+            detail: `${design.terrain.uphillLaterals.length} of ${design.lateralCount} lateral(s) above the limit, steepest ${design.terrain.steepestLateralSlope}% (${design.terrain.name})`,
+            fix: "Run laterals along the contour (AI layout tries other directions), feed them from the high side, or use pressure-compensating emitters.",
+          },
+        ]
+      : []),
+    {
+      label: "Zones fit source capacity",
+      ok: design.schedule?.fitsCapacity !== false,
+      detail: `${design.zones?.length || 0} zone(s), max ${design.schedule?.maxZoneFlowM3h} m³/h vs ${design.schedule?.capacityM3h ?? "∞"} m³/h`,
+      fix: design.flood
+        ? `The pump flow is more than the source supplies; allow more pumping hours${
+            design.paddy ? " or stagger the plantings so land preparation is spread out" : ""
+          }.`
+        : "A single lateral draws more than the source can supply; lower the outlet flow or shorten laterals.",
+    },
+    ...(design.flood
+      ? [
+          {
+            label: "Basin stream ≥ soil intake rate",
+            ok: design.flood.basinInflowMmH >= (design.soil?.infiltrationMmH ?? 0),
+            detail: `${design.flood.basinInflowMmH} mm/h over a ${design.flood.basinAreaM2} m² strip vs ${design.soil?.infiltrationMmH} mm/h (${design.soil?.name})`,
+            fix: "Use shorter strips (lower max lateral length), narrower strips or a larger stream so water reaches the far end before it soaks in.",
+          },
+        ]
+      : [
+          {
+            label: "Application rate ≤ soil intake rate",
+            ok: (design.schedule?.maxApplicationRateMmH || 0) <= (design.soil?.infiltrationMmH ?? Infinity),
+            detail: `${design.schedule?.maxApplicationRateMmH} mm/h${
+              design.method?.localized ? ` on the wetted ${design.method.wettedFraction}%` : ""
+            } vs ${design.soil?.infiltrationMmH} mm/h (${design.soil?.name})`,
+            fix: design.method?.localized
+              ? "Use lower-flow emitters, more emitters per plant or a wider-wetting emitter so the water spreads before it ponds."
+              : "Lower the outlet flow or widen the spacing so water soaks in instead of ponding and running off.",
+          },
+        ]),
+    ...(design.method?.localized
+      ? [
+          {
+            label: `Wetted area ≥ ${MIN_WETTED_PERCENT}%`,
+            ok: design.method.wettedFraction >= MIN_WETTED_PERCENT,
+            detail: `${design.method.wettedFraction}% of the ground wetted (${design.method.label})`,
+            fix: "Add emitters per plant, use a wider-wetting emitter or a second dripline per row so enough of the root zone is watered.",
+          },
+        ]
+      : []),
+    ...(design.emitter?.maxSpacingPercent
+      ? [
+          {
+            label: `Spacing ≤ ${design.emitter.maxSpacingPercent}% of wetted diameter`,
+            ok: design.emitter.spacingPercent <= design.emitter.maxSpacingPercent,
+            detail: `${design.method.key === "drip" ? `${design.spacingX} m` : `${design.spacingX} × ${design.spacingY} m`} is ${design.emitter.spacingPercent}% of ${design.emitter.wettedDiameterM} m (${design.emitter.model})`,
+            fix:
+              design.method.key === "drip"
+                ? "Use a dripline with closer or higher-flow emitters so the wet bulbs join into a continuous strip."
+                : "Move the sprinklers closer or pick a model with a larger wetted diameter so the patterns overlap evenly.",
+          },
+        ]
+      : []),
+    ...(design.emitter
+      ? [
+          {
+            label: "Outlet pressure within model range",
+            ok: h.minEmitterPressure >= design.emitter.minPressureM && h.maxEmitterPressure <= design.emitter.maxPressureM,
+            detail: `${h.minEmitterPressure}–${h.maxEmitterPressure} m vs ${design.emitter.minPressureM}–${design.emitter.maxPressureM} m (${design.emitter.model})`,
+            fix: "Enlarge the laterals or submains, add pressure regulators at the zone inlets, or pick a pressure-compensating model.",
+          },
+        ]
+      : []),
+    {
+      label: "Rotation fits hours per day",
+      ok: design.schedule?.fitsDay !== false,
+      detail: `${design.schedule?.totalRuntimeH} h of ${design.schedule?.hoursPerDay} h`,
+      fix: "Increase source capacity or outlet flow, or allow more irrigation hours per day.",
+    },
+    {
+      label: "Pump meets duty point",
+      ok: Boolean(design.pump?.selected?.feasible),
+      detail: design.pump?.selected?.operatingPoint
+        ? `${design.pump.selected.model}: ${design.pump.selected.operatingPoint.flowM3h} m³/h at ${design.pump.selected.operatingPoint.head} m vs duty ${design.pump.system.dutyFlowM3h.toFixed(1)} m³/h at ${design.pump.system.dutyHead.toFixed(1)} m`
+        : design.pump?.selected
+          ? `${design.pump.selected.model}: ${design.pump.selected.status.toLowerCase()} (duty ${design.pump.system.dutyFlowM3h.toFixed(1)} m³/h at ${design.pump.system.dutyHead.toFixed(1)} m)`
+          : `No catalogue pump reaches ${design.pump?.system.dutyFlowM3h.toFixed(1)} m³/h at ${design.pump?.system.dutyHead.toFixed(1)} m`,
+      fix: "Pick the recommended pump, import a pump curve that covers the duty point, or split the field into smaller zones.",
+    },
+    {
+      label: `Main velocity ≤ ${MAIN_VELOCITY_LIMIT} m/s`,
+      ok: (design.velocity || 0) <= MAIN_VELOCITY_LIMIT,
+      detail: `${design.velocity} m/s`,
+      fix: "Increase the main pipe diameter to bring velocity down.",
+    },
+    ...(surge?.working.worst
+      ? [
+          {
+            label: "Pipe class ≥ working pressure",
+            ok: surge.working.over === 0,
+            detail: `${surge.working.worst.working} m ${
+              surge.working.worst.shutoff >= surge.working.worst.running ? "at pump shut-off" : "running"
+            } vs ${surge.working.worst.ratingM} m on the ${describeSurgeSegment(surge.working.worst)}${
+              surge.working.over ? ` (${surge.working.over} of ${surge.segments.length} segments over)` : ""
+            }`,
+            fix: `${surgeClassAdvice(surge.working.worst, surge.working.worst.working)}, ${
+              surge.working.worst.shutoff >= surge.working.worst.running
+                ? "or fit a pressure relief valve at the pump so the shut-off head cannot reach the pipes"
+                : "or add pressure regulators at the zone inlets"
+            }.`,
+          },
+        ]
+      : []),
+    ...(surge?.valve.worst
+      ? [
+          {
+            label: "Valve-closure surge within class",
+            ok: surge.valve.over === 0,
+            detail: `Zone valves closing in ${surge.valveClosureS} s over ${surge.pipelineLength} m (2L/a ${surge.valve.worst.criticalTimeS} s): +${surge.valve.worst.valveSurge} m, peak ${surge.valve.worst.valvePeak} m vs ${surge.valve.worst.ratingM} m on the ${describeSurgeSegment(surge.valve.worst)}`,
+            fix: `${surgeClassAdvice(surge.valve.worst, surge.valve.worst.valvePeak)}, ${
+              surge.valve.safeClosureS
+                ? `or close the zone valves over at least ${surge.valve.safeClosureS} s (slow-closing hydraulic valves)`
+                : "and close the zone valves slowly"
+            }.`,
+          },
+        ]
+      : []),
+    ...(surge?.trip.worst
+      ? [
+          {
+            label: "Pump-trip surge within class",
+            ok: surge.trip.over === 0 && !surge.trip.separation,
+            detail: `a ${surge.trip.worst.waveSpeed} m/s stopping ${surge.trip.worst.velocity} m/s in ${PUMP_RUNDOWN_S} s: ±${surge.trip.worst.tripSurge} m, lowest ${surge.trip.lowest.tripLow} m, peak ${surge.trip.worst.tripPeak} m vs ${surge.trip.worst.ratingM} m on the ${describeSurgeSegment(surge.trip.worst)}`,
+            fix: surge.trip.separation
+              ? "The water column can separate after a pump trip: fit air/vacuum valves at the pump discharge and the high points, and a non-slam check valve or surge vessel at the pump."
+              : `${surgeClassAdvice(surge.trip.worst, surge.trip.worst.tripPeak)}, or fit a surge vessel or pressure relief valve at the pump.`,
+          },
+        ]
+      : []),
+  ];
+
+  const failed = checks.filter((c) => !c.ok);
+  const valid = failed.length === 0;
+  const sizedFor = `Sized for ${design.designBasis?.label || "the planner ET₀ and rainfall"}.`;
+  const notes = valid
+    ? design.flood
+      ? `${design.paddy?.regime || design.method.label}: canal ${design.flood.canalFlowLps} L/s continuous (${design.flood.waterDutyLpsPerHa} L/s/ha), pump ${design.flood.pumpFlowLps} L/s over ${design.schedule.hoursPerDay} h. ${sizedFor}`
+      : `${design.method.label}${
+          design.emitter ? ` with ${design.emitter.model}, ${design.emitter.runTimeH} h per set for ${design.appliedDepth.toFixed(1)} mm` : ""
+        }: head loss ≤ 5% and lateral length within limit. Outlet pressure ${h.minEmitterPressure ?? "-"}–${h.maxEmitterPressure ?? "-"} m. ${sizedFor}`
+    : failed.map((c) => `${c.label}: ${c.detail}. ${c.fix}`).join(" ");
+
+  return { valid, notes, checks };
+}
+
+function onValidateHydraulics() {
+  const design = lastPlannerDesign || buildDesignFromInputs(getPlannerInputs(), getMonthlyTableData());
+  const { valid, notes } = validateDesign(design);
+
+  applyValidationCard(valid, notes);
+  renderNetworkResults(design);
+
+  if (currentProjectId) {
+    const proj = projects.find((p) => p.id === currentProjectId);
+    if (proj) {
+      proj.validation = { valid, notes };
+      persistProject(proj);
+      renderProjectsGrid();
+    }
+  }
+}
+
+// Per-segment and per-lateral results from the network solver
+function renderNetworkResults(design) {
+  const container = $("network-results");
+  const h = design.hydraulics;
+  if (!container || !h?.solution) return;
+
+  const nodes = h.solution.nodes;
+  const segmentRows = h.solution.pipes
+    .filter((p) => p.role !== "lateral")
+    .map(
+      (p) => `
+      <tr>
+        <td>${p.id}</td>
+        <td>${p.role}</td>
+        <td>${p.length}</td>
+        <td>${p.diameter}</td>
+        <td>${p.flowLps.toFixed(2)}</td>
+        <td>${p.velocity}</td>
+        <td>${p.headLoss.toFixed(3)}</td>
+        <td>${nodes[p.from].pressure.toFixed(2)} → ${nodes[p.to].pressure.toFixed(2)}</td>
+      </tr>`
+    )
+    .join("");
+
+  const lateralRows = h.laterals
+    .map(
+      (l) => `
+      <tr>
+        <td>${l.id}</td>
+        <td>${l.inletPressure.toFixed(2)}</td>
+        <td>${l.endPressure.toFixed(2)}</td>
+        <td>${l.headLoss.toFixed(3)}</td>
+        <td>${l.inletVelocity}</td>
+      </tr>`
+    )
+    .join("");
+
+  $("network-summary").innerHTML = `
+    Source pressure ${h.totalHead.toFixed(2)} m · outlet pressure ${h.minEmitterPressure}–${h.maxEmitterPressure} m ·
+    ${h.loopCount ? `${h.loopCount} loop(s), ${h.iterations} iterations` : "branched network"}
+  `;
+  $("network-segments-tbody").innerHTML = segmentRows;
+  $("network-laterals-tbody").innerHTML = lateralRows;
+  container.style.display = "block";
+}
+
+// Valve zones and their rotation within the day
+function renderZoneSchedule(design) {
+  const tbody = $("schedule-tbody");
+  const schedule = design.schedule;
+  if (!tbody || !schedule) return;
+
+  tbody.innerHTML = schedule.zones
+    .map(
+      (z) => `
+      <tr>
+        <td><span class="zone-swatch" style="background:${z.color}"></span>${z.name}</td>
+        <td>${z.lateralIds.length}</td>
+        <td>${z.outlets}</td>
+        <td>${z.areaRai}</td>
+        <td>${z.flowM3h}</td>
+        <td>${z.runtimeH}</td>
+        <td>${z.start} – ${z.end}</td>
+      </tr>`
+    )
+    .join("");
+
+  const capacity = schedule.capacityM3h ? `${schedule.capacityM3h} m³/h` : "unlimited";
+  if (design.flood) {
+    $("schedule-summary").innerHTML = `
+      ${design.paddy?.regime || design.method.label} · ${schedule.zones.length} basin group(s) flooded from turnouts at ${(schedule.emitterFlowLph / 1000).toFixed(1)} m³/h ·
+      source capacity ${capacity} · total pumping ${schedule.totalRuntimeH} h of ${schedule.hoursPerDay} h ·
+      canal flow ${design.flood.canalFlowLps} L/s continuous (${design.flood.waterDutyLpsPerHa} L/s/ha)
+      ${schedule.fitsCapacity ? "" : '<span class="schedule-warning">– pump flow exceeds the source</span>'}
+    `;
+    return;
+  }
+  $("schedule-summary").innerHTML = `
+    ${design.handMove ? `${design.handMove.moves} hand-move set(s) of ${design.handMove.laterals} lateral(s)` : `${schedule.zones.length} zone(s)`} ·
+    outlet flow ${schedule.emitterFlowLph.toFixed(1)} L/h${
+      design.emitter
+        ? ` (${design.emitter.model} at ${design.emitter.pressureM} m, ${design.emitter.runTimeH} h per set for the gross depth)`
+        : ""
+    } ·
+    source capacity ${capacity} · total runtime ${schedule.totalRuntimeH} h of ${schedule.hoursPerDay} h ·
+    application ${schedule.maxApplicationRateMmH} mm/h (soil intake ${design.soil.infiltrationMmH} mm/h)
+    ${schedule.fitsDay ? "" : '<span class="schedule-warning">– rotation does not fit the day</span>'}
+    ${
+      schedule.maxApplicationRateMmH > design.soil.infiltrationMmH
+        ? '<span class="schedule-warning">– faster than the soil takes it in</span>'
+        : ""
+    }
+  `;
+}
+
+// Catalogue pumps at their operating points, and the selected pump vs the system curve
+function renderPumpSelection(design) {
+  const tbody = $("pump-tbody");
+  const pump = design.pump;
+  if (!tbody || !pump) return;
+
+  tbody.innerHTML = pump.candidates
+    .map((c) => {
+      const op = c.operatingPoint;
+      const rowClass = [
+        c === pump.selected ? "pump-selected" : "",
+        c === pump.recommended ? "pump-recommended" : "",
+      ].join(" ");
+      return `
+      <tr class="${rowClass.trim()}">
+        <td>${c.model}${c === pump.recommended ? ' <i class="fas fa-star" title="Recommended"></i>' : ""}</td>
+        <td>${c.ratedKw}</td>
+        <td>${op ? op.flowM3h : "-"}</td>
+        <td>${op ? op.head : "-"}</td>
+        <td>${op ? c.efficiency : "-"}</td>
+        <td>${op ? c.inputKw : "-"}</td>
+        <td>${op ? c.annualEnergyCost.toLocaleString() : "-"}</td>
+        <td>${c.price.toLocaleString()}</td>
+        <td>${c.status}</td>
+      </tr>`;
+    })
+    .join("");
+
+  const sys = pump.system;
+  const sel = pump.selected;
+  $("pump-summary").innerHTML = `
+    Duty ${sys.dutyFlowM3h.toFixed(1)} m³/h at ${sys.dutyHead.toFixed(1)} m
+    (static ${sys.staticLift} m${sys.elevationHead ? ` + terrain ${sys.elevationHead.toFixed(1)} m` : ""} + outlet ${sys.pressureHead} m + friction ${sys.frictionHead.toFixed(1)} m) ·
+    ${
+      sel?.operatingPoint
+        ? `${pump.manual ? "Selected" : "Recommended"} ${sel.model}: ${sel.operatingPoint.flowM3h} m³/h at ${sel.operatingPoint.head} m, η ${sel.efficiency}%, ${sel.inputKw} kW, ฿${sel.annualEnergyCost.toLocaleString()}/yr`
+        : '<span class="schedule-warning">no catalogue pump meets the duty point</span>'
+    }
+    ${sel && !sel.feasible ? `<span class="schedule-warning">– ${sel.status.toLowerCase()}</span>` : ""}
+    ${design.designBasis ? `· sized for ${design.designBasis.label}` : ""}
+  `;
+
+  drawPumpCurveChart(pump);
+}
+
+function drawPumpCurveChart(pump) {
+  const ctx = $("pump-curve-chart")?.getContext("2d");
+  if (!ctx || typeof Chart === "undefined") return;
+  if (pumpChart) pumpChart.destroy();
+
+  const sel = pump.selected;
+  const maxFlow = Math.max(
+    pump.system.dutyFlowM3h * 1.5,
+    sel ? sel.curve[sel.curve.length - 1].flow : 0,
+    1
+  );
+  const systemPoints = Array.from({ length: 21 }, (_, i) => {
+    const q = (maxFlow * i) / 20;
+    return { x: +q.toFixed(2), y: +systemCurveHead(pump.system, q).toFixed(2) };
+  });
+
+  const datasets = [
+    {
+      label: "System curve",
+      data: systemPoints,
+      showLine: true,
+      borderColor: "#0ea5e9",
+      pointRadius: 0,
+    },
+  ];
+  if (sel) {
+    datasets.push({
+      label: `${sel.model} head`,
+      data: sel.curve.map((pt) => ({ x: pt.flow, y: pt.head })),
+      showLine: true,
+      borderColor: "#22c55e",
+    });
+  }
+  if (sel?.operatingPoint) {
+    datasets.push({
+      label: "Operating point",
+      data: [{ x: sel.operatingPoint.flowM3h, y: sel.operatingPoint.head }],
+      backgroundColor: "#e74c3c",
+      pointRadius: 6,
+    });
+  }
+
+  pumpChart = new Chart(ctx, {
+    type: "scatter",
+    data: { datasets },
+    options: {
+      responsive: true,
+      maintainAspectRatio: false,
+      scales: {
+        x: { beginAtZero: true, title: { display: true, text: "Flow (m³/h)" } },
+        y: { beginAtZero: true, title: { display: true, text: "Head (m)" } },
+      },
+    },
+  });
+}
+
+// KPI Cards (Functional KPIs)
+function updateKPIFromPlanner(waterDemand, pipeLength, headLoss, maxLateralLength) {
+  const head = isFinite(headLoss) ? headLoss : 0;
+  const lateral = isFinite(maxLateralLength) ? maxLateralLength : 0;
+  const pipe = isFinite(pipeLength) ? pipeLength : 0;
+
+  $("kpi-headloss").textContent = head.toFixed(2) + "%";
+  $("kpi-lateral").textContent = lateral.toFixed(1) + " m";
+  $("kpi-pipelength").textContent = pipe + " m";
+
+  const headLossPercentForBar = Math.min(100, (head / 10) * 100);
+  const lateralPercent = Math.min(100, (lateral / 100) * 100);
+
+  $("kpi-headloss-bar").style.width = headLossPercentForBar + "%";
+  $("kpi-lateral-bar").style.width = lateralPercent + "%";
+}
+
+// Nominal size (mm) that keeps a flow (L/s) at the given velocity (m/s)
+function sizeForVelocity(flowLps, velocity = MAIN_VELOCITY_LIMIT) {
+  return Math.sqrt((4 * (flowLps / 1000)) / (Math.PI * velocity)) * 1000;
+}
+
+// Fallback names for take-off lines the price list has no item for
+const FITTING_NAMES = {
+  tee: "Tee",
+  elbow: "Elbow 90°",
+  reducer: "Reducer",
+  saddle: "Saddle clamp",
+  "end-cap": "End cap",
+  riser: "Sprinkler riser",
+  "start-connector": "Dripline start connector",
+  "flush-valve": "Flush valve",
+  "air-valve": "Air/vacuum valve",
+};
+
+// BOM priced from the active price list: pipes by size and class, the fittings
+// take-off, valves, emitters, filter and controller for the irrigation method;
+// the pump comes from the pump catalogue. Lines are grouped (BOM_GROUPS) and
+// say why they are there.
+function buildCostItems(design, inputs) {
+  const list = getActivePriceList(inputs);
+  const lateralDiameter = parseFloat(inputs?.lateralDiameter) || LATERAL_DIAMETER_MM;
+  const zoneValveSize = sizeForVelocity(((design.schedule?.maxZoneFlowM3h || 0) * 1000) / 3600);
+  const filterSize = sizeForVelocity(design.flowLps || 0);
+  const zones = Math.max(1, design.zones?.length || design.valves || 1);
+  const pump = design.pump?.selected;
+  const method = design.method;
+  const handMove = design.handMove;
+  const emitter = design.emitter;
+
+  // `sku` picks the selected catalogue model when the list prices it
+  const line = (category, size, required, fallback, extra, pressureClass, sku) => ({
+    ...priceLine(
+      list,
+      (sku && findPriceItem(list, category, null, pressureClass, sku)) || findPriceItem(list, category, size, pressureClass),
+      required,
+      fallback
+    ),
+    category,
+    group: BOM_GROUP_OF[category],
+    refs: [],
+    ...extra,
+  });
+
+  // main and submains per diameter and class, as laid out in the network
+  const trunk = new Map();
+  design.layout.network.pipes
+    .filter((p) => p.role !== "lateral")
+    .forEach((p) => {
+      const pressureClass = p.pressureClass ?? inputs?.mainPressureClass;
+      const k = `${p.diameter}|${pressureClass}`;
+      const t = trunk.get(k) || { diameter: p.diameter, pressureClass, length: 0, roles: new Set() };
+      t.length += p.length;
+      t.roles.add(p.role);
+      trunk.set(k, t);
+    });
+
+  const items = [...trunk.values()].map(({ diameter, pressureClass, length, roles }) =>
+    line(
+      "main-pipe",
+      diameter,
+      +length.toFixed(1),
+      { name: `Main pipe Ø${diameter} mm`, unit: "m" },
+      { reason: `${roles.size > 1 ? "Main and submain" : roles.has("main") ? "Main" : "Submain"} segments of the layout` },
+      pressureClass
+    )
+  );
+  if (method.key === "drip") {
+    items.push(
+      line(
+        "dripline",
+        lateralDiameter,
+        design.lateralLength || 0,
+        { name: emitter?.name || `Dripline Ø${lateralDiameter} mm`, unit: "m" },
+        { reason: `${design.lateralCount} driplines, ${design.schedule.emitterFlowLph.toFixed(1)} L/h every ${design.spacingX} m` },
+        null,
+        emitter?.model
+      )
+    );
+  } else {
+    items.push(
+      line(
+        "lateral-pipe",
+        lateralDiameter,
+        handMove ? handMove.lateralLength : design.lateralLength || 0,
+        { name: `Lateral pipe Ø${lateralDiameter} mm`, unit: "m" },
+        { reason: handMove ? `Portable laterals of the largest of ${handMove.moves} sets` : `${design.lateralCount} laterals` }
+      )
+    );
+  }
+
+  buildFittingsTakeoff(design, inputs).forEach((f) => {
+    const name = `${FITTING_NAMES[f.category]}${f.size ? ` Ø${f.size} mm` : ""}`;
+    items.push(line(f.category, f.size, f.required, { name, unit: "pcs" }, { reason: f.reason, refs: f.refs }));
+  });
+
+  if (design.flood) {
+    // basins are flooded by hand from open turnouts: no outlets, filter or controller
+    items.push(
+      line("valve", zoneValveSize, zones, { name: "Turnout gate valves", unit: "pcs" }, { reason: "One per basin turnout" })
+    );
+  } else {
+    const outlets = handMove ? handMove.sprinklers : design.sprinklerCount || 0;
+    items.push(
+      handMove
+        ? line("hydrant", null, handMove.hydrants, { name: "Hydrant valves", unit: "pcs" }, {
+            reason: "One per lateral position on the main",
+          })
+        : line("valve", zoneValveSize, zones, { name: "Zone control valves", unit: "pcs" }, { reason: "One per valve zone" })
+    );
+    if (method.localized) {
+      items.push(
+        line("pressure-regulator", zoneValveSize, zones, { name: "Pressure regulators", unit: "pcs" }, {
+          reason: `Holds ${method.operatingHead} m at each zone inlet`,
+        })
+      );
+    }
+    // drippers are built into the dripline
+    if (method.key === "micro") {
+      items.push(
+        line(
+          "micro-sprinkler",
+          null,
+          outlets,
+          { name: emitter?.name || "Micro-sprinklers", unit: "pcs" },
+          { reason: `${method.emittersPerTree} per tree` },
+          null,
+          emitter?.model
+        )
+      );
+    } else if (method.key === "sprinkler") {
+      items.push(
+        line(
+          "sprinkler",
+          null,
+          outlets,
+          { name: emitter?.name || "Sprinkler heads", unit: "pcs" },
+          { reason: handMove ? "On the portable laterals" : "Outlets in the layout" },
+          null,
+          emitter?.model
+        )
+      );
+    }
+    items.push(
+      line("filter", filterSize, 1, { name: "Filter set", unit: "set" }, {
+        reason: `Sized for ${(design.flowLps * 3.6).toFixed(1)} m³/h at ${MAIN_VELOCITY_LIMIT} m/s`,
+      })
+    );
+    // hand-move sets are opened at the hydrants, not from a controller
+    if (!handMove) {
+      items.push(
+        line("controller", zones, 1, { name: `Irrigation controller (${zones} stations)`, unit: "set" }, {
+          reason: `${zones} valve zone(s)`,
+        })
+      );
+    }
+  }
+
+  items.push({
+    ...(pump
+      ? {
+          name: `Pump ${pump.model} (${pump.ratedKw} kW)`,
+          sku: pump.model,
+          listPrice: pump.price,
+          unitPrice: +(pump.price * (1 - listDiscount(list))).toFixed(2),
+          supplier: `Pump catalogue (${pumpCatalogueSource})`,
+          reason: pump.operatingPoint
+            ? `Operating point ${pump.operatingPoint.flowM3h} m³/h at ${pump.operatingPoint.head} m`
+            : pump.status,
+        }
+      : {
+          name: `Pump (approx ${design.pumpPowerKw || 0} kW, no catalogue match)`,
+          sku: null,
+          listPrice: 45000,
+          unitPrice: 45000,
+          supplier: "Estimate",
+          reason: "No catalogue pump meets the duty point",
+        }),
+    required: 1,
+    qty: 1,
+    unit: "set",
+    category: "pump",
+    group: "Pump",
+    refs: [],
+  });
+
+  return items
+    .filter((it) => it.required > 0)
+    .sort((a, b) => BOM_GROUPS.indexOf(a.group) - BOM_GROUPS.indexOf(b.group));
+}
+
+function updateSummaryFromDesign(design, inputs) {
+  if (!design) return;
+  const mainInputs = inputs || getPlannerInputs();
+
+  updateKPIFromPlanner(
+    design.waterDemandLday || 0,
+    design.totalPipeLength || 0,
+    design.headLossPercent || 0,
+    design.maxLateralLength || 0
+  );
+
+  const items = buildCostItems(design, mainInputs);
+  const cost = summarizeCost(items, getActivePriceList(mainInputs));
+  $("kpi-cost").textContent = formatCostKpi(cost);
+
+  updateCostCharts(items, cost.total, design.zones || []);
+}
+
+// -------------------------
+// PRICE LISTS (material catalogue, VAT, discounts)
+// -------------------------
+
+const PRICE_LISTS_LS_KEY = "irrigation-price-lists";
+const PVC_PRESSURE_CLASSES = [5, 8.5, 13.5]; // Thai PVC classes (bar)
+
+// Baht/m excl. VAT for PVC pipe in 4 m lengths, per diameter: [class 5, 8.5, 13.5]
+const PVC_PIPE_PRICES = {
+  50: [35, 50, 72],
+  63: [52, 75, 105],
+  75: [70, 100, 140],
+  90: [95, 135, 190],
+  110: [140, 200, 280],
+  125: [180, 255, 360],
+  140: [225, 320, 450],
+  160: [290, 410, 580],
+};
+
+// PE lateral pipe (PN4): [Baht/m, roll length m]
+const PE_PIPE_PRICES = {
+  16: [6, 200],
+  20: [8, 200],
+  25: [12, 100],
+  32: [18, 100],
+  40: [28, 100],
+  50: [42, 50],
+};
+
+// PVC fittings, Baht/pc by main diameter (reducers priced by their larger end)
+const PVC_FITTING_PRICES = {
+  tee: { label: "PVC tee", prices: { 50: 35, 63: 60, 75: 85, 90: 130, 110: 190, 125: 260, 140: 340, 160: 450 } },
+  elbow: { label: "PVC elbow 90°", prices: { 50: 30, 63: 50, 75: 70, 90: 110, 110: 160, 125: 220, 140: 290, 160: 380 } },
+  reducer: { label: "PVC reducer", prices: { 63: 35, 75: 45, 90: 65, 110: 95, 125: 130, 140: 170, 160: 220 } },
+  saddle: { label: "Saddle clamp", prices: { 50: 45, 63: 55, 75: 65, 90: 80, 110: 95, 125: 120, 140: 140, 160: 165 } },
+};
+
+const PE_END_CAP_PRICES = { 16: 3, 20: 4, 25: 6, 32: 9, 40: 14, 50: 22 };
+
+// Dripline with built-in emitters: [Baht/m, roll length m]
+const DRIPLINE_PRICES = {
+  16: [4.5, 500],
+  20: [6.5, 300],
+};
+
+// Built-in list: base prices × regional factor
+function makeDefaultPriceList(id, name, region, supplier, effectiveDate, factor, discountPercent) {
+  const price = (baht) => Math.round(baht * factor * 100) / 100;
+  const item = (fields) => ({
+    supplier,
+    effectiveDate,
+    pressureClass: null,
+    diameter: null,
+    stations: null,
+    packSize: 1,
+    ...fields,
+  });
+  const items = [];
+
+  Object.entries(PVC_PIPE_PRICES).forEach(([d, prices]) => {
+    PVC_PRESSURE_CLASSES.forEach((pc, i) => {
+      items.push(
+        item({
+          sku: `PVC-${d}-${pc}`,
+          category: "main-pipe",
+          name: `PVC pipe Ø${d} mm class ${pc}`,
+          diameter: +d,
+          pressureClass: pc,
+          unit: "m",
+          packSize: 4,
+          packUnit: "length",
+          price: price(prices[i]),
+        })
+      );
+    });
+  });
+  Object.entries(PE_PIPE_PRICES).forEach(([d, [perM, roll]]) => {
+    items.push(
+      item({
+        sku: `PE-${d}-PN4`,
+        category: "lateral-pipe",
+        name: `PE pipe Ø${d} mm PN4`,
+        diameter: +d,
+        pressureClass: 4,
+        unit: "m",
+        packSize: roll,
+        packUnit: "roll",
+        price: price(perM),
+      })
+    );
+  });
+  Object.entries(DRIPLINE_PRICES).forEach(([d, [perM, roll]]) => {
+    items.push(
+      item({
+        sku: `DRIP-${d}`,
+        category: "dripline",
+        name: `Dripline Ø${d} mm, built-in emitters`,
+        diameter: +d,
+        unit: "m",
+        packSize: roll,
+        packUnit: "roll",
+        price: price(perM),
+      })
+    );
+  });
+  items.push(
+    item({
+      sku: "SPR-MINI",
+      category: "sprinkler",
+      name: "Mini sprinkler head",
+      unit: "pcs",
+      packSize: 10,
+      packUnit: "pack",
+      price: price(85),
+    }),
+    item({
+      sku: "MSP-STAKE",
+      category: "micro-sprinkler",
+      name: "Micro-sprinkler on stake with 60 cm tube",
+      unit: "pcs",
+      packSize: 50,
+      packUnit: "pack",
+      price: price(18),
+    })
+  );
+  // emitter catalogue models under their own SKU, after the generic items that
+  // custom outlets are priced from
+  DEFAULT_EMITTER_CATALOGUE.forEach((e) => {
+    const drip = e.type === "drip";
+    items.push(
+      item({
+        sku: e.model,
+        category: EMITTER_PRICE_CATEGORY[e.type],
+        name: e.name,
+        diameter: e.diameterMm ?? null,
+        unit: drip ? "m" : "pcs",
+        ...(e.packSize > 1 ? { packSize: e.packSize, packUnit: drip ? "roll" : "pack" } : {}),
+        price: price(e.price),
+      })
+    );
+  });
+
+  // one item per size; `prices` maps size -> Baht
+  const sized = (skuPrefix, category, label, prices, unit = "pcs", sizeKey = "diameter") => {
+    Object.entries(prices).forEach(([size, baht]) => {
+      items.push(
+        item({
+          sku: `${skuPrefix}-${size}`,
+          category,
+          name: label(size),
+          [sizeKey]: +size,
+          unit,
+          price: price(baht),
+        })
+      );
+    });
+  };
+  sized("VLV", "valve", (d) => `Zone control valve Ø${d} mm`, { 50: 550, 63: 750, 75: 950, 90: 1300, 110: 1800 });
+  sized("PRV", "pressure-regulator", (d) => `Pressure regulator Ø${d} mm`, { 50: 1100, 63: 1500, 75: 1900, 90: 2600, 110: 3500 });
+  sized("SC", "start-connector", (d) => `Dripline start connector with grommet Ø${d} mm`, { 16: 6, 20: 8 });
+  Object.entries(PVC_FITTING_PRICES).forEach(([category, { label, prices }]) => {
+    sized(category.toUpperCase(), category, (d) => `${label} Ø${d} mm`, prices);
+  });
+  sized("CAP", "end-cap", (d) => `PE end cap Ø${d} mm`, PE_END_CAP_PRICES);
+  sized("FLT", "filter", (d) => `Disc filter set Ø${d} mm`, { 63: 6500, 90: 9500, 110: 14000 }, "set");
+  sized(
+    "CTRL",
+    "controller",
+    (n) => `Irrigation controller, ${n} stations`,
+    { 4: 3500, 8: 5500, 12: 7500, 24: 12500 },
+    "set",
+    "stations"
+  );
+  items.push(
+    item({ sku: "RSR-15", category: "riser", name: "Sprinkler riser ½\" × 60 cm", unit: "pcs", price: price(25) }),
+    item({ sku: "HYD-40", category: "hydrant", name: "Quick-coupling hydrant valve 1½\"", unit: "pcs", price: price(420) }),
+    item({ sku: "FLV-50", category: "flush-valve", name: "Flush valve 2\"", unit: "pcs", price: price(450) }),
+    item({ sku: "AIR-25", category: "air-valve", name: "Air/vacuum valve 1\"", unit: "pcs", price: price(650) })
+  );
+
+  return { id, name, region, vatPercent: 7, discountPercent, items };
+}
+
+const DEFAULT_PRICE_LISTS = [
+  makeDefaultPriceList("central-standard", "Central – Standard", "Bangkok & Central", "Central Agri Supply", "2026-01-01", 1, 0),
+  makeDefaultPriceList("northeast-dealer", "Northeast – Dealer", "Khon Kaen", "Isan Irrigation Co.", "2026-03-01", 1.06, 5),
+];
+
+function loadPriceLists() {
+  try {
+    const stored = JSON.parse(localStorage.getItem(PRICE_LISTS_LS_KEY) || "null");
+    if (Array.isArray(stored) && stored.length) {
+      // Saved copies of the built-in lists pick up SKUs added since they were saved
+      stored.forEach((list) => {
+        const builtIn = DEFAULT_PRICE_LISTS.find((l) => l.id === list.id);
+        const skus = new Set(list.items.map((it) => it.sku));
+        builtIn?.items.forEach((it) => {
+          if (!skus.has(it.sku)) list.items.push({ ...it });
+        });
+      });
+      return stored;
+    }
+  } catch (err) {
+    console.warn("Could not read price lists, using the built-in ones", err);
+  }
+  return JSON.parse(JSON.stringify(DEFAULT_PRICE_LISTS));
+}
+
+function savePriceLists() {
+  try {
+    localStorage.setItem(PRICE_LISTS_LS_KEY, JSON.stringify(priceLists));
+  } catch (err) {
+    console.warn("Could not save price lists", err);
+  }
+}
+
+function getActivePriceList(inputs) {
+  return priceLists.find((l) => l.id === inputs?.priceListId) || priceLists[0] || null;
+}
+
+// Catalogue item for a category (and size/class): items not yet effective are
+// skipped, the latest effective date wins per SKU, and sizes round up to the
+// next size in the list (none when the list has nothing large enough). Size is
+// the diameter in mm, or the number of stations for controllers. `sku` narrows
+// it to one product.
+function findPriceItem(list, category, size, pressureClass, sku) {
+  const today = new Date().toISOString().slice(0, 10);
+  const bySku = new Map();
+  (list?.items || [])
+    .filter((it) => it.category === category && (!it.effectiveDate || it.effectiveDate <= today))
+    .filter((it) => !sku || it.sku === sku)
+    .filter((it) => pressureClass == null || it.pressureClass == null || +it.pressureClass === +pressureClass)
+    .forEach((it) => {
+      const prev = bySku.get(it.sku);
+      if (!prev || (it.effectiveDate || "") > (prev.effectiveDate || "")) bySku.set(it.sku, it);
+    });
+
+  const candidates = [...bySku.values()];
+  if (!candidates.length || size == null) return candidates[0] || null;
+  const sizeOf = (it) => it.diameter ?? it.stations;
+  const sized = candidates.filter((it) => sizeOf(it) != null).sort((a, b) => sizeOf(a) - sizeOf(b));
+  if (!sized.length) return candidates[0];
+  return sized.find((it) => sizeOf(it) >= size) || null;
+}
+
+// List discount as a fraction
+function listDiscount(list) {
+  return Math.min(100, Math.max(0, parseFloat(list?.discountPercent) || 0)) / 100;
+}
+
+// BOM line priced from the list: quantity rounds up to whole packs/rolls and the
+// list discount is taken off the unit price. Items the list does not carry stay
+// on the BOM unpriced, and the total is flagged as incomplete.
+function priceLine(list, item, required, fallback) {
+  if (!item) {
+    return {
+      ...fallback,
+      sku: null,
+      required,
+      qty: required,
+      unitPrice: 0,
+      listPrice: 0,
+      unpriced: true,
+      supplier: "Not in price list",
+    };
+  }
+  const packSize = Math.max(1e-9, parseFloat(item.packSize) || 1);
+  const packs = Math.ceil(required / packSize - 1e-9);
+  const discount = listDiscount(list);
+  const listPrice = parseFloat(item.price) || 0;
+
+  return {
+    name: item.name,
+    sku: item.sku,
+    required,
+    qty: +(packs * packSize).toFixed(2),
+    unit: item.unit,
+    packs,
+    packSize,
+    packUnit: item.packUnit || item.unit,
+    listPrice,
+    unitPrice: +(listPrice * (1 - discount)).toFixed(2),
+    supplier: item.supplier || "",
+    effectiveDate: item.effectiveDate || "",
+  };
+}
+
+// Subtotal (after discount), VAT and grand total for a set of BOM lines, with
+// the number of lines still to be priced
+function summarizeCost(items, list) {
+  const subtotal = +items.reduce((sum, it) => sum + it.qty * it.unitPrice, 0).toFixed(2);
+  const vatPercent = parseFloat(list?.vatPercent) || 0;
+  const vat = +((subtotal * vatPercent) / 100).toFixed(2);
+  return {
+    priceList: list ? list.name : "None",
+    discountPercent: parseFloat(list?.discountPercent) || 0,
+    subtotal,
+    vatPercent,
+    vat,
+    total: +(subtotal + vat).toFixed(2),
+    unpriced: items.filter((it) => it.unpriced).length,
+  };
+}
+
+// KPI text for a cost summary; "+" marks a total that misses unpriced lines
+function formatCostKpi(cost) {
+  return "฿" + cost.total.toLocaleString() + (cost.unpriced ? "+" : "");
+}
+
+const PRICE_ITEM_CATEGORIES = [
+  "main-pipe",
+  "lateral-pipe",
+  "dripline",
+  "tee",
+  "elbow",
+  "reducer",
+  "saddle",
+  "start-connector",
+  "end-cap",
+  "riser",
+  "valve",
+  "hydrant",
+  "pressure-regulator",
+  "flush-valve",
+  "air-valve",
+  "sprinkler",
+  "micro-sprinkler",
+  "filter",
+  "controller",
+];
+const PRICE_CSV_COLUMNS = [
+  "sku",
+  "category",
+  "name",
+  "diameter",
+  "pressureClass",
+  "stations",
+  "unit",
+  "packSize",
+  "packUnit",
+  "price",
+  "supplier",
+  "effectiveDate",
+];
+
+function populatePriceListSelect() {
+  const select = $("price-list");
+  if (!select) return;
+  const current = select.value;
+  select.innerHTML = priceLists
+    .map(
+      (l) =>
+        `<option value="${escapeHtml(l.id)}">${escapeHtml(l.name)}${l.region ? ` (${escapeHtml(l.region)})` : ""}</option>`
+    )
+    .join("");
+  select.value = priceLists.some((l) => l.id === current) ? current : priceLists[0]?.id || "";
+
+  const list = getActivePriceList({ priceListId: select.value });
+  const info = $("price-list-info");
+  if (info && list) {
+    info.textContent = `VAT ${list.vatPercent}% · discount ${list.discountPercent}% · ${list.items.length} item(s)`;
+  }
+}
+
+// Price lists changed: save, refresh the planner select and the costs
+function onPriceListsChanged() {
+  savePriceLists();
+  populatePriceListSelect();
+  onRecalculate();
+  if ($("bom-container")?.style.display === "block") onShowBOM();
+}
+
+function renderPriceListEditor(listId) {
+  const list = priceLists.find((l) => l.id === listId) || priceLists[0];
+  if (!list) return;
+
+  $("price-edit-select").innerHTML = priceLists
+    .map((l) => `<option value="${escapeHtml(l.id)}" ${l === list ? "selected" : ""}>${escapeHtml(l.name)}</option>`)
+    .join("");
+  $("price-edit-name").value = list.name;
+  $("price-edit-region").value = list.region || "";
+  $("price-edit-vat").value = list.vatPercent;
+  $("price-edit-discount").value = list.discountPercent;
+  $("delete-price-list-btn").disabled = priceLists.length < 2;
+
+  const cell = (i, field, value, type = "text") =>
+    `<input type="${type}" class="price-cell" data-i="${i}" data-field="${field}" value="${escapeHtml(value)}">`;
+  $("price-items-tbody").innerHTML = list.items
+    .map(
+      (it, i) => `
+      <tr>
+        <td>${cell(i, "sku", it.sku)}</td>
+        <td>
+          <select class="price-cell" data-i="${i}" data-field="category">
+            ${PRICE_ITEM_CATEGORIES.map((c) => `<option ${c === it.category ? "selected" : ""}>${c}</option>`).join("")}
+          </select>
+        </td>
+        <td>${cell(i, "name", it.name)}</td>
+        <td>${cell(i, "diameter", it.diameter, "number")}</td>
+        <td>${cell(i, "pressureClass", it.pressureClass, "number")}</td>
+        <td>${cell(i, "stations", it.stations, "number")}</td>
+        <td>${cell(i, "unit", it.unit)}</td>
+        <td>${cell(i, "packSize", it.packSize, "number")}</td>
+        <td>${cell(i, "price", it.price, "number")}</td>
+        <td>${cell(i, "supplier", it.supplier)}</td>
+        <td>${cell(i, "effectiveDate", it.effectiveDate, "date")}</td>
+        <td><button class="btn-action btn-small" data-remove="${i}" title="Remove item"><i class="fas fa-trash"></i></button></td>
+      </tr>`
+    )
+    .join("");
+}
+
+function getEditedPriceList() {
+  return priceLists.find((l) => l.id === $("price-edit-select").value) || priceLists[0];
+}
+
+function openPriceListEditor() {
+  renderPriceListEditor($("price-list")?.value);
+  openModal("price-list-modal");
+}
+
+function onPriceItemEdited(e) {
+  const el = e.target;
+  const list = getEditedPriceList();
+  const item = list?.items[el.dataset.i];
+  if (!item || !el.dataset.field) return;
+  const numeric = ["diameter", "pressureClass", "stations", "packSize", "price"].includes(el.dataset.field);
+  item[el.dataset.field] = numeric ? (el.value === "" ? null : parseFloat(el.value)) : el.value;
+  onPriceListsChanged();
+}
+
+function onPriceListHeaderEdited() {
+  const list = getEditedPriceList();
+  if (!list) return;
+  list.name = $("price-edit-name").value.trim() || list.name;
+  list.region = $("price-edit-region").value.trim();
+  list.vatPercent = parseFloat($("price-edit-vat").value) || 0;
+  list.discountPercent = parseFloat($("price-edit-discount").value) || 0;
+  onPriceListsChanged();
+  renderPriceListEditor(list.id);
+}
+
+function addPriceListFrom(source, name) {
+  const list = {
+    ...JSON.parse(JSON.stringify(source)),
+    id: "list_" + Math.random().toString(36).substring(2, 9),
+    name,
+  };
+  priceLists.push(list);
+  onPriceListsChanged();
+  renderPriceListEditor(list.id);
+}
+
+function deletePriceList() {
+  const list = getEditedPriceList();
+  if (!list || priceLists.length < 2) return;
+  if (!confirm(`Delete price list "${list.name}"?`)) return;
+  priceLists = priceLists.filter((l) => l !== list);
+  onPriceListsChanged();
+  renderPriceListEditor(priceLists[0].id);
+}
+
+function priceListToCSV(list) {
+  const escape = (v) => {
+    const text = String(v ?? "");
+    return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  };
+  const rows = list.items.map((it) => PRICE_CSV_COLUMNS.map((c) => escape(it[c])).join(","));
+  return [PRICE_CSV_COLUMNS.join(","), ...rows].join("\n");
+}
+
+// CSV with a header row using the PRICE_CSV_COLUMNS names (simple quoted cells allowed)
+function parsePriceListCSV(text) {
+  const rows = text
+    .split(/\r?\n/)
+    .filter((line) => line.trim())
+    .map((line) =>
+      (line.match(/("([^"]|"")*"|[^,]*)(,|$)/g) || []).map((cell) =>
+        cell.replace(/,$/, "").replace(/^"|"$/g, "").replace(/""/g, '"').trim()
+      )
+    );
+  const header = rows.shift() || [];
+  if (!["sku", "category", "price"].every((c) => header.includes(c))) {
+    throw new Error("the header needs at least sku, category and price columns");
+  }
+  return rows.map((r) => {
+    const item = {};
+    header.forEach((h, i) => {
+      if (PRICE_CSV_COLUMNS.includes(h)) item[h] = r[i] ?? "";
+    });
+    ["diameter", "pressureClass", "stations", "packSize", "price"].forEach((key) => {
+      item[key] = item[key] === "" || item[key] === undefined ? null : parseFloat(item[key]);
+    });
+    item.packSize = item.packSize || 1;
+    return item;
+  });
+}
+
+function onPriceListFile(e) {
+  const file = e.target.files?.[0];
+  if (!file) return;
+  const reader = new FileReader();
+  reader.onload = () => {
+    try {
+      const items = parsePriceListCSV(String(reader.result || ""));
+      if (!items.length) throw new Error("no items found");
+      addPriceListFrom(
+        { region: "", vatPercent: 7, discountPercent: 0, items },
+        file.name.replace(/\.[^.]+$/, "")
+      );
+    } catch (err) {
+      alert(`Could not import the price list: ${err.message}`);
+    }
+    e.target.value = "";
+  };
+  reader.readAsText(file);
+}
+
+function exportPriceList() {
+  const list = getEditedPriceList();
+  if (!list) return;
+  const blob = new Blob([priceListToCSV(list)], { type: "text/csv" });
+  const link = document.createElement("a");
+  link.href = URL.createObjectURL(blob);
+  link.download = `${list.name.replace(/[^\w-]+/g, "_")}.csv`;
+  link.click();
+  URL.revokeObjectURL(link.href);
+}
+
+function initPriceLists() {
+  priceLists = loadPriceLists();
+  populatePriceListSelect();
+
+  $("edit-price-lists")?.addEventListener("click", openPriceListEditor);
+  $("price-edit-select")?.addEventListener("change", (e) => renderPriceListEditor(e.target.value));
+  ["price-edit-name", "price-edit-region", "price-edit-vat", "price-edit-discount"].forEach((id) =>
+    $(id)?.addEventListener("change", onPriceListHeaderEdited)
+  );
+  $("price-items-tbody")?.addEventListener("change", onPriceItemEdited);
+  $("price-items-tbody")?.addEventListener("click", (e) => {
+    const btn = e.target.closest("[data-remove]");
+    if (!btn) return;
+    const list = getEditedPriceList();
+    list.items.splice(+btn.dataset.remove, 1);
+    onPriceListsChanged();
+    renderPriceListEditor(list.id);
+  });
+  $("add-price-item-btn")?.addEventListener("click", () => {
+    const list = getEditedPriceList();
+    list.items.push({
+      sku: "",
+      category: "main-pipe",
+      name: "New item",
+      diameter: null,
+      pressureClass: null,
+      stations: null,
+      unit: "pcs",
+      packSize: 1,
+      price: 0,
+      supplier: "",
+      effectiveDate: new Date().toISOString().slice(0, 10),
+    });
+    onPriceListsChanged();
+    renderPriceListEditor(list.id);
+  });
+  $("copy-price-list-btn")?.addEventListener("click", () => {
+    const list = getEditedPriceList();
+    addPriceListFrom(list, `${list.name} (copy)`);
+  });
+  $("delete-price-list-btn")?.addEventListener("click", deletePriceList);
+  $("import-price-list-btn")?.addEventListener("click", () => $("price-list-file").click());
+  $("price-list-file")?.addEventListener("change", onPriceListFile);
+  $("export-price-list-btn")?.addEventListener("click", exportPriceList);
+}
+
+// -------------------------
+// FITTINGS TAKE-OFF (from the layout network topology)
+// -------------------------
+
+const PIPE_SIZES_MM = Object.keys(PVC_PIPE_PRICES).map(Number);
+const AIR_VALVE_SPACING_M = 500; // extra air/vacuum valve every 500 m of main
+const ELBOW_MIN_ANGLE_DEG = 10;
+
+// BOM groups in display order, and the group of each price-list category
+const BOM_GROUPS = ["Pipes", "Fittings", "Valves", "Emitters", "Filtration", "Pump", "Control"];
+const BOM_GROUP_OF = {
+  "main-pipe": "Pipes",
+  "lateral-pipe": "Pipes",
+  dripline: "Pipes",
+  tee: "Fittings",
+  elbow: "Fittings",
+  reducer: "Fittings",
+  saddle: "Fittings",
+  "start-connector": "Fittings",
+  "end-cap": "Fittings",
+  riser: "Fittings",
+  valve: "Valves",
+  hydrant: "Valves",
+  "pressure-regulator": "Valves",
+  "flush-valve": "Valves",
+  "air-valve": "Valves",
+  sprinkler: "Emitters",
+  "micro-sprinkler": "Emitters",
+  filter: "Filtration",
+  pump: "Pump",
+  controller: "Control",
+};
+
+// Smallest standard pipe size that fits a bore (mm)
+function nominalPipeSize(mm) {
+  return PIPE_SIZES_MM.find((d) => d >= mm) || PIPE_SIZES_MM[PIPE_SIZES_MM.length - 1];
+}
+
+// Fittings counted from the network: every lateral connection, trunk junction,
+// bend, dead end and diameter change. Each line keeps a reason and the ids of
+// the laterals (L#) or nodes (N#) it was counted at.
+function buildFittingsTakeoff(design, inputs) {
+  const { nodes, pipes, laterals, sourceId } = design.layout.network;
+  const lines = new Map();
+  const add = (category, size, count, reason, ref, extra = {}) => {
+    if (count <= 0) return;
+    const key = `${category}:${size ?? ""}:${reason}`;
+    if (!lines.has(key)) lines.set(key, { category, size, required: 0, reason, refs: [], ...extra });
+    const line = lines.get(key);
+    line.required += count;
+    if (ref) line.refs.push(ref);
+  };
+
+  const turnoutNodes = new Set(design.zones.map((z) => z.turnoutNode).filter((id) => id !== undefined));
+  const trunkAt = nodes.map(() => []);
+  pipes
+    .filter((p) => p.role !== "lateral")
+    .forEach((p) => {
+      trunkAt[p.from].push(p);
+      trunkAt[p.to].push(p);
+    });
+  const pipeSize = (p) => nominalPipeSize(p.diameter);
+
+  // Lateral connections: driplines push into a grommet, other laterals take a
+  // saddle on a main at least twice the lateral size, otherwise a tee
+  const method = design.method;
+  const handMove = design.handMove;
+  laterals.forEach((l) => {
+    const mainPipe = trunkAt[l.inletNode][0];
+    const latSize = design.lateralDesign.diameterMm;
+    const mainSize = mainPipe ? pipeSize(mainPipe) : latSize;
+    if (method.key === "drip") {
+      add("start-connector", latSize, 1, `Dripline take-off on Ø${mainSize} ${mainPipe?.role || "main"}`, `L${l.id}`);
+    } else if (mainSize >= 2 * latSize) {
+      add("saddle", mainSize, 1, `Lateral take-off on Ø${mainSize} ${mainPipe?.role || "main"}`, `L${l.id}`);
+    } else {
+      add("tee", mainSize, 1, "Lateral take-off (lateral too large for a saddle)", `L${l.id}`);
+    }
+    if (!handMove) add("end-cap", latSize, 1, "Closes the end of each lateral", `L${l.id}`);
+  });
+  if (handMove) {
+    add("end-cap", design.lateralDesign.diameterMm, handMove.laterals, "Closes the end of each portable lateral", null);
+  }
+
+  nodes.forEach((node) => {
+    const trunk = trunkAt[node.id];
+    if (!trunk.length) return;
+    const isSource = node.id === sourceId;
+    const branches = trunk.length + (isSource ? 1 : 0); // the pump feeds the source node
+    const largest = Math.max(...trunk.map(pipeSize));
+
+    if (branches >= 3) {
+      add("tee", largest, branches - 2, "Main/submain branch junction", `N${node.id}`);
+    } else if (branches === 2 && !isSource) {
+      const [a, b] = trunk.map((p) => {
+        const other = nodes[p.from === node.id ? p.to : p.from].xy;
+        return Math.atan2(other[1] - node.xy[1], other[0] - node.xy[0]);
+      });
+      const between = Math.abs(((((b - a) * 180) / Math.PI + 540) % 360) - 180); // 180° = straight
+      if (180 - between > ELBOW_MIN_ANGLE_DEG) {
+        add("elbow", largest, 1, "Change of direction in main/submain", `N${node.id}`);
+      }
+    } else if (branches === 1 && !turnoutNodes.has(node.id)) {
+      add("flush-valve", null, 1, "Dead end of main/submain, for flushing", `N${node.id}`);
+    }
+
+    // one reducer for every smaller pipe size meeting this node
+    new Set(trunk.map(pipeSize)).forEach((size) => {
+      if (size < largest) add("reducer", largest, 1, `Diameter change Ø${largest} → Ø${size}`, `N${node.id}`);
+    });
+  });
+
+  // Zone valves and the filter are sized for 1.5 m/s; reduce in and out of the main
+  const mainSize = nominalPipeSize(parseFloat(inputs?.mainDiameter) || 110);
+  const valveSize = nominalPipeSize(sizeForVelocity(((design.schedule?.maxZoneFlowM3h || 0) * 1000) / 3600));
+  const filterSize = nominalPipeSize(sizeForVelocity(design.flowLps || 0));
+  design.zones.forEach((z) => {
+    // turnout gates discharge straight into the basin; hand-move sets have no zone valves
+    if (design.flood || handMove) return;
+    if (valveSize < mainSize) {
+      add("reducer", mainSize, 2, `Zone valve Ø${valveSize} on Ø${mainSize} main (in and out)`, z.name);
+    }
+    add("air-valve", null, 1, "Air/vacuum release downstream of each zone valve", z.name);
+  });
+  if (filterSize < mainSize && !design.flood) {
+    add("reducer", mainSize, 2, `Filter Ø${filterSize} on Ø${mainSize} main (in and out)`, "Filter");
+  }
+
+  add("air-valve", null, 1, "Air/vacuum release at the pump discharge", `N${sourceId}`);
+  const mainRuns = Math.floor((design.layout.mainLength || 0) / AIR_VALVE_SPACING_M);
+  add("air-valve", null, mainRuns, `Every ${AIR_VALVE_SPACING_M} m of main`, "Main");
+  if (method.key === "sprinkler") {
+    add("riser", null, handMove ? handMove.sprinklers : design.sprinklerCount || 0, "One per sprinkler outlet", null);
+  }
+
+  return [...lines.values()];
+}
+
+// -------------------------
+// BOM (COST IN THAI BAHT)
+// -------------------------
+
+function onShowBOM() {
+  const inputs = getPlannerInputs();
+  const design = lastPlannerDesign || buildDesignFromInputs(inputs, getMonthlyTableData());
+  const list = getActivePriceList(inputs);
+
+  const tbody = $("bom-tbody");
+  tbody.innerHTML = "";
+
+  const items = buildCostItems(design, inputs);
+  const cost = summarizeCost(items, list);
+
+  let group = null;
+  items.forEach((it) => {
+    if (it.group !== group) {
+      group = it.group;
+      const groupRow = document.createElement("tr");
+      groupRow.className = "bom-group-row";
+      groupRow.innerHTML = `<td colspan="7">${group}</td>`;
+      tbody.appendChild(groupRow);
+    }
+
+    const row = document.createElement("tr");
+    if (it.unpriced) row.className = "bom-unpriced";
+    const total = it.qty * it.unitPrice;
+    const packs =
+      it.packSize > 1
+        ? ` <small>(${it.packs} ${escapeHtml(it.packUnit)}${it.packs === 1 ? "" : "s"} of ${it.packSize})</small>`
+        : "";
+    const refs = it.refs?.length
+      ? ` title="${escapeHtml(it.refs.slice(0, 40).join(", "))}${it.refs.length > 40 ? ", …" : ""}"`
+      : "";
+
+    row.innerHTML = `
+      <td${refs}>${escapeHtml(it.name)}${it.reason ? `<small class="bom-reason">${escapeHtml(it.reason)}</small>` : ""}</td>
+      <td>${it.sku ? escapeHtml(it.sku) : "-"}</td>
+      <td>${it.qty}${packs}</td>
+      <td>${escapeHtml(it.unit)}</td>
+      <td>${it.unpriced ? "Not priced" : `${it.unitPrice.toLocaleString()} Baht`}</td>
+      <td>${it.unpriced ? "-" : `${total.toLocaleString()} Baht`}</td>
+      <td>${it.supplier ? escapeHtml(it.supplier) : "-"}</td>
+    `;
+    tbody.appendChild(row);
+  });
+
+  const subtotalRow = document.createElement("tr");
+  subtotalRow.innerHTML = `
+    <td colspan="5" style="text-align:right;">Subtotal${cost.discountPercent ? ` (after ${cost.discountPercent}% discount)` : ""}</td>
+    <td>${cost.subtotal.toLocaleString()} Baht</td>
+    <td></td>
+  `;
+  tbody.appendChild(subtotalRow);
+
+  const vatRow = document.createElement("tr");
+  vatRow.innerHTML = `
+    <td colspan="5" style="text-align:right;">VAT ${cost.vatPercent}%</td>
+    <td>${cost.vat.toLocaleString()} Baht</td>
+    <td></td>
+  `;
+  tbody.appendChild(vatRow);
+
+  const totalRow = document.createElement("tr");
+  totalRow.innerHTML = `
+    <td colspan="5" style="text-align:right;">Grand Total${
+      cost.unpriced ? ` <small class="schedule-warning">(excludes ${cost.unpriced} unpriced item(s))</small>` : ""
+    }</td>
+    <td>${cost.total.toLocaleString()} Baht</td>
+    <td>${escapeHtml(cost.priceList)}</td>
+  `;
+  tbody.appendChild(totalRow);
+
+  $("bom-container").style.display = "block";
+
+  $("kpi-cost").textContent = formatCostKpi(cost);
+
+  if (currentProjectId) {
+    const proj = projects.find((p) => p.id === currentProjectId);
+    if (proj) {
+      proj.metrics = proj.metrics || {};
+      proj.metrics.totalCost = cost.total.toFixed(0);
+      proj.bom = items.map((it) => ({ ...it, total: it.qty * it.unitPrice }));
+      proj.cost = cost;
+      persistProject(proj);
+      renderProjectsGrid();
+      updateSummaryFromProject(proj);
+    }
+  }
+
+  updateCostCharts(items, cost.total, design.zones || []);
+}
+
+// -------------------------
+// PIPE SIZING (life-cycle cost of the main, submains and laterals)
+// -------------------------
+
+const M_PER_BAR = 10.2; // m of water per bar of pipe rating
+const DEFAULT_PUMP_EFFICIENCY = 65; // %, when no catalogue pump meets the duty
+const PIPE_ROLE_LABELS = { main: "Main", submain: "Submain", lateral: "Lateral" };
+const MAX_SIZING_CHECKS = 3; // cheapest picks rebuilt and validated before giving up
+
+// Present worth of 1 Baht a year for `years` at `ratePercent`
+function presentWorthFactor(years, ratePercent) {
+  const n = Math.max(0, years || 0);
+  const i = Math.max(0, ratePercent || 0) / 100;
+  return i > 0 ? (1 - Math.pow(1 + i, -n)) / i : n;
+}
+
+// Pipe sizes the active list offers in a category, one per diameter and class,
+// at the discounted unit price
+function listPipeSizes(list, category) {
+  const sizes = new Map();
+  (list?.items || [])
+    .filter((it) => it.category === category && it.diameter != null)
+    .forEach((it) => {
+      const k = `${it.diameter}|${it.pressureClass}`;
+      const item = sizes.has(k) ? null : findPriceItem(list, category, it.diameter, it.pressureClass);
+      if (!item || +item.diameter !== +it.diameter) return;
+      sizes.set(k, {
+        diameter: +item.diameter,
+        pressureClass: item.pressureClass == null ? null : +item.pressureClass,
+        unitPrice: priceLine(list, item, 1, {}).unitPrice,
+      });
+    });
+  return [...sizes.values()].sort((a, b) => a.diameter - b.diameter || a.pressureClass - b.pressureClass);
+}
+
+// Main, submain and lateral sizes for the least life-cycle cost: pipe at the
+// list price plus the present worth of the pumping energy its friction costs
+// over the project life. Every diameter and class in the price list is tried on
+// the solved critical zone; in a branched network its flows do not depend on
+// the sizes, so friction scales with D^-4.871 and velocity with D^-2. Limits
+// are the velocity, the 5% head-loss checks, the lateral flow variation and
+// the class rating against the highest pressure the role sees – on the main
+// and submains the pump shut-off head and the valve-closure and pump-trip
+// surge as well, as in the design checks (analyzePipeSurge). The cheapest pick
+// is then rebuilt as a full design and dropped if it fails a check the current
+// design passes, so applying it never turns a valid design invalid. Sizes are
+// per role, not per segment: the layout lays the main, every submain and every
+// lateral in one diameter and class, so a telescoped main is not compared.
+function optimizePipeSizing(design, inputs) {
+  const h = design.hydraulics;
+  const solution = h?.solution;
+  if (!solution) return null;
+  const list = getActivePriceList(inputs);
+  const network = design.layout.network;
+  const hfLimit = 0.05 * h.operatingHead;
+  const k = (d) => Math.pow(d, 4.871);
+  const area = (d) => Math.PI * Math.pow(d / 1000, 2) * 0.25;
+
+  // pumping energy, in Baht of present worth per metre of friction head
+  const years = Math.max(1, inputs.projectLife || 15);
+  const discountRate = Math.max(0, inputs.discountRate ?? 6);
+  const efficiency = (design.pump?.selected?.efficiency || DEFAULT_PUMP_EFFICIENCY) / 100;
+  const hoursPerYear = (design.schedule?.totalRuntimeH || 0) * Math.max(0, inputs.irrigationDays || 0);
+  const kwPerM = (9.81 * (design.flowM3s || 0)) / (efficiency * MOTOR_EFFICIENCY);
+  const energyPerM = kwPerM * hoursPerYear * Math.max(0, inputs.energyTariff || 0) * presentWorthFactor(years, discountRate);
+
+  // friction·D^4.871 of the main and of the submains from the source to each node
+  const adjacency = solution.nodes.map(() => []);
+  solution.pipes.forEach((p) => {
+    adjacency[p.from].push(p);
+    adjacency[p.to].push(p);
+  });
+  const reach = solution.nodes.map(() => null);
+  reach[network.sourceId] = { main: 0, submain: 0 };
+  const queue = [network.sourceId];
+  for (let i = 0; i < queue.length; i++) {
+    const n = queue[i];
+    adjacency[n].forEach((p) => {
+      const other = p.from === n ? p.to : p.from;
+      if (reach[other] || p.role === "lateral") return;
+      const hf = signedHeadLoss(hazenWilliamsResistance(network.pipes[p.id]), Math.abs(p.flowLps) / 1000);
+      reach[other] = { ...reach[n], [p.role]: reach[n][p.role] + hf * k(p.diameter) };
+      queue.push(other);
+    });
+  }
+  // the main/submain check takes the lateral inlet (or open turnout) losing most
+  const targets = (design.flood ? [solution.criticalNode] : network.laterals.map((l) => l.inletNode))
+    .map((id) => reach[id])
+    .filter(Boolean);
+  const trunkLoss = (t, dMain, dSub) => t.main / k(dMain) + (dSub ? t.submain / k(dSub) : 0);
+
+  const roleOf = (role) => {
+    const pipes = solution.pipes.filter((p) => p.role === role);
+    if (!pipes.length) return null;
+    const pressures = pipes.flatMap((p) => [solution.nodes[p.from].pressure, solution.nodes[p.to].pressure]);
+    const sizes = new Set(pipes.map((p) => `${p.diameter}|${network.pipes[p.id].pressureClass ?? ""}`));
+    return {
+      role,
+      label: PIPE_ROLE_LABELS[role],
+      length: pipes.reduce((sum, p) => sum + p.length, 0),
+      maxFlowM3s: Math.max(...pipes.map((p) => Math.abs(p.flowLps) / 1000)),
+      maxPressure: Math.max(...pressures),
+      diameter: pipes[0].diameter,
+      pressureClass: network.pipes[pipes[0].id].pressureClass ?? null,
+      uniform: sizes.size === 1, // no row is "current" when the segments differ
+    };
+  };
+  const main = roleOf("main");
+  const submain = roleOf("submain");
+  const current = { main: main?.diameter, submain: submain?.diameter };
+  let critical = { main: 0, submain: 0 };
+  targets.forEach((t) => {
+    if (trunkLoss(t, current.main, current.submain) > trunkLoss(critical, current.main, current.submain)) critical = t;
+  });
+
+  // highest pressure a size must be rated for, and what sets it
+  const surge = design.surge;
+  const ratedPressure = (stats, size, velocity, running) => {
+    let rated = { head: running, basis: "running" };
+    if (!surge || stats.role === "lateral" || size.pressureClass == null) return rated;
+    const shutoff = Math.max(
+      -Infinity,
+      ...surge.segments.filter((seg) => seg.role === stats.role && seg.shutoff !== null).map((seg) => seg.shutoff)
+    );
+    if (shutoff > rated.head) rated = { head: shutoff, basis: "pump shut-off" };
+    const waveSpeed = pipeWaveSpeed("pvc", size.pressureClass);
+    const rise = Math.max(
+      surgeHead(waveSpeed, velocity, surge.pipelineLength, surge.valveClosureS),
+      surgeHead(waveSpeed, velocity, surge.pipelineLength, PUMP_RUNDOWN_S)
+    );
+    if (running + rise > rated.head) rated = { head: running + rise, basis: "surge" };
+    return rated;
+  };
+
+  // one row per size: friction on the critical path, velocity, class and cost
+  const evaluate = (stats, size, headLoss, extraStatus) => {
+    const velocity = stats.maxFlowM3s / area(size.diameter);
+    const pressure = ratedPressure(stats, size, velocity, stats.maxPressure + headLoss - stats.headLoss);
+    const capital = stats.length * size.unitPrice;
+    const energy = energyPerM * headLoss;
+    let status = "OK";
+    if (velocity > MAIN_VELOCITY_LIMIT) status = `Velocity over ${MAIN_VELOCITY_LIMIT} m/s`;
+    else if (size.pressureClass != null && size.pressureClass * M_PER_BAR < pressure.head) {
+      status = `Class ${size.pressureClass} below ${pressure.head.toFixed(1)} m (${pressure.basis})`;
+    } else if (headLoss > hfLimit) status = "Head loss over 5%";
+    else if (extraStatus) status = extraStatus;
+    return {
+      ...size,
+      velocity: +velocity.toFixed(2),
+      headLoss: +headLoss.toFixed(3),
+      capitalCost: Math.round(capital),
+      energyCost: Math.round(energy),
+      lifeCycleCost: Math.round(capital + energy),
+      feasible: status === "OK",
+      status,
+      current: stats.uniform && size.diameter === stats.diameter && size.pressureClass === stats.pressureClass,
+    };
+  };
+
+  const trunkSizes = listPipeSizes(list, "main-pipe");
+  const roles = [];
+  [main, submain].filter(Boolean).forEach((stats) => {
+    stats.headLoss = critical[stats.role] / k(stats.diameter);
+    stats.rows = trunkSizes.map((size) => evaluate(stats, size, critical[stats.role] / k(size.diameter)));
+    roles.push(stats);
+  });
+
+  // laterals: the dripline comes with the emitter model, surface has none
+  const lateralDesign = design.lateralDesign;
+  if (lateralDesign && !design.flood && design.method?.key !== "drip" && h.laterals.length) {
+    const stats = roleOf("lateral");
+    const { diameterMm, emitterFlowLph, spacing, slopePercent, operatingHead, exponent } = lateralDesign;
+    stats.length = design.handMove ? design.handMove.lateralLength : design.lateralLength || stats.length;
+    stats.maxPressure = Math.max(...h.laterals.map((l) => l.inletPressure));
+    stats.headLoss = h.lateralHeadLoss;
+    stats.pressureClass = PE_LATERAL_PRESSURE_CLASS;
+    stats.rows = listPipeSizes(list, "lateral-pipe").map((size) => {
+      const headLoss = (h.lateralHeadLoss * k(diameterMm)) / k(size.diameter);
+      const lateral = analyzeLateral({
+        diameterMm: size.diameter,
+        emitterFlowLph,
+        spacing,
+        slopePercent,
+        operatingHead,
+        exponent,
+        length: Math.max(spacing / 2, design.longestLateral || 0),
+      });
+      const variation = lateral.flowVariation > lateralDesign.flowVariationLimit
+        ? `Flow variation ${lateral.flowVariation}%`
+        : null;
+      return evaluate(stats, size, headLoss, variation);
+    });
+    roles.push(stats);
+  }
+
+  // main and submains share the 5% limit, so their winners are picked together
+  const feasible = (stats) => stats?.rows.filter((r) => r.feasible) || [];
+  const trunkPicks = [];
+  feasible(main).forEach((m) => {
+    (submain ? feasible(submain) : [null]).forEach((s) => {
+      const hf = Math.max(0, ...targets.map((t) => trunkLoss(t, m.diameter, s?.diameter)));
+      if (hf <= hfLimit + 1e-9) trunkPicks.push({ main: m, submain: s });
+    });
+  });
+  const lateralRole = roles.find((r) => r.role === "lateral");
+  const lateralPicks = lateralRole ? feasible(lateralRole).map((l) => ({ lateral: l })) : [];
+  const picks = (trunkPicks.length ? trunkPicks : [{}])
+    .flatMap((t) => (lateralPicks.length ? lateralPicks : [{}]).map((l) => ({ ...t, ...l })))
+    .map((pick) => ({ pick, cost: roles.reduce((sum, r) => sum + (pick[r.role]?.lifeCycleCost || 0), 0) }))
+    .sort((a, b) => a.cost - b.cost)
+    .map(({ pick }) => pick);
+
+  // the cheapest complete pick that passes the design checks once applied
+  const currentFailures = new Set(
+    validateDesign(design)
+      .checks.filter((c) => !c.ok)
+      .map((c) => c.label)
+  );
+  let checked = 0;
+  let rejected = 0;
+  const winner = picks.find((pick) => {
+    if (!roles.every((r) => pick[r.role]) || roles.every((r) => pick[r.role].current)) return true;
+    if (checked >= MAX_SIZING_CHECKS) return false;
+    checked++;
+    const applied = validateDesign(buildDesignFromInputs({ ...inputs, ...pipeSizingValues(pick) }, design.climate));
+    const passes = applied.checks.every((c) => c.ok || currentFailures.has(c.label));
+    if (!passes) rejected++;
+    return passes;
+  });
+  roles.forEach((stats) => {
+    stats.best = winner?.[stats.role] || null;
+    stats.current = stats.rows.find((r) => r.current) || null;
+  });
+
+  const total = (pick) =>
+    roles.every((r) => pick(r)) ? roles.reduce((sum, r) => sum + pick(r).lifeCycleCost, 0) : null;
+  const currentCost = total((r) => r.current);
+  const bestCost = total((r) => r.best);
+  return {
+    years,
+    discountRate,
+    energyPerM: Math.round(energyPerM),
+    hfLimit: +hfLimit.toFixed(2),
+    roles,
+    currentCost,
+    bestCost,
+    saving: currentCost != null && bestCost != null ? currentCost - bestCost : null,
+    currentIsBest: roles.every((r) => r.best && r.best === r.current),
+    rejected,
+  };
+}
+
+// Planner inputs that apply a pick of main, submain and lateral sizes
+function pipeSizingValues(pick) {
+  return {
+    mainDiameter: pick.main.diameter,
+    mainPressureClass: pick.main.pressureClass,
+    ...(pick.submain ? { submainDiameter: pick.submain.diameter, submainPressureClass: pick.submain.pressureClass } : {}),
+    ...(pick.lateral ? { lateralDiameter: pick.lateral.diameter } : {}),
+  };
+}
+
+// "main Ø110 class 5, lateral Ø25" for the winning (or the current) sizes
+function describePipeSizes(sizing, pick = (role) => role.best) {
+  return sizing.roles
+    .map((role) => {
+      const row = pick(role);
+      if (!row) return `${role.label.toLowerCase()} –`;
+      return `${role.label.toLowerCase()} Ø${row.diameter}${row.pressureClass != null ? ` class ${row.pressureClass}` : ""}`;
+    })
+    .join(", ");
+}
+
+// Comparison table: every size per role, cheapest life-cycle cost first
+function renderPipeSizing(design, inputs) {
+  const tbody = $("pipe-sizing-tbody");
+  if (!tbody) return;
+  const sizing = optimizePipeSizing(design, inputs);
+  if (!sizing) {
+    tbody.innerHTML = "";
+    $("pipe-sizing-summary").textContent = "No solved network to size";
+    return;
+  }
+
+  tbody.innerHTML = sizing.roles
+    .flatMap((role) =>
+      [...role.rows]
+        .sort((a, b) => b.feasible - a.feasible || a.lifeCycleCost - b.lifeCycleCost)
+        .map((r) => {
+          const rowClass = [r.current ? "sizing-current" : "", r === role.best ? "sizing-best" : ""].join(" ");
+          return `
+      <tr class="${rowClass.trim()}">
+        <td>${role.label}${r === role.best ? ' <i class="fas fa-star" title="Lowest life-cycle cost"></i>' : ""}</td>
+        <td>${r.diameter}</td>
+        <td>${r.pressureClass ?? "-"}</td>
+        <td>${r.velocity}</td>
+        <td>${r.headLoss}</td>
+        <td>${r.capitalCost.toLocaleString()}</td>
+        <td>${r.energyCost.toLocaleString()}</td>
+        <td>${r.lifeCycleCost.toLocaleString()}</td>
+        <td>${r.current ? "Current · " : ""}${r.status}</td>
+      </tr>`;
+        })
+    )
+    .join("");
+
+  $("pipe-sizing-summary").innerHTML = `
+    ${sizing.years} years at ${sizing.discountRate}% · energy ฿${sizing.energyPerM.toLocaleString()} per m of friction ·
+    head-loss limit ${sizing.hfLimit} m ·
+    ${
+      sizing.bestCost != null
+        ? `lowest cost: ${describePipeSizes(sizing)}, ฿${sizing.bestCost.toLocaleString()}${
+            sizing.currentIsBest
+              ? " (current sizes)"
+              : sizing.saving > 0
+                ? ` (saves ฿${sizing.saving.toLocaleString()})`
+                : " (the current sizes miss a limit)"
+          }${sizing.rejected ? ` · ${sizing.rejected} cheaper combination(s) fail the design checks` : ""}`
+        : `<span class="schedule-warning">${
+            sizing.rejected
+              ? `the ${sizing.rejected} cheapest combination(s) fail the design checks`
+              : "no size combination meets the limits"
+          }</span>`
+    }
+  `;
+  const apply = $("apply-pipe-sizing");
+  if (apply) apply.disabled = sizing.bestCost == null || sizing.currentIsBest;
+}
+
+// Write the winning sizes into the hydraulic settings and recalculate
+function onApplyPipeSizing() {
+  const inputs = getPlannerInputs();
+  const sizing = optimizePipeSizing(lastPlannerDesign || buildDesignFromInputs(inputs, getMonthlyTableData()), inputs);
+  if (!sizing || sizing.bestCost == null) return;
+
+  const values = pipeSizingValues(Object.fromEntries(sizing.roles.map((r) => [r.role, r.best])));
+  // imported lists may hold sizes the selects do not offer yet
+  Object.entries(values).forEach(([key, value]) => {
+    const select = $(PLANNER_INPUT_FIELDS[key]);
+    if (select?.options && ![...select.options].some((o) => +o.value === +value)) {
+      select.add(new Option(/Class/.test(key) ? `Class ${value} (${value} bar)` : `${value} mm`, value));
+    }
+  });
+  applyPlannerInputs(values);
+  onRecalculate();
+}
+
+// -------------------------
+// FINALIZE DESIGN & REVISIONS
+// -------------------------
+
+let pendingFinalization = null;
+
+function deepFreeze(obj) {
+  if (obj && typeof obj === "object" && !Object.isFrozen(obj)) {
+    Object.freeze(obj);
+    Object.values(obj).forEach(deepFreeze);
+  }
+  return obj;
+}
+
+function getLatestRevision(project) {
+  const revs = project?.revisions || [];
+  return revs.length ? revs[revs.length - 1] : null;
+}
+
+function describeProjectRevision(project) {
+  const latest = getLatestRevision(project);
+  if (!latest) return "Draft (not finalized)";
+  const date = new Date(latest.finalizedAt).toLocaleDateString();
+  if (project.status === "final") return `Final – Rev ${latest.revision} (${date})`;
+  return `Draft – edited since Rev ${latest.revision}`;
+}
+
+// Inputs, monthly table and imported field data are what a revision signs
+// off; compare them as JSON
+function snapshotKey(inputs, monthly, fieldData) {
+  return JSON.stringify({ inputs: inputs || null, monthly: monthly || null, fieldData: fieldData || null });
+}
+
+// Imported data the design is computed on, as fingerprints small enough to
+// keep in every revision (NDVI is only shown, never designed on)
+function fieldDataFingerprint(project) {
+  return {
+    terrain: terrainFingerprint(project?.terrain),
+    soilMap: soilMapFingerprint(project?.soilMap),
+  };
+}
+
+// A finalized project falls back to draft as soon as its inputs or field data
+// differ from the latest revision. The revision itself is never modified.
+function syncProjectDraftStatus(project) {
+  const latest = getLatestRevision(project);
+  if (!latest) {
+    project.status = "draft";
+    return;
+  }
+  // revisions locked before field data was recorded compare on inputs alone;
+  // data kinds a revision predates count as not imported
+  const fieldData = "fieldData" in latest ? fieldDataFingerprint(project) : null;
+  const lockedFieldData = latest.fieldData && { ...fieldDataFingerprint(null), ...latest.fieldData };
+  const same =
+    snapshotKey(project.inputs, project.monthly, fieldData) ===
+    snapshotKey(latest.inputs, latest.monthly, lockedFieldData);
+  project.status = same ? "final" : "draft";
+}
+
+// Run calculation, validation and BOM, then show the review in the finalize modal
+function onFinalizeDesign() {
+  const inputs = getPlannerInputs();
+  const design = buildDesignFromInputs(inputs, getMonthlyTableData());
+  lastPlannerDesign = design;
+
+  const validation = validateDesign(design);
+  applyValidationCard(validation.valid, validation.notes);
+
+  const items = buildCostItems(design, inputs);
+  const cost = summarizeCost(items, getActivePriceList(inputs));
+
+  const proj = currentProjectId ? projects.find((p) => p.id === currentProjectId) : null;
+
+  pendingFinalization = {
+    inputs: { ...inputs },
+    monthly: design.climate,
+    fieldData: fieldDataFingerprint(proj),
+    design,
+    validation,
+    items,
+    cost,
+    totalCost: cost.total,
+  };
+
+  renderFinalizeReview(proj, pendingFinalization);
+  openModal("finalize-modal");
+}
+
+function renderFinalizeReview(project, review) {
+  const { inputs, design, validation, items, cost } = review;
+  const latest = getLatestRevision(project);
+  const nextRevision = (latest?.revision || 0) + 1;
+
+  const bomRows = items
+    .map(
+      (it) => `
+      <tr${it.unpriced ? ' class="bom-unpriced"' : ""}>
+        <td>${escapeHtml(it.name)}</td>
+        <td>${it.qty}</td>
+        <td>${escapeHtml(it.unit)}</td>
+        <td>${it.unpriced ? "Not priced" : `${(it.qty * it.unitPrice).toLocaleString()} Baht`}</td>
+      </tr>`
+    )
+    .join("");
+
+  let lockNote;
+  if (!project) {
+    lockNote = "Select or create a project on the Dashboard to lock this design as a revision.";
+  } else if (!validation.valid) {
+    lockNote = "The design does not pass validation. Fix the flagged issues before locking it.";
+  } else if (cost.unpriced) {
+    lockNote = `${cost.unpriced} BOM item(s) are not in the ${escapeHtml(cost.priceList)} price list. Add them before locking.`;
+  } else if (project.status === "final") {
+    lockNote = `This design is already locked as Rev ${latest.revision}.`;
+  } else {
+    lockNote = `Locking will save this design as Rev ${nextRevision}. Later edits start a new draft.`;
+  }
+
+  $("modal-body").innerHTML = `
+    <div class="finalize-section">
+      <h3>Project</h3>
+      <p><strong>Name:</strong> ${project ? escapeHtml(project.name) : "Unsaved design"}</p>
+      <p><strong>Location:</strong> ${project?.location ? escapeHtml(project.location) : "Not set"}</p>
+      <p><strong>Status:</strong> ${project ? describeProjectRevision(project) : "Not saved"}</p>
+    </div>
+    <div class="finalize-section">
+      <h3>Inputs</h3>
+      <p><strong>Crop / Area:</strong> ${escapeHtml(inputs.cropType)}, ${inputs.areaRai} Rai</p>
+      <p><strong>ET₀ / Rainfall:</strong> ${inputs.eto} / ${inputs.rainfall} mm/day · Efficiency ${inputs.efficiency}%</p>
+      <p><strong>Sized for:</strong> ${describeDesignBasis(design.designBasis, design.netIrrigation)}</p>
+      <p><strong>Main pipe:</strong> Ø${inputs.mainDiameter} mm · Max lateral ${inputs.maxLateral} m</p>
+      <p><strong>Method:</strong> ${design.method.label}${design.emitter ? ` (${design.emitter.model})` : ""} · spacing ${inputs.spacingX} × ${inputs.spacingY} m · ${inputs.hoursPerDay} h/day</p>
+    </div>
+    <div class="finalize-section">
+      <h3>Results</h3>
+      <p><strong>Water demand:</strong> ${Math.round(design.waterDemandLday).toLocaleString()} L/day (${design.flowLps.toFixed(2)} L/s)</p>
+      <p><strong>Pipe length:</strong> ${design.totalPipeLength} m (main ${design.mainLength} m, laterals ${design.lateralLength} m)</p>
+      <p><strong>Head loss:</strong> ${design.headLossPercent}% · Velocity ${design.velocity} m/s</p>
+      ${
+        design.flood
+          ? `<p><strong>Flood delivery:</strong> ${design.paddy ? `${design.paddy.regime} · ` : ""}canal ${design.flood.canalFlowLps} L/s continuous (${design.flood.waterDutyLpsPerHa} L/s/ha) · ${design.flood.turnouts} turnout(s)</p>`
+          : ""
+      }
+      <p><strong>Pump:</strong> ${design.pump?.selected ? `${design.pump.selected.model}, ` : ""}${design.pumpPowerKw} kW input (${design.pumpPowerHp} hp) · duty ${(design.flowLps * 3.6).toFixed(1)} m³/h at ${design.pumpHead.toFixed(1)} m</p>
+    </div>
+    <div class="finalize-section">
+      <h3>Validation</h3>
+      <p class="finalize-validation ${validation.valid ? "valid" : "invalid"}">
+        <i class="fas ${validation.valid ? "fa-check-circle" : "fa-exclamation-triangle"}"></i>
+        ${validation.notes}
+      </p>
+    </div>
+    <div class="finalize-section">
+      <h3>Bill of Materials</h3>
+      <table class="bom-table">
+        <thead>
+          <tr><th>Item</th><th>Qty</th><th>Unit</th><th>Total</th></tr>
+        </thead>
+        <tbody>
+          ${bomRows}
+          <tr>
+            <td colspan="3" style="text-align:right;">VAT ${cost.vatPercent}%</td>
+            <td>${cost.vat.toLocaleString()} Baht</td>
+          </tr>
+          <tr>
+            <td colspan="3" style="text-align:right;">Grand Total (${escapeHtml(cost.priceList)})</td>
+            <td>${cost.total.toLocaleString()} Baht</td>
+          </tr>
+        </tbody>
+      </table>
+    </div>
+    ${renderRevisionHistory(project)}
+    <p class="finalize-lock-note">${lockNote}</p>
+  `;
+
+  const lockBtn = $("finalize-lock-btn");
+  if (lockBtn) {
+    lockBtn.disabled = !project || !validation.valid || cost.unpriced > 0 || project.status === "final";
+  }
+}
+
+function renderRevisionHistory(project) {
+  const revs = project?.revisions || [];
+  if (!revs.length) return "";
+  const rows = revs
+    .slice()
+    .reverse()
+    .map(
+      (r) => `
+      <tr>
+        <td>Rev ${r.revision}</td>
+        <td>${new Date(r.finalizedAt).toLocaleString()}</td>
+        <td>${r.metrics.waterDemand.toLocaleString()} L/day</td>
+        <td>${Number(r.totalCost).toLocaleString()} Baht</td>
+      </tr>`
+    )
+    .join("");
+  return `
+    <div class="finalize-section">
+      <h3>Revision History</h3>
+      <table class="bom-table">
+        <thead>
+          <tr><th>Revision</th><th>Finalized</th><th>Demand</th><th>Cost</th></tr>
+        </thead>
+        <tbody>${rows}</tbody>
+      </table>
+    </div>
+  `;
+}
+
+// Lock the reviewed design as an immutable, timestamped revision on the project
+function onLockFinalDesign() {
+  const proj = currentProjectId ? projects.find((p) => p.id === currentProjectId) : null;
+  const review = pendingFinalization;
+  if (!proj || !review || !review.validation.valid || review.cost.unpriced) return;
+
+  const latest = getLatestRevision(proj);
+  const { design } = review;
+
+  const revision = deepFreeze({
+    revision: (latest?.revision || 0) + 1,
+    finalizedAt: new Date().toISOString(),
+    inputs: { ...review.inputs },
+    monthly: review.monthly,
+    fieldData: review.fieldData,
+    metrics: {
+      waterDemand: Math.round(design.waterDemandLday),
+      flowLps: +design.flowLps.toFixed(3),
+      pipeLength: design.totalPipeLength,
+      mainLength: design.mainLength,
+      lateralLength: design.lateralLength,
+      headLoss: design.headLossPercent,
+      velocity: design.velocity,
+      pumpPowerKw: design.pumpPowerKw,
+      pumpModel: design.pump?.selected?.model || null,
+    },
+    validation: { ...review.validation },
+    bom: review.items.map((it) => ({ ...it, total: it.qty * it.unitPrice })),
+    cost: { ...review.cost },
+    totalCost: Math.round(review.totalCost),
+  });
+
+  proj.revisions = [...(proj.revisions || []), revision];
+  proj.inputs = { ...review.inputs };
+  proj.monthly = review.monthly;
+  proj.validation = { ...review.validation };
+  proj.bom = revision.bom.map((it) => ({ ...it }));
+  proj.metrics = { ...(proj.metrics || {}), totalCost: revision.totalCost.toFixed(0) };
+  proj.status = "final";
+
+  persistProject(proj);
+  renderProjectsGrid();
+  updateSummaryFromProject(proj);
+  renderFinalizeReview(proj, review);
+}
+
+// -------------------------
+// SEASONAL SIMULATION (KPIs #3 & #7)
+// -------------------------
+
+const MONTH_NAMES = [
+  "Jan",
+  "Feb",
+  "Mar",
+  "Apr",
+  "May",
+  "Jun",
+  "Jul",
+  "Aug",
+  "Sep",
+  "Oct",
+  "Nov",
+  "Dec",
+];
+const MONTH_IDS = [
+  "jan",
+  "feb",
+  "mar",
+  "apr",
+  "may",
+  "jun",
+  "jul",
+  "aug",
+  "sep",
+  "oct",
+  "nov",
+  "dec",
+];
+
+// Build the monthly table (12 rows, no hard-coded HTML rows)
+function setupMonthlyTable() {
+  const tbody = document.getElementById("monthly-data-tbody");
+  if (!tbody) return;
+  tbody.innerHTML = "";
+
+  for (let i = 0; i < 12; i++) {
+    const tr = document.createElement("tr");
+    tr.innerHTML = `
+      <td>${MONTH_NAMES[i]}</td>
+      <td><input type="number" step="0.1" value="5.0" class="number-input monthly-eto" data-month="${i}"></td>
+      <td><input type="number" step="0.1" value="2.0" class="number-input monthly-rainfall" data-month="${i}"></td>
+    `;
+    tbody.appendChild(tr);
+  }
+}
+
+function loadScenarioPreset(mode) {
+  const dataset = findWeatherDataset(mode);
+  if (dataset) {
+    applyWeatherDataset(dataset);
+    return;
+  }
+
+  let tbody = document.getElementById("monthly-data-tbody");
+  if (!tbody) {
+    setupMonthlyTable();
+    tbody = document.getElementById("monthly-data-tbody");
+  }
+  if (!tbody) return;
+
+  const presets = {
+    normal: {
+      eto: [4.5, 4.6, 4.8, 5.0, 5.2, 5.1, 5.0, 4.9, 4.7, 4.6, 4.5, 4.4],
+      rain: [2.5, 2.0, 2.0, 1.8, 1.5, 1.2, 1.0, 1.0, 2.2, 3.0, 3.5, 3.8],
+    },
+    dry: {
+      eto: [4.8, 4.9, 5.2, 5.4, 5.6, 5.5, 5.4, 5.3, 5.0, 4.9, 4.8, 4.7],
+      rain: [1.5, 1.2, 1.0, 0.8, 0.6, 0.5, 0.5, 0.6, 1.0, 1.5, 1.8, 2.0],
+    },
+    wet: {
+      eto: [4.2, 4.3, 4.5, 4.7, 4.9, 4.8, 4.7, 4.6, 4.4, 4.3, 4.2, 4.1],
+      rain: [3.5, 3.2, 3.0, 2.8, 2.5, 2.4, 2.3, 2.2, 3.0, 4.0, 4.5, 4.8],
+    },
+  };
+
+  const preset = presets[mode] || presets.normal;
+
+  const etoInputs = tbody.querySelectorAll(".monthly-eto");
+  const rainInputs = tbody.querySelectorAll(".monthly-rainfall");
+  etoInputs.forEach((input, idx) => {
+    input.value = preset.eto[idx].toFixed(1);
+  });
+  rainInputs.forEach((input, idx) => {
+    input.value = preset.rain[idx].toFixed(1);
+  });
+}
+
+// Read the 12-month ETo/rainfall table (plus the selected preset) for saving
+function getMonthlyTableData() {
+  const tbody = document.getElementById("monthly-data-tbody");
+  if (!tbody) return null;
+  const eto = [];
+  const rain = [];
+  tbody.querySelectorAll(".monthly-eto").forEach((input) => {
+    eto.push(parseFloat(input.value || "0"));
+  });
+  tbody.querySelectorAll(".monthly-rainfall").forEach((input) => {
+    rain.push(parseFloat(input.value || "0"));
+  });
+  return {
+    preset: $("scenario-preset")?.value || "normal",
+    eto,
+    rain,
+  };
+}
+
+function applyMonthlyTableData(monthly) {
+  const tbody = document.getElementById("monthly-data-tbody");
+  if (!tbody || !monthly) return;
+  if (monthly.preset && $("scenario-preset")) {
+    $("scenario-preset").value = monthly.preset;
+  }
+  tbody.querySelectorAll(".monthly-eto").forEach((input, idx) => {
+    if (isFinite(monthly.eto?.[idx])) input.value = (+monthly.eto[idx]).toFixed(1);
+  });
+  tbody.querySelectorAll(".monthly-rainfall").forEach((input, idx) => {
+    if (isFinite(monthly.rain?.[idx])) input.value = (+monthly.rain[idx]).toFixed(1);
+  });
+}
+
+// Keep the current project's monthly table in sync with manual edits/presets
+function saveMonthlyTableToProject() {
+  if (!currentProjectId) return;
+  const proj = projects.find((p) => p.id === currentProjectId);
+  if (!proj) return;
+  proj.monthly = getMonthlyTableData();
+  persistProject(proj);
+}
+
+// Seasonal simulation using Thai units (Rai) and liters/month, integrating the
+// daily Kc curve from the planting date(s)
+function runSeasonalSimulation() {
+  const tbody = document.getElementById("monthly-data-tbody");
+  const etoInputs = tbody ? tbody.querySelectorAll(".monthly-eto") : [];
+  const rainInputs = tbody ? tbody.querySelectorAll(".monthly-rainfall") : [];
+
+  if (!etoInputs.length || !rainInputs.length) return;
+
+  const monthlyEto = [...etoInputs].map((input) => parseFloat(input.value || "0"));
+  const monthlyRain = [...rainInputs].map((input) => parseFloat(input.value || "0"));
+
+  const inputs = getPlannerInputs();
+  const designRain = getDesignRainfall(inputs, monthlyRain, $("scenario-preset")?.value);
+  const design = lastPlannerDesign || buildDesignFromInputs(inputs, getMonthlyTableData());
+  // paddies: the pond balance is both the demand series and the calendar
+  if (isPaddyMode(inputs)) {
+    const paddy = simulatePaddyWater(inputs, monthlyEto, designRain.map((r) => r.rain), design);
+    drawSeasonalCharts(paddy, monthlyEto, monthlyRain, designRain);
+    updateSeasonalSummary(paddy, monthlyEto, inputs, designRain);
+    renderPaddyCalendar(paddy);
+    return;
+  }
+  // crop demand nets out effective rain; the soil balance handles runoff and percolation itself
+  const simulation = simulateCropDemand(inputs, monthlyEto, designRain.map((r) => r.effective));
+  const balance = simulateSoilWaterBalance(inputs, monthlyEto, designRain.map((r) => r.rain), design);
+
+  drawSeasonalCharts(simulation, monthlyEto, monthlyRain, designRain);
+  updateSeasonalSummary(simulation, monthlyEto, inputs, designRain);
+  renderIrrigationCalendar(balance);
+}
+
+function drawSeasonalCharts(simulation, monthlyEto, monthlyRain, designRain) {
+  if (typeof Chart === "undefined") return;
+  const ctx1 = $("seasonal-chart")?.getContext("2d");
+  const ctx2 = $("seasonal-eto-chart")?.getContext("2d");
+  const ctx3 = $("seasonal-kc-chart")?.getContext("2d");
+
+  if (!ctx1 || !ctx2) return;
+
+  if (seasonalChart) seasonalChart.destroy();
+  seasonalChart = new Chart(ctx1, {
+    type: "line",
+    data: {
+      labels: simulation.monthly.map((m) => m.label),
+      datasets: [
+        {
+          label: "Water demand (L/month)",
+          data: simulation.monthly.map((m) => m.demandL),
+          borderColor: "#3b82f6",
+          backgroundColor: "rgba(59,130,246,0.15)",
+          fill: true,
+        },
+      ],
+    },
+    options: {
+      responsive: true,
+      maintainAspectRatio: false,
+      scales: { y: { beginAtZero: true } },
+    },
+  });
+
+  if (seasonalEtoChart) seasonalEtoChart.destroy();
+  seasonalEtoChart = new Chart(ctx2, {
+    type: "bar",
+    data: {
+      labels: MONTH_NAMES,
+      datasets: [
+        {
+          label: "ETo (mm/day)",
+          data: monthlyEto,
+          backgroundColor: "rgba(14,165,233,0.7)",
+        },
+        {
+          label: "Rainfall (mm/day)",
+          data: monthlyRain,
+          backgroundColor: "rgba(34,197,94,0.7)",
+        },
+        ...(designRain.some((r) => r.source === "dependable")
+          ? [
+              {
+                label: "Dependable rain (mm/day)",
+                data: designRain.map((r) => +r.rain.toFixed(2)),
+                backgroundColor: "rgba(22,101,52,0.7)",
+              },
+            ]
+          : []),
+        {
+          label: "Effective rain (mm/day)",
+          data: designRain.map((r) => +r.effective.toFixed(2)),
+          backgroundColor: "rgba(250,204,21,0.7)",
+        },
+      ],
+    },
+    options: {
+      responsive: true,
+      maintainAspectRatio: false,
+      scales: { y: { beginAtZero: true } },
+    },
+  });
+
+  if (!ctx3) return;
+  if (seasonalKcChart) seasonalKcChart.destroy();
+  seasonalKcChart = new Chart(ctx3, {
+    type: "line",
+    data: {
+      labels: simulation.days.map((d) => d.date),
+      datasets: [
+        {
+          label: "Kc (area-weighted)",
+          data: simulation.days.map((d) => +d.kc.toFixed(3)),
+          borderColor: "#16a34a",
+          backgroundColor: "rgba(22,163,74,0.12)",
+          fill: true,
+          pointRadius: 0,
+        },
+      ],
+    },
+    options: {
+      responsive: true,
+      maintainAspectRatio: false,
+      scales: { x: { ticks: { maxTicksLimit: 12 } }, y: { beginAtZero: true } },
+    },
+  });
+}
+
+const EFFECTIVE_RAIN_METHODS = {
+  usda: "USDA-SCS",
+  fixed: "fixed percentage",
+  dependable: "FAO/AGLW dependable rain",
+  none: "none",
+};
+
+function updateSeasonalSummary(simulation, monthlyEto, inputs, designRain) {
+  const { monthly, cycles, totalDemandL } = simulation;
+  if (!monthly.length) return;
+  const peak = monthly.reduce((best, m) => (m.demandL > best.demandL ? m : best), monthly[0]);
+  const avgEto =
+    monthlyEto.length ? monthlyEto.reduce((a, b) => a + b, 0) / monthlyEto.length : 0;
+  const dependableYears = Math.max(...designRain.map((r) => (r.source === "dependable" ? r.years : 0)));
+  const rainSource = dependableYears
+    ? `${inputs.rainProbability}% dependable rain from ${dependableYears} years of the selected dataset`
+    : "monthly table values (select an imported multi-year dataset for dependable rain)";
+  const rainMethod =
+    inputs.effectiveRainMethod === "fixed"
+      ? `${inputs.effectiveRainPercent}% of rain`
+      : EFFECTIVE_RAIN_METHODS[inputs.effectiveRainMethod] || EFFECTIVE_RAIN_METHODS.usda;
+  const cycleRows = cycles
+    .map((c) => {
+      const detail = `${c.days} days, Kc ${c.seasonalKc.toFixed(2)}, ${Math.round(c.areaShare * 100)}% of area`;
+      return `<li>${c.label}: ${c.start} → ${c.harvest} (${detail}) – ${c.demandL.toLocaleString()} L</li>`;
+    })
+    .join("");
+
+  const paddy = simulation.peak
+    ? `<p><strong>Paddy water:</strong> ${simulation.regime}, ponding ${simulation.pondingDepth} mm, ` +
+      `seepage &amp; percolation ${simulation.percolation.toFixed(1)} mm/day · peak ${simulation.peak.date}: ` +
+      `${simulation.peak.grossMm} mm/day gross → canal ${simulation.peak.canalLps} L/s continuous ` +
+      `(${simulation.peak.canalLpsPerHa} L/s/ha), pump ${simulation.peak.pumpLps} L/s over ${simulation.hoursPerDay} h</p>`
+    : "";
+
+  $("seasonal-summary-content").innerHTML = `
+    <p><strong>Total seasonal demand:</strong> ${totalDemandL.toLocaleString()} L</p>
+    <p><strong>Peak month:</strong> ${peak.label} (${peak.demandL.toLocaleString()} L, mean Kc ${peak.meanKc.toFixed(2)})</p>
+    ${paddy}
+    <p><strong>Seasonal Kc (plant crop):</strong> ${computeSeasonalKc(inputs).toFixed(2)}</p>
+    <p><strong>Average ET₀:</strong> ${avgEto.toFixed(1)} mm/day</p>
+    <p><strong>Design rain:</strong> ${rainSource} · effective rain by ${rainMethod}</p>
+    <p><strong>Cropping calendar:</strong></p>
+    <ul>${cycleRows}</ul>
+    <p>Units match Planner: area in Rai (1 Rai = 1,600 m²) and water in liters/month.</p>
+  `;
+}
+
+// Irrigation events from the soil water balance, with the depletion chart
+function renderIrrigationCalendar(balance) {
+  const container = $("irrigation-calendar-container");
+  const tbody = $("irrigation-calendar-tbody");
+  if (!container || !tbody) return;
+  container.style.display = "block";
+
+  const spillNote = (days) => ` <span class="schedule-warning">(${days} days)</span>`;
+  tbody.innerHTML = balance.events.length
+    ? balance.events
+        .map(
+          (e) => `
+      <tr>
+        <td>${e.date}</td>
+        <td>${e.cycle}</td>
+        <td>${e.dayAfterPlanting}</td>
+        <td>${e.netMm}</td>
+        <td>${e.grossMm}</td>
+        <td>${e.volumeM3.toLocaleString()}</td>
+        <td>${e.zones.map((z) => `${z.name} ${z.runtimeH} h`).join(" · ") || "-"}</td>
+        <td>${e.totalRuntimeH}${e.irrigationDays > 1 ? spillNote(e.irrigationDays) : ""}</td>
+      </tr>`
+        )
+        .join("")
+    : '<tr><td colspan="8">No irrigation needed – rain keeps depletion below the trigger.</td></tr>';
+
+  const t = balance.totals;
+  const stress = t.stressDays > 0 ? ` · <span class="schedule-warning">${Math.round(t.stressDays)} stress day(s)</span>` : "";
+  $("irrigation-calendar-summary").innerHTML = `
+    ${balance.soilType} (${balance.availableWaterMmPerM} mm/m available water) ·
+    irrigate at ${Math.round(balance.mad * 100)}% of TAW · ${t.events} event(s) · net ${t.net} mm ·
+    gross ${t.gross} mm (${t.grossVolumeM3.toLocaleString()} m³, ${t.pumpingHours} h pumping)<br>
+    Rain ${t.rain} mm · runoff ${t.runoff} mm · deep percolation ${t.deepPercolation} mm ·
+    ETc ${t.etc} mm · actual ET ${t.eta} mm${stress}
+  `;
+
+  drawSoilBalanceChart(balance.series);
+}
+
+// Paddy irrigation spells from the pond balance, with the pond depth chart
+function renderPaddyCalendar(paddy) {
+  const container = $("irrigation-calendar-container");
+  const tbody = $("irrigation-calendar-tbody");
+  if (!container || !tbody) return;
+  container.style.display = "block";
+
+  tbody.innerHTML = paddy.events.length
+    ? paddy.events
+        .map(
+          (e) => `
+      <tr>
+        <td>${e.date}${e.days > 1 ? ` → ${e.until}` : ""}</td>
+        <td>${e.cycle}</td>
+        <td>${e.dayAfterPlanting}</td>
+        <td>${e.netMm}</td>
+        <td>${e.grossMm}</td>
+        <td>${e.volumeM3.toLocaleString()}</td>
+        <td>${e.zones.map((z) => `${z.name} ${z.runtimeH} h`).join(" · ") || "-"}</td>
+        <td>${e.totalRuntimeH}${e.fitsDays ? "" : ' <span class="schedule-warning">(over the pumping hours)</span>'}</td>
+      </tr>`
+        )
+        .join("")
+    : '<tr><td colspan="8">No irrigation needed – rain keeps the paddy flooded.</td></tr>';
+
+  const t = paddy.totals;
+  $("irrigation-calendar-summary").innerHTML = `
+    ${paddy.regime} · ponding ${paddy.pondingDepth} mm · seepage &amp; percolation ${paddy.percolation.toFixed(1)} mm/day ·
+    ${t.events} irrigation spell(s) · net ${t.net} mm · gross ${t.gross} mm
+    (${t.grossVolumeM3.toLocaleString()} m³, ${t.pumpingHours} h pumping)<br>
+    Land preparation ${t.landPrep} mm · rain ${t.rain} mm · ETc ${t.etc} mm ·
+    seepage &amp; percolation ${t.percolation} mm · overflow ${t.overflow} mm
+  `;
+
+  drawPaddyBalanceChart(paddy.series);
+}
+
+function drawPaddyBalanceChart(series) {
+  if (typeof Chart === "undefined") return;
+  const ctx = $("soil-balance-chart")?.getContext("2d");
+  if (!ctx) return;
+
+  if (soilBalanceChart) soilBalanceChart.destroy();
+  soilBalanceChart = new Chart(ctx, {
+    type: "line",
+    data: {
+      labels: series.map((d) => d.date),
+      datasets: [
+        {
+          label: "Standing water (mm, below 0 = soil drying)",
+          data: series.map((d) => +d.depth.toFixed(1)),
+          borderColor: "#3b82f6",
+          backgroundColor: "rgba(59,130,246,0.12)",
+          borderWidth: 1.5,
+          pointRadius: 0,
+          fill: true,
+        },
+        {
+          label: "Ponding depth (mm)",
+          data: series.map((d) => d.ponding),
+          borderColor: "#16a34a",
+          borderWidth: 1.5,
+          borderDash: [6, 4],
+          pointRadius: 0,
+          fill: false,
+        },
+      ],
+    },
+    options: {
+      responsive: true,
+      maintainAspectRatio: false,
+      scales: { x: { ticks: { maxTicksLimit: 12 } } },
+    },
+  });
+}
+
+function drawSoilBalanceChart(series) {
+  if (typeof Chart === "undefined") return;
+  const ctx = $("soil-balance-chart")?.getContext("2d");
+  if (!ctx) return;
+
+  const line = (label, key, color, extra = {}) => ({
+    label,
+    data: series.map((d) => +d[key].toFixed(1)),
+    borderColor: color,
+    borderWidth: 1.5,
+    pointRadius: 0,
+    fill: false,
+    ...extra,
+  });
+  if (soilBalanceChart) soilBalanceChart.destroy();
+  soilBalanceChart = new Chart(ctx, {
+    type: "line",
+    data: {
+      labels: series.map((d) => d.date),
+      datasets: [
+        line("Root-zone depletion (mm)", "depletion", "#3b82f6", {
+          backgroundColor: "rgba(59,130,246,0.12)",
+          fill: true,
+        }),
+        line("Irrigation trigger (MAD)", "trigger", "#f59e0b", { borderDash: [6, 4] }),
+        line("RAW (mm)", "raw", "#16a34a", { borderDash: [2, 3] }),
+        line("TAW (mm)", "taw", "#ef4444"),
+      ],
+    },
+    options: {
+      responsive: true,
+      maintainAspectRatio: false,
+      scales: { x: { ticks: { maxTicksLimit: 12 } }, y: { beginAtZero: true, reverse: true } },
+    },
+  });
+}
+
+// -------------------------
+// ETo CALCULATOR (FAO-56 Penman–Monteith, Hargreaves fallback)
+// -------------------------
+
+const SOLAR_CONSTANT = 0.082; // MJ m⁻² min⁻¹
+const STEFAN_BOLTZMANN = 4.903e-9; // MJ K⁻⁴ m⁻² day⁻¹
+const DEFAULT_WIND_SPEED = 2; // m/s at 2 m, FAO-56's stand-in when wind is missing
+const RADIATION_KRS = 0.16; // °C^-0.5, FAO-56 Eq. 50 adjustment for interior locations
+const WEATHER_FIELDS = ["tmax", "tmin", "humidity", "wind", "radiation"];
+
+let etoWeather = null; // weather table while no project is open
+
+function blankWeather() {
+  return {
+    humidityMode: "rh", // "rh" = mean relative humidity (%), "dew" = dew point (°C)
+    radiationMode: "sunshine", // "sunshine" = hours/day, "radiation" = Rs in MJ/m²/day
+    windHeight: 2,
+    months: MONTH_NAMES.map(() => Object.fromEntries(WEATHER_FIELDS.map((f) => [f, null]))),
+  };
+}
+
+// Saturation vapour pressure, kPa (FAO-56 Eq. 11)
+function saturationVapourPressure(t) {
+  return 0.6108 * Math.exp((17.27 * t) / (t + 237.3));
+}
+
+// Extraterrestrial radiation Ra (MJ/m²/day) and daylight hours N (FAO-56 Eqs. 21–25, 34)
+function extraterrestrialRadiation(latitudeDeg, dayOfYear) {
+  const phi = (latitudeDeg * Math.PI) / 180;
+  const dr = 1 + 0.033 * Math.cos((2 * Math.PI * dayOfYear) / 365);
+  const delta = 0.409 * Math.sin((2 * Math.PI * dayOfYear) / 365 - 1.39);
+  const ws = Math.acos(Math.min(1, Math.max(-1, -Math.tan(phi) * Math.tan(delta))));
+  const ra =
+    ((24 * 60) / Math.PI) *
+    SOLAR_CONSTANT *
+    dr *
+    (ws * Math.sin(phi) * Math.sin(delta) + Math.cos(phi) * Math.cos(delta) * Math.sin(ws));
+  return { ra, daylightHours: (24 / Math.PI) * ws };
+}
+
+// Day of year in the middle of a month (FAO-56 Annex 2)
+function midMonthDayOfYear(month) {
+  return Math.floor(30.4 * (month + 1) - 15);
+}
+
+// Wind speed at 2 m from another measurement height (FAO-56 Eq. 47)
+function windAt2m(speed, heightM) {
+  return heightM > 0 && heightM !== 2 ? (speed * 4.87) / Math.log(67.8 * heightM - 5.42) : speed;
+}
+
+// FAO-56 Eq. 6 for a month; soil heat flux from the change in mean temperature (Eq. 44)
+function penmanMonteithETo(w, site, prevTmean) {
+  const tmean = (w.tmax + w.tmin) / 2;
+  const pressure = 101.3 * ((293 - 0.0065 * site.elevation) / 293) ** 5.26;
+  const gamma = 0.665e-3 * pressure;
+  const es = (saturationVapourPressure(w.tmax) + saturationVapourPressure(w.tmin)) / 2;
+  const ea = w.dewPoint !== undefined ? saturationVapourPressure(w.dewPoint) : (w.rhMean / 100) * es;
+  const delta = (4098 * saturationVapourPressure(tmean)) / (tmean + 237.3) ** 2;
+
+  const { ra, daylightHours } = extraterrestrialRadiation(site.latitude, w.dayOfYear);
+  const rs =
+    w.solarRadiation ?? (0.25 + (0.5 * Math.min(w.sunshineHours, daylightHours)) / daylightHours) * ra;
+  const rso = (0.75 + 2e-5 * site.elevation) * ra;
+  const rnl =
+    STEFAN_BOLTZMANN *
+    (((w.tmax + 273.16) ** 4 + (w.tmin + 273.16) ** 4) / 2) *
+    (0.34 - 0.14 * Math.sqrt(ea)) *
+    (1.35 * Math.min(1, rs / rso) - 0.35);
+  const rn = 0.77 * rs - rnl; // albedo 0.23
+  const g = 0.14 * (tmean - prevTmean);
+
+  const u2 = w.wind2m;
+  const eto =
+    (0.408 * delta * (rn - g) + gamma * (900 / (tmean + 273)) * u2 * (es - ea)) /
+    (delta + gamma * (1 + 0.34 * u2));
+  return Math.max(0, eto);
+}
+
+// Solar radiation (MJ/m²/day) from the temperature range (FAO-56 Eq. 50), at
+// most the clear-sky radiation; for months with humidity but no radiation data
+function temperatureRadiation(w, site) {
+  const { ra } = extraterrestrialRadiation(site.latitude, w.dayOfYear);
+  const rso = (0.75 + 2e-5 * site.elevation) * ra;
+  return Math.min(rso, RADIATION_KRS * Math.sqrt(Math.max(0, w.tmax - w.tmin)) * ra);
+}
+
+// Hargreaves (FAO-56 Eq. 52), used when only temperatures are known
+function hargreavesETo(w, site) {
+  const tmean = (w.tmax + w.tmin) / 2;
+  const { ra } = extraterrestrialRadiation(site.latitude, w.dayOfYear);
+  return Math.max(0, 0.0023 * (tmean + 17.8) * Math.sqrt(Math.max(0, w.tmax - w.tmin)) * 0.408 * ra);
+}
+
+// ETo (mm/day) per month; months without Tmax/Tmin give null. As FAO-56
+// advises for missing data, Penman–Monteith still runs when one of humidity or
+// radiation is missing: dew point taken as Tmin (Eq. 48) or Rs from the
+// temperature range (Eq. 50). Hargreaves only when both are missing.
+function calculateMonthlyETo(weather, site) {
+  const has = (v) => typeof v === "number" && isFinite(v);
+  const tmeanOf = (m) => (has(m?.tmax) && has(m?.tmin) ? (m.tmax + m.tmin) / 2 : null);
+
+  return weather.months.map((m, idx) => {
+    const tmean = tmeanOf(m);
+    if (tmean === null) return { eto: null, method: "-" };
+    const w = { tmax: m.tmax, tmin: m.tmin, dayOfYear: midMonthDayOfYear(idx) };
+
+    if (!has(m.humidity) && !has(m.radiation)) {
+      return { eto: +hargreavesETo(w, site).toFixed(2), method: "Hargreaves" };
+    }
+    const estimated = [];
+    if (!has(m.humidity)) {
+      w.dewPoint = m.tmin;
+      estimated.push("dew point = Tmin");
+    } else if (weather.humidityMode === "dew") w.dewPoint = m.humidity;
+    else w.rhMean = m.humidity;
+    if (!has(m.radiation)) {
+      w.solarRadiation = temperatureRadiation(w, site);
+      estimated.push("Rs from temperature");
+    } else if (weather.radiationMode === "radiation") w.solarRadiation = m.radiation;
+    else w.sunshineHours = m.radiation;
+    w.wind2m = has(m.wind) ? windAt2m(m.wind, weather.windHeight || 2) : DEFAULT_WIND_SPEED;
+    if (!has(m.wind)) estimated.push("wind 2 m/s");
+
+    const prevTmean = tmeanOf(weather.months[(idx + 11) % 12]) ?? tmean;
+    return {
+      eto: +penmanMonteithETo(w, site, prevTmean).toFixed(2),
+      method: estimated.length ? `Penman–Monteith (${estimated.join(", ")})` : "Penman–Monteith",
+    };
+  });
+}
+
+// Latitude/elevation of the open project; latitude defaults to the field centroid
+function getProjectSite() {
+  const proj = projects.find((p) => p.id === currentProjectId);
+  const [centroidLat] = ringCentroidLatLng(fieldBoundary?.outer || DEFAULT_FIELD_BOUNDARY.slice(0, -1));
+  const hasLatitude = typeof proj?.latitude === "number";
+  return {
+    latitude: hasLatitude ? proj.latitude : +centroidLat.toFixed(4),
+    latitudeFromField: !hasLatitude,
+    elevation: typeof proj?.elevation === "number" ? proj.elevation : 0,
+  };
+}
+
+function getEtoWeather() {
+  const proj = projects.find((p) => p.id === currentProjectId);
+  return proj?.weather || etoWeather || blankWeather();
+}
+
+function renderEtoWeatherTable(weather) {
+  const tbody = $("eto-weather-tbody");
+  if (!tbody) return;
+  tbody.innerHTML = weather.months
+    .map(
+      (m, idx) => `
+      <tr>
+        <td>${MONTH_NAMES[idx]}</td>
+        ${WEATHER_FIELDS.map(
+          (f) => `<td><input type="number" step="0.1" class="weather-cell" data-month="${idx}" data-field="${f}"
+            value="${m[f] ?? ""}"></td>`
+        ).join("")}
+        <td id="eto-result-${idx}">-</td>
+        <td id="eto-method-${idx}">-</td>
+      </tr>`
+    )
+    .join("");
+}
+
+function openEtoCalculator() {
+  const weather = getEtoWeather();
+  const site = getProjectSite();
+  const proj = projects.find((p) => p.id === currentProjectId);
+
+  $("eto-latitude").value = site.latitudeFromField ? "" : site.latitude;
+  $("eto-latitude").placeholder = `${site.latitude} (field)`;
+  $("eto-elevation").value = typeof proj?.elevation === "number" ? proj.elevation : "";
+  $("eto-humidity-mode").value = weather.humidityMode;
+  $("eto-radiation-mode").value = weather.radiationMode;
+  $("eto-wind-height").value = weather.windHeight;
+  renderEtoWeatherTable(weather);
+  updateEtoResults();
+  openModal("eto-modal");
+}
+
+function readEtoWeather() {
+  const weather = {
+    humidityMode: $("eto-humidity-mode").value,
+    radiationMode: $("eto-radiation-mode").value,
+    windHeight: parseFloat($("eto-wind-height").value) || 2,
+    months: blankWeather().months,
+  };
+  document.querySelectorAll("#eto-weather-tbody .weather-cell").forEach((input) => {
+    const value = parseFloat(input.value);
+    weather.months[+input.dataset.month][input.dataset.field] = isFinite(value) ? value : null;
+  });
+  return weather;
+}
+
+function readEtoSite() {
+  const latitude = parseFloat($("eto-latitude").value);
+  const elevation = parseFloat($("eto-elevation").value);
+  const fallback = getProjectSite();
+  return {
+    latitude: isFinite(latitude) ? latitude : null,
+    elevation: isFinite(elevation) ? elevation : null,
+    resolved: {
+      latitude: isFinite(latitude) ? latitude : fallback.latitude,
+      elevation: isFinite(elevation) ? elevation : 0,
+    },
+  };
+}
+
+// Recalculate the ETo column and keep weather + site on the project
+function updateEtoResults() {
+  const weather = readEtoWeather();
+  const site = readEtoSite();
+  const results = calculateMonthlyETo(weather, site.resolved);
+  results.forEach((r, idx) => {
+    $(`eto-result-${idx}`).textContent = r.eto === null ? "-" : r.eto.toFixed(2);
+    $(`eto-method-${idx}`).textContent = r.method;
+  });
+  $("eto-site-info").textContent =
+    `Latitude ${site.resolved.latitude}°${site.latitude === null ? " (field centroid)" : ""} · ` +
+    `elevation ${site.resolved.elevation} m`;
+
+  etoWeather = weather;
+  const proj = projects.find((p) => p.id === currentProjectId);
+  if (proj) {
+    proj.weather = weather;
+    proj.latitude = site.latitude;
+    proj.elevation = site.elevation;
+    persistProject(proj);
+  }
+  return results;
+}
+
+function applyEtoToMonthlyTable() {
+  const results = updateEtoResults();
+  const inputs = document.querySelectorAll("#monthly-data-tbody .monthly-eto");
+  let filled = 0;
+  results.forEach((r, idx) => {
+    if (r.eto === null || !inputs[idx]) return;
+    inputs[idx].value = r.eto.toFixed(1);
+    filled += 1;
+  });
+  if (!filled) {
+    alert("Enter at least Tmax and Tmin for a month to calculate ETo.");
+    return;
+  }
+  saveMonthlyTableToProject();
+  closeModal("eto-modal");
+}
+
+// Planner ETo from the chosen month, or the month with the highest ETo
+function applyEtoToPlanner() {
+  const results = updateEtoResults();
+  const choice = $("eto-planner-month").value;
+  const candidates = results.map((r, idx) => ({ ...r, idx })).filter((r) => r.eto !== null);
+  const picked =
+    choice === "peak"
+      ? candidates.reduce((best, r) => (!best || r.eto > best.eto ? r : best), null)
+      : candidates.find((r) => r.idx === +choice);
+  if (!picked) {
+    alert("No ETo for that month yet – enter at least Tmax and Tmin.");
+    return;
+  }
+  $("eto").value = picked.eto.toFixed(1);
+  closeModal("eto-modal");
+  onRecalculate();
+}
+
+function initEtoCalculator() {
+  const monthSelect = $("eto-planner-month");
+  if (monthSelect) {
+    monthSelect.innerHTML =
+      '<option value="peak">Peak month</option>' +
+      MONTH_NAMES.map((name, idx) => `<option value="${idx}">${name}</option>`).join("");
+  }
+
+  $("open-eto-calculator")?.addEventListener("click", openEtoCalculator);
+  $("open-eto-calculator-monthly")?.addEventListener("click", openEtoCalculator);
+  $("eto-weather-tbody")?.addEventListener("input", updateEtoResults);
+  ["eto-latitude", "eto-elevation", "eto-humidity-mode", "eto-radiation-mode", "eto-wind-height"].forEach((id) =>
+    $(id)?.addEventListener("change", updateEtoResults)
+  );
+  $("apply-eto-monthly-btn")?.addEventListener("click", applyEtoToMonthlyTable);
+  $("apply-eto-planner-btn")?.addEventListener("click", applyEtoToPlanner);
+}
+
+// -------------------------
+// WEATHER DATASETS (station CSV import)
+// -------------------------
+
+// Columns a station export can be mapped to; patterns guess the mapping from
+// English or Thai (TMD / RID) headers
+const WEATHER_IMPORT_FIELDS = [
+  { key: "date", label: "Date", pattern: /date|วันที่/i },
+  { key: "year", label: "Year", pattern: /^(year|yr)$|^ปี/i },
+  { key: "month", label: "Month", pattern: /^(month|mon)$|^เดือน/i },
+  { key: "day", label: "Day", pattern: /^day$|^วัน$/i },
+  { key: "rain", label: "Rainfall (mm)", pattern: /rain|precip|ฝน/i },
+  { key: "tmax", label: "Tmax (°C)", pattern: /max.*temp|temp.*max|tmax|สูงสุด/i },
+  { key: "tmin", label: "Tmin (°C)", pattern: /min.*temp|temp.*min|tmin|ต่ำสุด/i },
+  { key: "rh", label: "Mean RH (%)", pattern: /humid|\brh\b|ความชื้น/i },
+  { key: "dewPoint", label: "Dew point (°C)", pattern: /dew|น้ำค้าง/i },
+  { key: "wind", label: "Wind speed", pattern: /wind|ลม/i },
+  { key: "sunshine", label: "Sunshine (h)", pattern: /sun|แดด/i },
+  { key: "radiation", label: "Solar radiation (MJ/m²/day)", pattern: /radiation|solar|รังสี/i },
+  { key: "eto", label: "ETo (mm)", pattern: /eto|et0|\bpet\b|evapotrans|คายระเหย/i },
+];
+
+// Plausible ranges; values outside are treated as outliers and dropped.
+// Rain and ETo are per day in daily files and per month in monthly files.
+const WEATHER_VALID_RANGES = {
+  rain: { daily: [0, 500], monthly: [0, 2000] },
+  tmax: [-10, 50],
+  tmin: [-15, 40],
+  rh: [1, 100],
+  dewPoint: [-20, 35],
+  wind: [0, 40],
+  sunshine: [0, 14],
+  radiation: [0, 40],
+  eto: { daily: [0, 15], monthly: [0, 400] },
+};
+const WEATHER_MISSING_VALUES = ["", "-", "--", "na", "n/a", "nan", "null", "-99", "-99.9", "-999", "-9999", "9999"];
+const WIND_UNITS = { ms: 1, kmh: 1 / 3.6, knots: 0.5144 }; // to m/s
+const MIN_MONTH_COVERAGE = 0.8; // share of days a month needs to count in daily files
+
+let pendingWeatherImport = null; // { fileName, header, rows } while mapping columns
+let unsavedWeatherDatasets = []; // datasets imported while no project is open
+
+function daysInMonthOf(year, month) {
+  return new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+}
+
+// Split CSV/TSV text, guessing the delimiter from the header line
+function parseDelimitedText(text) {
+  const lines = text.replace(/^\uFEFF/, "").split(/\r?\n/).filter((line) => line.trim());
+  const first = lines[0] || "";
+  const delimiter = [",", ";", "\t"].reduce((best, d) => (first.split(d).length > first.split(best).length ? d : best));
+  const split = (line) => {
+    const cells = [];
+    let cell = "";
+    let quoted = false;
+    for (let i = 0; i < line.length; i++) {
+      const ch = line[i];
+      if (ch === '"' && quoted && line[i + 1] === '"') {
+        cell += '"';
+        i += 1;
+      } else if (ch === '"') {
+        quoted = !quoted;
+      } else if (ch === delimiter && !quoted) {
+        cells.push(cell.trim());
+        cell = "";
+      } else {
+        cell += ch;
+      }
+    }
+    cells.push(cell.trim());
+    return cells;
+  };
+  const rows = lines.map(split);
+  return { header: rows.shift() || [], rows };
+}
+
+function guessWeatherMapping(header) {
+  const used = new Set();
+  const mapping = {};
+  WEATHER_IMPORT_FIELDS.forEach(({ key, pattern }) => {
+    const idx = header.findIndex((h, i) => !used.has(i) && pattern.test(h));
+    mapping[key] = idx;
+    if (idx >= 0) used.add(idx);
+  });
+  return mapping;
+}
+
+// Year/month (0-based)/day from ISO, day-first (Thai) or Buddhist-era dates
+function parseWeatherDate(text) {
+  const value = String(text || "").trim();
+  let y;
+  let m;
+  let d = null;
+  let match = /^(\d{4})[-/.](\d{1,2})(?:[-/.](\d{1,2}))?/.exec(value);
+  if (match) {
+    [y, m, d] = [+match[1], +match[2], match[3] ? +match[3] : null];
+  } else if ((match = /^(\d{1,2})[-/.](\d{1,2})[-/.](\d{2,4})/.exec(value))) {
+    [d, m, y] = [+match[1], +match[2], +match[3]];
+    if (y < 100) y += y < 50 ? 2000 : 1900;
+  } else {
+    return null;
+  }
+  return normalizeWeatherDate(y, m, d);
+}
+
+function normalizeWeatherDate(year, month, day) {
+  const y = year > 2400 ? year - 543 : year; // Buddhist era (พ.ศ.)
+  if (!(y > 1800 && month >= 1 && month <= 12)) return null;
+  if (day !== null && !(day >= 1 && day <= daysInMonthOf(y, month - 1))) return null;
+  return { year: y, month: month - 1, day };
+}
+
+function parseWeatherValue(text, key) {
+  const value = String(text ?? "").trim().toLowerCase();
+  if (key === "rain" && (value === "t" || value === "tr")) return 0; // trace
+  if (WEATHER_MISSING_VALUES.includes(value)) return null;
+  const number = parseFloat(value.replace(/,/g, ""));
+  return isFinite(number) ? number : null;
+}
+
+// Validate the mapped rows, find gaps and outliers and aggregate to year-months
+function analyzeWeatherImport(table, mapping, options = {}) {
+  const windFactor = WIND_UNITS[options.windUnit] || 1;
+  const valueKeys = WEATHER_IMPORT_FIELDS.map((f) => f.key).filter(
+    (k) => !["date", "year", "month", "day"].includes(k) && mapping[k] >= 0
+  );
+  const report = { rows: table.rows.length, used: 0, badDates: 0, duplicates: 0, outliers: [], gaps: 0 };
+  if (mapping.date < 0 && (mapping.year < 0 || mapping.month < 0)) {
+    return { error: "Map a Date column, or Year and Month columns.", report };
+  }
+  if (!valueKeys.length) return { error: "Map at least one weather column.", report };
+
+  const records = new Map();
+  table.rows.forEach((row, idx) => {
+    const date =
+      mapping.date >= 0
+        ? parseWeatherDate(row[mapping.date])
+        : normalizeWeatherDate(
+            parseInt(row[mapping.year], 10),
+            parseInt(row[mapping.month], 10),
+            mapping.day >= 0 ? parseInt(row[mapping.day], 10) : null
+          );
+    if (!date) {
+      report.badDates += 1;
+      return;
+    }
+    const key = `${date.year}-${date.month}-${date.day ?? ""}`;
+    if (records.has(key)) {
+      report.duplicates += 1;
+      return;
+    }
+    const values = {};
+    valueKeys.forEach((k) => {
+      let v = parseWeatherValue(row[mapping[k]], k);
+      if (k === "wind" && v !== null) v *= windFactor;
+      values[k] = v;
+    });
+    records.set(key, { ...date, line: idx + 2, values });
+  });
+
+  const list = [...records.values()].sort(
+    (a, b) => a.year - b.year || a.month - b.month || (a.day || 0) - (b.day || 0)
+  );
+  if (!list.length) return { error: "No rows with a readable date.", report };
+  const yearMonths = new Set(list.map((r) => `${r.year}-${r.month}`)).size;
+  const timestep = list.some((r) => r.day !== null) && list.length > yearMonths ? "daily" : "monthly";
+
+  // outliers: out-of-range values and Tmin above Tmax
+  list.forEach((r) => {
+    valueKeys.forEach((k) => {
+      const v = r.values[k];
+      const range = WEATHER_VALID_RANGES[k];
+      const [lo, hi] = Array.isArray(range) ? range : range[timestep];
+      if (v !== null && (v < lo || v > hi)) {
+        report.outliers.push({ line: r.line, field: k, value: v });
+        r.values[k] = null;
+      }
+    });
+    const { tmax, tmin } = r.values;
+    if (tmax != null && tmin != null && tmin > tmax) {
+      report.outliers.push({ line: r.line, field: "tmin > tmax", value: `${tmin} > ${tmax}` });
+      r.values.tmax = null;
+      r.values.tmin = null;
+    }
+  });
+
+  // group per year-month; daily gaps are missing dates inside the record span
+  const months = new Map();
+  list.forEach((r) => {
+    const key = `${r.year}-${r.month}`;
+    if (!months.has(key)) months.set(key, { year: r.year, month: r.month, rows: [] });
+    months.get(key).rows.push(r);
+  });
+  const first = list[0];
+  const last = list[list.length - 1];
+  for (let idx = first.year * 12 + first.month; idx <= last.year * 12 + last.month; idx++) {
+    const y = Math.floor(idx / 12);
+    const m = idx % 12;
+    const group = months.get(`${y}-${m}`);
+    if (timestep === "monthly") {
+      if (!group) report.gaps += 1;
+    } else {
+      const startDay = y === first.year && m === first.month ? first.day : 1;
+      const endDay = y === last.year && m === last.month ? last.day : daysInMonthOf(y, m);
+      report.gaps += endDay - startDay + 1 - (group?.rows.length || 0);
+    }
+  }
+  report.used = list.length;
+
+  let incomplete = 0;
+  const monthly = [...months.values()].map(({ year, month, rows }) => {
+    const days = daysInMonthOf(year, month);
+    const entry = { year, month };
+    valueKeys.forEach((k) => {
+      const values = rows.map((r) => r.values[k]).filter((v) => v !== null);
+      if (timestep === "monthly") {
+        // totals per month for rain/ETo (ETo kept per day), means otherwise
+        entry[k] = values.length ? (k === "eto" ? values[0] / days : values[0]) : null;
+        return;
+      }
+      if (values.length < MIN_MONTH_COVERAGE * days) {
+        entry[k] = null;
+        incomplete += 1;
+        return;
+      }
+      const mean = values.reduce((a, b) => a + b, 0) / values.length;
+      entry[k] = k === "rain" ? mean * days : mean; // rain as mm/month
+    });
+    Object.keys(entry).forEach((k) => {
+      if (typeof entry[k] === "number" && k !== "year" && k !== "month") entry[k] = +entry[k].toFixed(2);
+    });
+    return entry;
+  });
+  report.incompleteMonths = incomplete;
+
+  return {
+    timestep,
+    firstDate: `${first.year}-${String(first.month + 1).padStart(2, "0")}`,
+    lastDate: `${last.year}-${String(last.month + 1).padStart(2, "0")}`,
+    years: new Set(monthly.map((m) => m.year)).size,
+    fields: valueKeys,
+    monthly,
+    report,
+  };
+}
+
+// Long-term monthly means for the 12-month table (rain and ETo in mm/day),
+// with ETo from the file or else calculated from the station weather
+function weatherClimatology(monthly, fields, site, windHeight = 2) {
+  const mean = (values) => (values.length ? values.reduce((a, b) => a + b, 0) / values.length : null);
+  const perMonth = MONTH_NAMES.map((_, m) => monthly.filter((e) => e.month === m));
+  const avg = (m, k) => mean(perMonth[m].map((e) => e[k]).filter((v) => v !== null && v !== undefined));
+
+  const weather = {
+    humidityMode: fields.includes("rh") || !fields.includes("dewPoint") ? "rh" : "dew",
+    radiationMode: fields.includes("sunshine") || !fields.includes("radiation") ? "sunshine" : "radiation",
+    windHeight,
+    months: MONTH_NAMES.map((_, m) => ({
+      tmax: avg(m, "tmax"),
+      tmin: avg(m, "tmin"),
+      humidity: avg(m, fields.includes("rh") || !fields.includes("dewPoint") ? "rh" : "dewPoint"),
+      wind: avg(m, "wind"),
+      radiation: avg(m, fields.includes("sunshine") || !fields.includes("radiation") ? "sunshine" : "radiation"),
+    })),
+  };
+  const calculated = calculateMonthlyETo(weather, site);
+
+  const eto = [];
+  const etoMethod = [];
+  const rain = [];
+  MONTH_NAMES.forEach((_, m) => {
+    const measured = avg(m, "eto");
+    eto.push(measured !== null ? +measured.toFixed(2) : calculated[m].eto);
+    etoMethod.push(measured !== null ? "station" : calculated[m].method);
+    const rainPerDay = perMonth[m]
+      .filter((e) => e.rain !== null && e.rain !== undefined)
+      .map((e) => e.rain / daysInMonthOf(e.year, m));
+    rain.push(rainPerDay.length ? +mean(rainPerDay).toFixed(2) : null);
+  });
+  return { eto, etoMethod, rain, weather };
+}
+
+function getWeatherDatasets() {
+  const proj = projects.find((p) => p.id === currentProjectId);
+  return proj ? (proj.weatherDatasets = proj.weatherDatasets || []) : unsavedWeatherDatasets;
+}
+
+function findWeatherDataset(presetValue) {
+  if (!String(presetValue || "").startsWith("dataset:")) return null;
+  const id = presetValue.slice("dataset:".length);
+  return getWeatherDatasets().find((d) => d.id === id) || null;
+}
+
+// Built-in scenarios plus the project's imported datasets
+function populateScenarioSelect(selected) {
+  const select = $("scenario-preset");
+  if (!select) return;
+  const current = selected || select.value;
+  const datasets = getWeatherDatasets();
+  select.innerHTML =
+    '<option value="normal">Normal Year</option>' +
+    '<option value="dry">Dry Year</option>' +
+    '<option value="wet">Wet Year</option>' +
+    (datasets.length
+      ? `<optgroup label="Imported datasets">${datasets
+          .map((d) => `<option value="dataset:${escapeHtml(d.id)}">${escapeHtml(d.name)}</option>`)
+          .join("")}</optgroup>`
+      : "");
+  select.value = [...select.options].some((o) => o.value === current) ? current : "normal";
+  updateWeatherDatasetButtons();
+}
+
+function updateWeatherDatasetButtons() {
+  const deleteBtn = $("delete-weather-dataset-btn");
+  if (deleteBtn) deleteBtn.disabled = !findWeatherDataset($("scenario-preset")?.value);
+}
+
+function applyWeatherDataset(dataset) {
+  const { eto, rain, weather } = dataset.climatology;
+  applyMonthlyTableData({
+    preset: `dataset:${dataset.id}`,
+    eto: eto.map((v) => v ?? undefined),
+    rain: rain.map((v) => v ?? undefined),
+  });
+  const proj = projects.find((p) => p.id === currentProjectId);
+  if (proj && !proj.weather) proj.weather = weather; // seed the ETo calculator
+  if (!proj && !etoWeather) etoWeather = weather;
+}
+
+function onWeatherFile(e) {
+  const file = e.target.files?.[0];
+  if (!file) return;
+  const reader = new FileReader();
+  reader.onload = () => {
+    const table = parseDelimitedText(String(reader.result || ""));
+    e.target.value = "";
+    if (!table.header.length || !table.rows.length) {
+      alert("Could not import the weather file: no header or data rows found.");
+      return;
+    }
+    pendingWeatherImport = { fileName: file.name, ...table };
+    openWeatherImport(file.name.replace(/\.[^.]+$/, ""));
+  };
+  reader.readAsText(file);
+}
 
-  $("satellite-ndvi").textContent = `${ndvi} (healthy vegetation)`;
-  $("satellite-slope").textContent = slopeOptions[Math.floor(Math.random() * slopeOptions.length)];
-  $("satellite-soil").textContent = soilOptions[Math.floor(Math.random() * soilOptions.length)];
+// Column-mapping step: one select per field, preview and live validation report
+function openWeatherImport(name) {
+  const { header, rows } = pendingWeatherImport;
+  const mapping = guessWeatherMapping(header);
+  const options = header.map((h, i) => `<option value="${i}">${escapeHtml(h || `Column ${i + 1}`)}</option>`).join("");
+
+  $("weather-dataset-name").value = name;
+  $("weather-mapping").innerHTML = WEATHER_IMPORT_FIELDS.map(
+    (f) => `
+      <div class="form-group">
+        <label>${f.label}</label>
+        <select class="form-input weather-map" data-field="${f.key}">
+          <option value="-1">— not in file —</option>${options}
+        </select>
+      </div>`
+  ).join("");
+  document.querySelectorAll("#weather-mapping .weather-map").forEach((select) => {
+    select.value = String(mapping[select.dataset.field]);
+  });
+  const windHeader = header[mapping.wind] || "";
+  $("weather-wind-unit").value = /knot|\bkt/i.test(windHeader) ? "knots" : /km/i.test(windHeader) ? "kmh" : "ms";
+
+  $("weather-preview").innerHTML = `
+    <thead><tr>${header.map((h) => `<th>${escapeHtml(h)}</th>`).join("")}</tr></thead>
+    <tbody>${rows
+      .slice(0, 5)
+      .map((r) => `<tr>${header.map((_, i) => `<td>${escapeHtml(r[i])}</td>`).join("")}</tr>`)
+      .join("")}</tbody>`;
+
+  updateWeatherImportReport();
+  openModal("weather-import-modal");
 }
 
-// Core planner recalculation (FAO + Hazen–Williams)
-function onRecalculate() {
-  const inputs = getPlannerInputs();
+function readWeatherMapping() {
+  const mapping = {};
+  document.querySelectorAll("#weather-mapping .weather-map").forEach((select) => {
+    mapping[select.dataset.field] = parseInt(select.value, 10);
+  });
+  return mapping;
+}
 
-  const design = buildDesignFromInputs(inputs);
-  lastPlannerDesign = design;
+function updateWeatherImportReport() {
+  if (!pendingWeatherImport) return null;
+  const analysis = analyzeWeatherImport(pendingWeatherImport, readWeatherMapping(), {
+    windUnit: $("weather-wind-unit").value,
+  });
+  const r = analysis.report;
+  const outliers = r.outliers
+    .slice(0, 5)
+    .map((o) => `line ${o.line}: ${o.field} ${o.value}`)
+    .join("; ");
+  $("weather-import-report").innerHTML = analysis.error
+    ? `<li class="schedule-warning">${analysis.error}</li>`
+    : `
+      <li>${analysis.timestep === "daily" ? "Daily" : "Monthly"} data, ${analysis.firstDate} to ${analysis.lastDate}
+        (${analysis.years} year(s)), ${r.used} of ${r.rows} rows used</li>
+      <li>${r.gaps} missing ${analysis.timestep === "daily" ? "day(s)" : "month(s)"} in the record
+        ${analysis.timestep === "daily" ? `· ${r.incompleteMonths} month value(s) left out (under 80% of days)` : ""}</li>
+      <li${r.outliers.length ? ' class="schedule-warning"' : ""}>${r.outliers.length} outlier(s) dropped${
+        outliers ? ` – ${outliers}${r.outliers.length > 5 ? "…" : ""}` : ""
+      }</li>
+      ${r.badDates ? `<li class="schedule-warning">${r.badDates} row(s) without a readable date</li>` : ""}
+      ${r.duplicates ? `<li class="schedule-warning">${r.duplicates} duplicate date(s) skipped</li>` : ""}`;
+  $("save-weather-dataset-btn").disabled = Boolean(analysis.error);
+  return analysis;
+}
 
-  $("water-demand").textContent = Math.round(design.waterDemandLday);
-  $("pipe-length").textContent = design.totalPipeLength;
-  $("head-loss").textContent = design.headLossPercent;
-  $("max-lateral-output").textContent = design.avgLateralLength.toFixed(1);
+function saveWeatherDataset() {
+  const analysis = updateWeatherImportReport();
+  if (!analysis || analysis.error) return;
+  const windHeight = parseFloat($("weather-wind-height").value) || 2;
+  const site = getProjectSite();
+  const dataset = {
+    id: generateId(),
+    name: $("weather-dataset-name").value.trim() || pendingWeatherImport.fileName,
+    fileName: pendingWeatherImport.fileName,
+    importedAt: new Date().toISOString(),
+    timestep: analysis.timestep,
+    firstDate: analysis.firstDate,
+    lastDate: analysis.lastDate,
+    years: analysis.years,
+    fields: analysis.fields,
+    monthly: analysis.monthly,
+    report: { ...analysis.report, outliers: analysis.report.outliers.length },
+    climatology: weatherClimatology(analysis.monthly, analysis.fields, site, windHeight),
+  };
 
-  updateKPIFromPlanner(
-    design.waterDemandLday,
-    design.totalPipeLength,
-    design.headLossPercent,
-    design.avgLateralLength
-  );
+  getWeatherDatasets().push(dataset);
+  const proj = projects.find((p) => p.id === currentProjectId);
+  if (proj) persistProject(proj);
+  pendingWeatherImport = null;
+  closeModal("weather-import-modal");
 
-  updateSummaryFromDesign(design, inputs);
+  populateScenarioSelect(`dataset:${dataset.id}`);
+  loadScenarioPreset(`dataset:${dataset.id}`);
+  saveMonthlyTableToProject();
+}
 
-  if (currentProjectId) {
-    const proj = projects.find((p) => p.id === currentProjectId);
-    if (proj) {
-      proj.areaRai = inputs.areaRai;
-      proj.cropType = inputs.cropType;
-      proj.metrics = {
-        waterDemand: Math.round(design.waterDemandLday),
-        pipeLength: design.totalPipeLength,
-        headLoss: design.headLossPercent,
-        maxLateral: design.avgLateralLength,
-      };
-      renderProjectsGrid();
-      updateSummaryFromProject(proj);
-    }
-  }
+function deleteWeatherDataset() {
+  const dataset = findWeatherDataset($("scenario-preset").value);
+  if (!dataset || !confirm(`Delete the weather dataset "${dataset.name}"?`)) return;
+  const datasets = getWeatherDatasets();
+  datasets.splice(datasets.indexOf(dataset), 1);
+  populateScenarioSelect("normal");
+  loadScenarioPreset("normal");
+  saveMonthlyTableToProject();
+  const proj = projects.find((p) => p.id === currentProjectId);
+  if (proj) persistProject(proj);
+}
+
+function initWeatherDatasets() {
+  populateScenarioSelect();
+  $("import-weather-btn")?.addEventListener("click", () => $("weather-file").click());
+  $("weather-file")?.addEventListener("change", onWeatherFile);
+  $("delete-weather-dataset-btn")?.addEventListener("click", deleteWeatherDataset);
+  $("weather-mapping")?.addEventListener("change", updateWeatherImportReport);
+  $("weather-wind-unit")?.addEventListener("change", updateWeatherImportReport);
+  $("save-weather-dataset-btn")?.addEventListener("click", saveWeatherDataset);
 }
 
 // -------------------------
-// HYDRAULIC VALIDATION & KPI CARDS
+// DESIGN RAINFALL (dependable and effective rain)
 // -------------------------
 
-function applyValidationCard(valid, notes) {
-  const card = $("validation-card");
-  const icon = $("validation-icon");
-  const status = $("validation-status");
-  const notesEl = $("validation-notes");
+const MONTH_DAYS = [31, 28.25, 31, 30, 31, 30, 31, 31, 30, 31, 30, 31];
+
+// Rain exceeded in `probability` % of years, from a multi-year series of
+// monthly totals (Weibull plotting position m / (n + 1), interpolated)
+function dependableRainfall(totals, probability) {
+  const sorted = totals.filter((v) => typeof v === "number" && isFinite(v)).sort((a, b) => b - a);
+  const n = sorted.length;
+  if (!n) return null;
+  const rank = (Math.min(99, Math.max(1, probability)) / 100) * (n + 1);
+  if (rank <= 1) return sorted[0];
+  if (rank >= n) return sorted[n - 1];
+  const lo = Math.floor(rank);
+  return sorted[lo - 1] + (sorted[lo] - sorted[lo - 1]) * (rank - lo);
+}
 
-  card.classList.remove("valid", "invalid");
+// Design rain per calendar month (mm/day). With a multi-year dataset as the
+// preset it is the dependable rain at the chosen probability, otherwise the
+// table value; `effective` applies the effective-rain method to that month's total.
+function getDesignRainfall(inputs, tableRain, preset) {
+  const dataset = findWeatherDataset(preset);
+  return MONTH_NAMES.map((_, m) => {
+    const totals = (dataset?.monthly || []).filter((e) => e.month === m && e.rain != null).map((e) => e.rain);
+    const dependable = totals.length >= 2 ? dependableRainfall(totals, inputs.rainProbability) : null;
+    const rain = dependable !== null ? dependable / MONTH_DAYS[m] : tableRain[m] || 0;
+    return {
+      rain,
+      source: dependable !== null ? "dependable" : "table",
+      years: totals.length,
+      effective: effectiveRainPerDay(rain, inputs, MONTH_DAYS[m]),
+    };
+  });
+}
 
-  if (valid) {
-    card.classList.add("valid");
-    icon.className = "fas fa-check-circle";
-    status.textContent = "Valid";
+// Peak month of net irrigation demand (daily Kc curve against ETo and the
+// effective design rain, or the paddy balance on total rain), used to fill the planner's
+// design ETo and rainfall
+function findPeakDesignMonth(inputs, monthlyEto, designRain) {
+  const simulation = simulateWaterDemand(inputs, monthlyEto, designRain);
+  const daily = (m) => m.netMm / m.days;
+  const peak = simulation.monthly.reduce((best, m) => (!best || daily(m) > daily(best) ? m : best), null);
+  if (!peak) return null;
+  return {
+    label: peak.label,
+    month: peak.month,
+    meanKc: peak.meanKc,
+    eto: monthlyEto[peak.month],
+    rain: designRain[peak.month].rain,
+    // the pond balance counts all the rain (see simulateWaterDemand)
+    effectiveRain: isPaddyMode(inputs) ? designRain[peak.month].rain : designRain[peak.month].effective,
+    netMm: daily(peak),
+    landPrepMm: peak.landPrepMm !== undefined ? peak.landPrepMm / peak.days : undefined,
+    rainSource: designRain[peak.month].source,
+    years: designRain[peak.month].years,
+  };
+}
+
+// The condition the system is sized for: the planner's ET₀ and rainfall, the
+// peak month of the season, or the given percentile of daily net demand over
+// the crop days (nearest rank). Falls back to the planner values, with the
+// reason, when the seasonal data cannot give a critical period.
+function resolveDesignBasis(inputs, climate) {
+  // paddies count all the rain, as the pond balance does (see simulateWaterDemand)
+  const paddy = isPaddyMode(inputs);
+  const planner = {
+    mode: "planner",
+    label: "Planner ET₀ and rainfall",
+    eto: inputs.eto,
+    rain: inputs.rainfall,
+    effectiveRain: paddy ? inputs.rainfall : effectiveRainPerDay(inputs.rainfall, inputs),
+    kc: computeSeasonalKc(inputs),
+  };
+  // paddies add seepage and percolation, and land preparation (see paddyNetMmDay)
+  if (paddy) {
+    const need = paddyNetMmDay(inputs, planner.eto, planner.effectiveRain, planner.kc);
+    planner.netMm = need.net;
+    planner.paddy = { percolation: need.percolation, landPrep: need.landPrepRate };
+  }
+  const requested = inputs.designBasis || "planner";
+  if (requested === "planner") return planner;
+  if (!climate?.eto?.length) {
+    return { ...planner, requested, fallback: "no seasonal ET₀/rainfall table" };
+  }
+
+  const designRain = getDesignRainfall(inputs, climate.rain || [], climate.preset);
+  if (requested === "peak-month") {
+    const peak = findPeakDesignMonth(inputs, climate.eto, designRain);
+    if (!peak) return { ...planner, requested, fallback: "no crop days in the planting calendar" };
+    return {
+      mode: requested,
+      label: `Peak month ${peak.label}`,
+      eto: peak.eto,
+      rain: peak.rain,
+      effectiveRain: peak.effectiveRain,
+      kc: peak.meanKc,
+      netMm: peak.netMm,
+      rainSource: peak.rainSource,
+      ...(paddy ? { paddy: { percolation: paddyPercolation(inputs), landPrep: peak.landPrepMm } } : {}),
+    };
+  }
+
+  const simulation = simulateWaterDemand(inputs, climate.eto, designRain);
+  const cropDays = simulation.days.filter((d) => d.kc > 0 || d.landPrepMm > 0).sort((a, b) => a.netMm - b.netMm);
+  if (!cropDays.length) return { ...planner, requested, fallback: "no crop days in the planting calendar" };
+  const percentile = Math.min(100, Math.max(1, inputs.designPercentile || 95));
+  const day = cropDays[Math.max(0, Math.ceil((percentile / 100) * cropDays.length) - 1)];
+  const month = parseIsoDate(day.date).getUTCMonth();
+  return {
+    mode: requested,
+    label: `P${percentile} of daily demand (${day.date})`,
+    eto: climate.eto[month] || 0,
+    rain: designRain[month].rain,
+    effectiveRain: paddy ? designRain[month].rain : designRain[month].effective,
+    kc: day.kc,
+    netMm: day.netMm,
+    rainSource: designRain[month].source,
+    ...(paddy ? { paddy: { percolation: paddyPercolation(inputs), landPrep: day.landPrepMm } } : {}),
+  };
+}
+
+// A seasonal design basis follows the monthly table and the selected dataset
+function recalculateSeasonalBasis() {
+  if (($("design-basis")?.value || "planner") !== "planner") onRecalculate();
+}
+
+// Only the planner basis of a dryland crop is ETc less effective rain; the others
+// carry a net from the daily simulation or the paddy balance, so their inputs are
+// listed rather than written as a sum
+function describeDesignBasis(basis, netIrrigation) {
+  const rain = `${basis.effectiveRain.toFixed(1)} ${basis.paddy ? "rain" : "effective rain"}`;
+  const net = `${netIrrigation.toFixed(1)} mm/day net`;
+  let text;
+  if (basis.netMm == null) {
+    text = `${basis.label}: ET₀ ${basis.eto.toFixed(1)} × Kc ${basis.kc.toFixed(2)} − ${rain} → ${net}`;
   } else {
-    card.classList.add("invalid");
-    icon.className = "fas fa-exclamation-triangle";
-    status.textContent = "Check Design";
+    const paddy = basis.paddy
+      ? `, ${basis.paddy.percolation.toFixed(1)} seepage & percolation` +
+        (basis.paddy.landPrep > 0 ? `, land preparation ${basis.paddy.landPrep.toFixed(1)}` : "")
+      : "";
+    const source = basis.mode === "planner" ? "paddy balance" : "seasonal simulation";
+    text = `${basis.label}: ET₀ ${basis.eto.toFixed(1)}, Kc ${basis.kc.toFixed(2)}${paddy}, ${rain} → ${net} (${source})`;
   }
-  notesEl.textContent = notes || "";
+  return basis.fallback ? `${text} (${basis.requested.replace("-", " ")} unavailable: ${basis.fallback})` : text;
 }
 
-// Functional KPI #2: Hydraulic Validation Compliance (head-loss ≤ 5%)
-function onValidateHydraulics() {
-  const design = lastPlannerDesign || buildDesignFromInputs(getPlannerInputs());
-  const headLoss = design.headLossPercent || 0;
-  const lateralLoss = design.lateralHeadLossPercent || 0;
+function onUsePeakMonth() {
+  const tbody = $("monthly-data-tbody");
+  if (!tbody) return;
+  const inputs = getPlannerInputs();
+  const monthlyEto = [...tbody.querySelectorAll(".monthly-eto")].map((i) => parseFloat(i.value || "0"));
+  const tableRain = [...tbody.querySelectorAll(".monthly-rainfall")].map((i) => parseFloat(i.value || "0"));
+  const peak = findPeakDesignMonth(inputs, monthlyEto, getDesignRainfall(inputs, tableRain, $("scenario-preset")?.value));
+  if (!peak) return;
+
+  $("eto").value = peak.eto.toFixed(1);
+  $("rainfall").value = peak.rain.toFixed(1);
+  $("design-rain-info").textContent =
+    `Peak month ${peak.label}: ET₀ ${peak.eto.toFixed(1)} mm/day, ` +
+    (peak.rainSource === "dependable"
+      ? `${inputs.rainProbability}% dependable rain from ${peak.years} years`
+      : "rain from the monthly table (no multi-year dataset selected)");
+  onRecalculate();
+}
 
-  const valid = headLoss <= 5 && lateralLoss <= 5; // target head-loss ≤5% for main and laterals
-  const notes = valid
-    ? "Head loss ≤ 5% and lateral length within limit."
-    : "Head loss or lateral pipe length exceeds the allowable limit. Consider increasing the main pipe diameter or dividing the field into more zones to reduce lateral length.";
+// -------------------------
+// TERRAIN (DEM / survey elevations, slope classes)
+// -------------------------
 
-  applyValidationCard(valid, notes);
+const TERRAIN_MAX_CELLS = 300; // per side, after cropping the DEM to the field
+const TERRAIN_MARGIN_M = 30; // kept around the field when cropping
+const TERRAIN_POINT_RADIUS_M = 150; // survey points further away do not count
+const TERRAIN_NODATA_BELOW = -1000; // SRTM-style voids (-32768) and similar
+const SLOPE_MAP_CELLS = 40; // slope overlay cells across the field
+const M_PER_DEG_LAT = 111320;
+
+// Upper bound (%) of each slope class shown on the map and the field panel
+const SLOPE_CLASSES = [
+  { max: 2, label: "Flat", color: "#1a9850" },
+  { max: 5, label: "Gentle", color: "#a6d96a" },
+  { max: 10, label: "Moderate", color: "#fdae61" },
+  { max: Infinity, label: "Steep", color: "#d73027" },
+];
 
-  if (currentProjectId) {
-    const proj = projects.find((p) => p.id === currentProjectId);
-    if (proj) {
-      proj.validation = { valid, notes };
-      renderProjectsGrid();
-    }
-  }
+let unsavedTerrain = null; // terrain imported while no project is open
+
+function getProjectTerrain() {
+  const proj = projects.find((p) => p.id === currentProjectId);
+  return proj ? proj.terrain || null : unsavedTerrain;
 }
 
-// KPI Cards (Functional KPIs)
-function updateKPIFromPlanner(waterDemand, pipeLength, headLoss, maxLateralLength) {
-  const head = isFinite(headLoss) ? headLoss : 0;
-  const lateral = isFinite(maxLateralLength) ? maxLateralLength : 0;
-  const pipe = isFinite(pipeLength) ? pipeLength : 0;
+function slopeClassOf(slopePercent) {
+  return SLOPE_CLASSES.find((c) => Math.abs(slopePercent) <= c.max);
+}
 
-  $("kpi-headloss").textContent = head.toFixed(2) + "%";
-  $("kpi-lateral").textContent = lateral.toFixed(1) + " m";
-  $("kpi-pipelength").textContent = pipe + " m";
+// WGS84 lat/lng to UTM easting/northing (Snyder's transverse Mercator series)
+function latLngToUtm(lat, lng, zone, south = false) {
+  const a = EARTH_RADIUS_M;
+  const f = 1 / 298.257223563;
+  const k0 = 0.9996;
+  const e2 = f * (2 - f);
+  const ep2 = e2 / (1 - e2);
+  const rad = Math.PI / 180;
+  const phi = lat * rad;
+  const sin = Math.sin(phi);
+  const cos = Math.cos(phi);
+  const n = a / Math.sqrt(1 - e2 * sin * sin);
+  const t = Math.tan(phi) ** 2;
+  const c = ep2 * cos * cos;
+  const A = cos * (lng - (zone * 6 - 183)) * rad;
+  const m =
+    a *
+    ((1 - e2 / 4 - (3 * e2 ** 2) / 64 - (5 * e2 ** 3) / 256) * phi -
+      ((3 * e2) / 8 + (3 * e2 ** 2) / 32 + (45 * e2 ** 3) / 1024) * Math.sin(2 * phi) +
+      ((15 * e2 ** 2) / 256 + (45 * e2 ** 3) / 1024) * Math.sin(4 * phi) -
+      ((35 * e2 ** 3) / 3072) * Math.sin(6 * phi));
+  const easting =
+    500000 +
+    k0 * n * (A + ((1 - t + c) * A ** 3) / 6 + ((5 - 18 * t + t * t + 72 * c - 58 * ep2) * A ** 5) / 120);
+  const northing =
+    k0 *
+    (m +
+      n *
+        Math.tan(phi) *
+        ((A * A) / 2 +
+          ((5 - t + 9 * c + 4 * c * c) * A ** 4) / 24 +
+          ((61 - 58 * t + t * t + 600 * c - 330 * ep2) * A ** 6) / 720));
+  return [easting, south ? northing + 10000000 : northing];
+}
 
-  const headLossPercentForBar = Math.min(100, (head / 10) * 100);
-  const lateralPercent = Math.min(100, (lateral / 100) * 100);
+// "47N" / "48 S" / "47" -> { utmZone, south }
+function parseUtmZone(text) {
+  const match = /^\s*(\d{1,2})\s*([NS])?\s*$/i.exec(String(text || ""));
+  if (!match || +match[1] < 1 || +match[1] > 60) return null;
+  return { utmZone: +match[1], south: (match[2] || "N").toUpperCase() === "S" };
+}
 
-  $("kpi-headloss-bar").style.width = headLossPercentForBar + "%";
-  $("kpi-lateral-bar").style.width = lateralPercent + "%";
+// EPSG 4326 (lat/lon) or WGS84 / UTM (326zz north, 327zz south)
+function crsFromEpsg(code) {
+  if (code === 4326) return { utmZone: null, south: false };
+  if (code > 32600 && code <= 32660) return { utmZone: code - 32600, south: false };
+  if (code > 32700 && code <= 32760) return { utmZone: code - 32700, south: true };
+  return null;
 }
 
-function buildCostItems(design, inputs) {
-  const mainPipeLen = design.mainLength || 0;
-  const lateralPipeLen = design.lateralLength || 0;
-  const sprinklers = design.sprinklerCount || 0;
-  const valves = Math.max(1, design.valves || Math.round((inputs?.areaRai || 0) / 4) || 1);
-  const pumpHp = design.pumpPowerHp || 0;
-
-  return [
-    { name: `Main pipe Ø${inputs?.mainDiameter || 75} mm`, qty: mainPipeLen, unit: "m", unitPrice: 120 },
-    { name: "Lateral pipe Ø32 mm", qty: lateralPipeLen, unit: "m", unitPrice: 70 },
-    { name: "Sprinkler heads", qty: sprinklers, unit: "pcs", unitPrice: 85 },
-    { name: "Control valves", qty: valves, unit: "pcs", unitPrice: 550 },
-    { name: "Filter set", qty: 1, unit: "set", unitPrice: 9500 },
-    { name: `Pump (approx ${pumpHp} hp)`, qty: 1, unit: "set", unitPrice: 45000 },
-  ];
+function terrainXY(crs, [lat, lng]) {
+  return crs.utmZone ? latLngToUtm(lat, lng, crs.utmZone, crs.south) : [lng, lat];
 }
 
-function updateSummaryFromDesign(design, inputs) {
-  if (!design) return;
-  const mainInputs = inputs || getPlannerInputs();
+// Cell window of a grid (left/top corner, cell sizes in its CRS) covering the
+// field plus a margin; null when the grid does not reach the field
+function terrainWindow(grid, crs, boundary) {
+  const lats = boundary.outer.map((p) => p[0]);
+  const lngs = boundary.outer.map((p) => p[1]);
+  const dLat = TERRAIN_MARGIN_M / M_PER_DEG_LAT;
+  const dLng = dLat / Math.cos((lats[0] * Math.PI) / 180);
+  const corners = [
+    [Math.min(...lats) - dLat, Math.min(...lngs) - dLng],
+    [Math.min(...lats) - dLat, Math.max(...lngs) + dLng],
+    [Math.max(...lats) + dLat, Math.min(...lngs) - dLng],
+    [Math.max(...lats) + dLat, Math.max(...lngs) + dLng],
+  ].map((ll) => terrainXY(crs, ll));
+  const xs = corners.map((c) => c[0]);
+  const ys = corners.map((c) => c[1]);
+  const col0 = Math.max(0, Math.floor((Math.min(...xs) - grid.left) / grid.cellX));
+  const col1 = Math.min(grid.ncols, Math.ceil((Math.max(...xs) - grid.left) / grid.cellX));
+  const row0 = Math.max(0, Math.floor((grid.top - Math.max(...ys)) / grid.cellY));
+  const row1 = Math.min(grid.nrows, Math.ceil((grid.top - Math.min(...ys)) / grid.cellY));
+  return col1 > col0 && row1 > row0 ? { col0, col1, row0, row1 } : null;
+}
 
-  updateKPIFromPlanner(
-    design.waterDemandLday || 0,
-    design.totalPipeLength || 0,
-    design.headLossPercent || 0,
-    design.avgLateralLength || 0
-  );
+function cleanElevation(value, nodata) {
+  return isFinite(value) && value !== nodata && value > TERRAIN_NODATA_BELOW ? +(+value).toFixed(2) : null;
+}
 
-  const items = buildCostItems(design, mainInputs);
-  const totalCost = items.reduce((sum, it) => sum + it.qty * it.unitPrice, 0);
-  $("kpi-cost").textContent = "฿" + totalCost.toLocaleString();
+// Project terrain from a cropped window read at ncols × nrows cells
+// Georeference of a window cut from a grid and resampled to ncols × nrows
+function croppedGrid(grid, win, ncols, nrows) {
+  return {
+    crs: grid.crs,
+    left: grid.left + win.col0 * grid.cellX,
+    top: grid.top - win.row0 * grid.cellY,
+    cellX: ((win.col1 - win.col0) * grid.cellX) / ncols,
+    cellY: ((win.row1 - win.row0) * grid.cellY) / nrows,
+    ncols,
+    nrows,
+  };
+}
 
-  updateCostCharts(items, totalCost, design.totalPipeLength || 0);
+function makeGridTerrain(meta, grid, win, ncols, nrows, values) {
+  const valid = values.filter((v) => v !== null);
+  if (!valid.length) throw new Error("the DEM has no elevations over the field");
+  return {
+    kind: "grid",
+    ...meta,
+    ...croppedGrid(grid, win, ncols, nrows),
+    values,
+    minElevation: Math.min(...valid),
+    maxElevation: Math.max(...valid),
+  };
 }
 
-// -------------------------
-// BOM (COST IN THAI BAHT)
-// -------------------------
+function windowSize(win) {
+  const step = Math.max(1, Math.ceil(Math.max(win.col1 - win.col0, win.row1 - win.row0) / TERRAIN_MAX_CELLS));
+  return {
+    step,
+    ncols: Math.ceil((win.col1 - win.col0) / step),
+    nrows: Math.ceil((win.row1 - win.row0) / step),
+  };
+}
 
-function onShowBOM() {
-  const inputs = getPlannerInputs();
-  const design = lastPlannerDesign || buildDesignFromInputs(inputs);
-  const pipeLength = design.totalPipeLength;
+// ESRI ASCII grid (.asc). Projected grids are read as WGS84 / UTM in `utmZone`.
+function parseAsciiGrid(text, meta, boundary, utmZone) {
+  const tokens = text.trim().split(/\s+/);
+  const header = {};
+  while (tokens.length && /^[a-z_]+$/i.test(tokens[0])) {
+    header[tokens.shift().toLowerCase()] = parseFloat(tokens.shift());
+  }
+  const ncols = header.ncols;
+  const nrows = header.nrows;
+  const cell = header.cellsize || header.dx;
+  if (!(ncols > 0 && nrows > 0 && cell > 0)) throw new Error("missing ncols, nrows or cellsize in the header");
+  if (tokens.length < ncols * nrows) throw new Error(`expected ${ncols * nrows} values, found ${tokens.length}`);
+
+  const cellY = header.dy || cell;
+  const left = "xllcenter" in header ? header.xllcenter - cell / 2 : header.xllcorner;
+  const bottom = "yllcenter" in header ? header.yllcenter - cellY / 2 : header.yllcorner;
+  const geographic = Math.abs(left) <= 180 && Math.abs(bottom) <= 90 && cell < 0.1;
+  const crs = geographic ? { utmZone: null, south: false } : parseUtmZone(utmZone);
+  if (!crs) throw new Error("projected grid – enter its WGS84 UTM zone (e.g. 47N)");
+
+  const grid = { crs, left, top: bottom + nrows * cellY, cellX: cell, cellY, ncols, nrows };
+  const win = terrainWindow(grid, crs, boundary);
+  if (!win) throw new Error("the grid does not cover the field");
+
+  // block-average down to at most TERRAIN_MAX_CELLS per side
+  const nodata = header.nodata_value;
+  const size = windowSize(win);
+  const values = [];
+  for (let r = 0; r < size.nrows; r++) {
+    for (let c = 0; c < size.ncols; c++) {
+      let sum = 0;
+      let count = 0;
+      for (let row = win.row0 + r * size.step; row < Math.min(win.row1, win.row0 + (r + 1) * size.step); row++) {
+        for (let col = win.col0 + c * size.step; col < Math.min(win.col1, win.col0 + (c + 1) * size.step); col++) {
+          const v = cleanElevation(parseFloat(tokens[row * ncols + col]), nodata);
+          if (v !== null) {
+            sum += v;
+            count++;
+          }
+        }
+      }
+      values.push(count ? +(sum / count).toFixed(2) : null);
+    }
+  }
+  return makeGridTerrain(meta, grid, win, size.ncols, size.nrows, values);
+}
 
-  const tbody = $("bom-tbody");
-  tbody.innerHTML = "";
+// Single-band GeoTIFF in EPSG:4326 or WGS84 / UTM, read with geotiff.js
+// First band of a GeoTIFF (EPSG:4326 or WGS84 / UTM) over the field window,
+// each value passed through clean(value, nodata); null when it misses the field
+async function readGeoTiffWindow(buffer, boundary, clean) {
+  if (typeof GeoTIFF === "undefined") throw new Error("the GeoTIFF reader (geotiff.js) could not be loaded");
+  const tiff = await GeoTIFF.fromArrayBuffer(buffer);
+  const image = await tiff.getImage();
+  const keys = image.getGeoKeys() || {};
+  const epsg = keys.ProjectedCSTypeGeoKey || keys.GeographicTypeGeoKey;
+  const crs = crsFromEpsg(epsg);
+  if (!crs) throw new Error(`unsupported coordinate system EPSG:${epsg || "?"} – use WGS84 lat/lon or UTM`);
+
+  const [minX, minY, maxX, maxY] = image.getBoundingBox();
+  const ncols = image.getWidth();
+  const nrows = image.getHeight();
+  const grid = { crs, left: minX, top: maxY, cellX: (maxX - minX) / ncols, cellY: (maxY - minY) / nrows, ncols, nrows };
+  const win = terrainWindow(grid, crs, boundary);
+  if (!win) return null;
+
+  const size = windowSize(win);
+  const nodata = image.getGDALNoData();
+  const [band] = await image.readRasters({
+    samples: [0],
+    window: [win.col0, win.row0, win.col1, win.row1],
+    width: size.ncols,
+    height: size.nrows,
+  });
+  return { grid, win, ncols: size.ncols, nrows: size.nrows, values: Array.from(band, (v) => clean(v, nodata)) };
+}
 
-  const items = buildCostItems(design, inputs);
+async function readGeoTiffTerrain(buffer, meta, boundary) {
+  const raster = await readGeoTiffWindow(buffer, boundary, cleanElevation);
+  if (!raster) throw new Error("the DEM does not cover the field");
+  return makeGridTerrain(meta, raster.grid, raster.win, raster.ncols, raster.nrows, raster.values);
+}
 
-  let totalCost = 0;
+// Survey points: CSV with latitude, longitude and elevation columns
+function parseSurveyPoints(text, meta) {
+  const table = parseDelimitedText(text);
+  const find = (pattern) => table.header.findIndex((h) => pattern.test(h));
+  const latCol = find(/^lat|latitude|ละติจูด/i);
+  const lngCol = find(/^(lon|lng|long)|longitude|ลองจิจูด/i);
+  const elevCol = find(/elev|alt|height|^z$|^rl$|ระดับ|ความสูง/i);
+  if (latCol < 0 || lngCol < 0 || elevCol < 0) {
+    throw new Error("need latitude, longitude and elevation columns");
+  }
+  const points = table.rows
+    .map((row) => [parseFloat(row[latCol]), parseFloat(row[lngCol]), cleanElevation(parseFloat(row[elevCol]))])
+    .filter(([lat, lng, z]) => Math.abs(lat) <= 90 && Math.abs(lng) <= 180 && z !== null);
+  if (points.length < 3) throw new Error("fewer than 3 usable survey points");
+  const elevations = points.map((p) => p[2]);
+  return {
+    kind: "points",
+    ...meta,
+    points,
+    minElevation: Math.min(...elevations),
+    maxElevation: Math.max(...elevations),
+  };
+}
 
-  items.forEach((it) => {
-    const row = document.createElement("tr");
-    const total = it.qty * it.unitPrice;
-    totalCost += total;
+// Name, import time and extent of a terrain: tells a revision which DEM or
+// survey it was computed on
+function terrainFingerprint(terrain) {
+  if (!terrain) return null;
+  const extent =
+    terrain.kind === "grid"
+      ? [terrain.left, terrain.top - terrain.nrows * terrain.cellY, terrain.left + terrain.ncols * terrain.cellX, terrain.top]
+      : [
+          Math.min(...terrain.points.map((p) => p[1])),
+          Math.min(...terrain.points.map((p) => p[0])),
+          Math.max(...terrain.points.map((p) => p[1])),
+          Math.max(...terrain.points.map((p) => p[0])),
+        ];
+  return { name: terrain.name, importedAt: terrain.importedAt, kind: terrain.kind, extent };
+}
 
-    row.innerHTML = `
-      <td>${it.name}</td>
-      <td>${it.qty}</td>
-      <td>${it.unit}</td>
-      <td>${it.unitPrice.toLocaleString()} Baht</td>
-      <td>${total.toLocaleString()} Baht</td>
-    `;
-    tbody.appendChild(row);
+// Ground elevation (m) at [lat, lng]: bilinear between DEM cell centres, or
+// inverse-distance weighting of nearby survey points; null outside the data
+function terrainElevationAt(terrain, latlng) {
+  if (!terrain) return null;
+  if (terrain.kind === "points") {
+    const kx = M_PER_DEG_LAT * Math.cos((latlng[0] * Math.PI) / 180);
+    let num = 0;
+    let den = 0;
+    for (const [lat, lng, z] of terrain.points) {
+      const d = Math.hypot((lat - latlng[0]) * M_PER_DEG_LAT, (lng - latlng[1]) * kx);
+      if (d < 0.01) return z;
+      if (d > TERRAIN_POINT_RADIUS_M) continue;
+      num += z / (d * d);
+      den += 1 / (d * d);
+    }
+    return den > 0 ? num / den : null;
+  }
+
+  const [x, y] = terrainXY(terrain.crs, latlng);
+  const fx = (x - terrain.left) / terrain.cellX - 0.5;
+  const fy = (terrain.top - y) / terrain.cellY - 0.5;
+  if (fx < -0.5 || fy < -0.5 || fx > terrain.ncols - 0.5 || fy > terrain.nrows - 0.5) return null;
+  const c0 = Math.floor(fx);
+  const r0 = Math.floor(fy);
+  let num = 0;
+  let den = 0;
+  [
+    [r0, c0, (1 - (fx - c0)) * (1 - (fy - r0))],
+    [r0, c0 + 1, (fx - c0) * (1 - (fy - r0))],
+    [r0 + 1, c0, (1 - (fx - c0)) * (fy - r0)],
+    [r0 + 1, c0 + 1, (fx - c0) * (fy - r0)],
+  ].forEach(([r, c, w]) => {
+    const v = r >= 0 && c >= 0 && r < terrain.nrows && c < terrain.ncols ? terrain.values[r * terrain.ncols + c] : null;
+    if (v === null || w <= 0) return;
+    num += v * w;
+    den += w;
   });
+  return den > 0 ? num / den : null;
+}
 
-  const totalRow = document.createElement("tr");
-  totalRow.innerHTML = `
-    <td colspan="4" style="text-align:right;">Grand Total</td>
-    <td>${totalCost.toLocaleString()} Baht</td>
-  `;
-  tbody.appendChild(totalRow);
+// Ground slope (%) at a point from central differences over ± stepM/2
+function terrainSlopeAt(terrain, [lat, lng], stepM) {
+  const dLat = stepM / 2 / M_PER_DEG_LAT;
+  const dLng = dLat / Math.cos((lat * Math.PI) / 180);
+  const [n, s, e, w] = [
+    [lat + dLat, lng],
+    [lat - dLat, lng],
+    [lat, lng + dLng],
+    [lat, lng - dLng],
+  ].map((ll) => terrainElevationAt(terrain, ll));
+  if ([n, s, e, w].some((v) => v === null)) return null;
+  return Math.hypot((n - s) / stepM, (e - w) / stepM) * 100;
+}
 
-  $("bom-container").style.display = "block";
+// Node elevations for a layout network. Nodes outside the terrain take the
+// elevation of the node feeding them so the network stays level there.
+function applyTerrainToNetwork(network, terrain) {
+  let sampled = 0;
+  network.nodes.forEach((n) => {
+    const z = terrainElevationAt(terrain, n.latlng);
+    n.elevation = z === null ? null : +z.toFixed(2);
+    if (z !== null) sampled++;
+  });
+  const fallback = network.nodes.find((n) => n.elevation !== null)?.elevation ?? 0;
+  const source = network.nodes[network.sourceId];
+  if (source.elevation === null) source.elevation = fallback;
+  network.pipes.forEach((p) => {
+    if (network.nodes[p.to].elevation === null) network.nodes[p.to].elevation = network.nodes[p.from].elevation;
+  });
+  network.nodes.forEach((n) => {
+    if (n.elevation === null) n.elevation = source.elevation;
+  });
 
-  $("kpi-cost").textContent = "฿" + totalCost.toLocaleString();
+  const elevations = network.nodes.map((n) => n.elevation);
+  return {
+    name: terrain.name,
+    kind: terrain.kind,
+    sampledNodes: sampled,
+    totalNodes: network.nodes.length,
+    sourceElevation: source.elevation,
+    minElevation: Math.min(...elevations),
+    maxElevation: Math.max(...elevations),
+  };
+}
 
-  if (currentProjectId) {
-    const proj = projects.find((p) => p.id === currentProjectId);
-    if (proj) {
-      proj.metrics = proj.metrics || {};
-      proj.metrics.totalCost = totalCost.toFixed(0);
-      renderProjectsGrid();
-      updateSummaryFromProject(proj);
+// Square sampling cells over the field (centres inside, holes excluded), cellM
+// apart but at least 5 m and no more than maxCells across the field
+function fieldSampleCells(boundary, cellM, maxCells) {
+  const [lat0, lng0] = ringCentroidLatLng(boundary.outer);
+  const proj = createLocalProjection(lat0, lng0);
+  const xy = boundary.outer.map(proj.toXY);
+  const xs = xy.map((p) => p[0]);
+  const ys = xy.map((p) => p[1]);
+  const span = Math.max(Math.max(...xs) - Math.min(...xs), Math.max(...ys) - Math.min(...ys));
+  const step = Math.max(5, cellM, span / maxCells);
+
+  const cells = [];
+  for (let y = Math.min(...ys) + step / 2; y < Math.max(...ys); y += step) {
+    for (let x = Math.min(...xs) + step / 2; x < Math.max(...xs); x += step) {
+      const centre = proj.toLatLng([x, y]);
+      if (!pointInRing(centre, boundary.outer) || (boundary.holes || []).some((h) => pointInRing(centre, h))) {
+        continue;
+      }
+      cells.push({
+        centre,
+        bounds: [proj.toLatLng([x - step / 2, y - step / 2]), proj.toLatLng([x + step / 2, y + step / 2])],
+      });
     }
   }
+  return { step, cells };
+}
+
+// Ground size (m) of a grid cell
+function gridCellM(grid) {
+  return grid.cellY * (grid.crs.utmZone ? 1 : M_PER_DEG_LAT);
+}
+
+// Share of the cells in each class, for the classes that occur
+function classShares(cells, classes, classOf) {
+  return classes
+    .map((c) => ({ ...c, share: cells.filter((cell) => classOf(cell) === c).length / cells.length }))
+    .filter((c) => c.share > 0);
+}
+
+// Slope-class cells over the field
+function terrainSlopeCells(terrain, boundary) {
+  const { step, cells } = fieldSampleCells(boundary, terrain.kind === "grid" ? gridCellM(terrain) : 0, SLOPE_MAP_CELLS);
+  return cells
+    .map((cell) => ({ bounds: cell.bounds, slope: terrainSlopeAt(terrain, cell.centre, step) }))
+    .filter((cell) => cell.slope !== null)
+    .map((cell) => ({
+      bounds: cell.bounds,
+      slopePercent: +cell.slope.toFixed(2),
+      slopeClass: slopeClassOf(cell.slope),
+    }));
+}
+
+function summarizeSlopeCells(cells) {
+  if (!cells.length) return null;
+  const classes = classShares(cells, SLOPE_CLASSES, (cell) => cell.slopeClass);
+  return {
+    meanSlope: cells.reduce((sum, c) => sum + c.slopePercent, 0) / cells.length,
+    maxSlope: Math.max(...cells.map((c) => c.slopePercent)),
+    dominant: classes.reduce((best, c) => (c.share > best.share ? c : best)),
+    classes,
+  };
+}
+
+// Field panel and map overlay for the current terrain
+function refreshTerrainView() {
+  const terrain = getProjectTerrain();
+  const boundary = getLayoutFieldBoundary(getPlannerInputs());
+  const cells = terrain ? terrainSlopeCells(terrain, boundary) : [];
+  const summary = summarizeSlopeCells(cells);
+
+  $("satellite-slope").textContent = summary
+    ? `${summary.dominant.label} – mean ${summary.meanSlope.toFixed(1)}%, max ${summary.maxSlope.toFixed(1)}% (` +
+      summary.classes.map((c) => `${c.label} ${Math.round(c.share * 100)}%`).join(", ") +
+      ")"
+    : terrain
+    ? "Terrain does not cover the field"
+    : "No terrain loaded";
+  $("terrain-info").textContent = terrain
+    ? `${terrain.name}: ` +
+      (terrain.kind === "grid"
+        ? `DEM ${terrain.ncols} × ${terrain.nrows} cells`
+        : `${terrain.points.length} survey points`) +
+      `, ${terrain.minElevation.toFixed(1)}–${terrain.maxElevation.toFixed(1)} m`
+    : "GeoTIFF or ASCII grid DEM, or a CSV of latitude, longitude and elevation";
+  $("remove-terrain-btn").disabled = !terrain;
+
+  if (!terrainLayerGroup) return;
+  terrainLayerGroup.clearLayers();
+  const renderer = L.canvas({ padding: 0.5, pane: "terrainPane" });
+  cells.forEach((cell) => {
+    L.rectangle(cell.bounds, {
+      renderer,
+      pane: "terrainPane",
+      stroke: false,
+      fillColor: cell.slopeClass.color,
+      fillOpacity: 0.35,
+    })
+      .bindTooltip(`${cell.slopeClass.label} slope ${cell.slopePercent}%`)
+      .addTo(terrainLayerGroup);
+  });
+}
+
+function setProjectTerrain(terrain) {
+  const proj = projects.find((p) => p.id === currentProjectId);
+  if (proj) {
+    proj.terrain = terrain;
+    // site elevation for ETo defaults to the ground at the field centre
+    const centre = ringCentroidLatLng(getLayoutFieldBoundary(getPlannerInputs()).outer);
+    const z = terrain ? terrainElevationAt(terrain, centre) : null;
+    if (typeof proj.elevation !== "number" && z !== null) proj.elevation = Math.round(z);
+    syncProjectDraftStatus(proj);
+    persistProject(proj);
+  } else {
+    unsavedTerrain = terrain;
+  }
+  refreshTerrainView();
+  onRecalculate();
+}
+
+async function importTerrainFile(file) {
+  const meta = {
+    name: file.name.replace(/\.[^.]+$/, ""),
+    fileName: file.name,
+    importedAt: new Date().toISOString(),
+  };
+  const boundary = getLayoutFieldBoundary(getPlannerInputs());
+  if (/\.tiff?$/i.test(file.name)) {
+    return readGeoTiffTerrain(await file.arrayBuffer(), meta, boundary);
+  }
+  const text = await file.text();
+  if (/\.(csv|txt)$/i.test(file.name) && !/^\s*ncols/i.test(text)) return parseSurveyPoints(text, meta);
+  try {
+    return parseAsciiGrid(text, meta, boundary);
+  } catch (err) {
+    if (!/UTM zone/.test(err.message)) throw err;
+    const zone = prompt("The grid is in projected coordinates. WGS84 UTM zone (e.g. 47N for western Thailand, 48N for the east):", "47N");
+    if (zone === null) return null;
+    return parseAsciiGrid(text, meta, boundary, zone);
+  }
+}
+
+async function onTerrainFile(e) {
+  const file = e.target.files?.[0];
+  if (!file) return;
+  e.target.value = "";
+  try {
+    const terrain = await importTerrainFile(file);
+    if (terrain) setProjectTerrain(terrain);
+  } catch (err) {
+    alert(`Could not import the terrain: ${err.message}`);
+  }
+}
 
-  updateCostCharts(items, totalCost, design.totalPipeLength || 0);
+function removeTerrain() {
+  if (!getProjectTerrain() || !confirm("Remove the terrain and treat the field as flat?")) return;
+  setProjectTerrain(null);
+}
+
+function initTerrain() {
+  $("import-terrain-btn")?.addEventListener("click", () => $("terrain-file").click());
+  $("terrain-file")?.addEventListener("change", onTerrainFile);
+  $("remove-terrain-btn")?.addEventListener("click", removeTerrain);
+  refreshTerrainView();
 }
 
 // -------------------------
-// SEASONAL SIMULATION (KPIs #3 & #7)
+// FIELD CONTEXT (NDVI raster, soil map, map overlays)
 // -------------------------
 
-const MONTH_NAMES = [
-  "Jan",
-  "Feb",
-  "Mar",
-  "Apr",
-  "May",
-  "Jun",
-  "Jul",
-  "Aug",
-  "Sep",
-  "Oct",
-  "Nov",
-  "Dec",
+const NDVI_MAP_CELLS = 80; // NDVI overlay cells across the field
+const SOIL_MAP_CELLS = 60; // soil-map samples across the field
+const SOIL_MAP_VALUE = "map"; // soil-type option that uses the project's soil map
+const SOIL_MIN_LIMITING_SHARE = 0.1; // textures covering less do not set the intake rate
+
+const NDVI_CLASSES = [
+  { max: 0.2, label: "Bare / water", color: "#a50026" },
+  { max: 0.4, label: "Sparse", color: "#f46d43" },
+  { max: 0.6, label: "Moderate", color: "#a6d96a" },
+  { max: Infinity, label: "Dense", color: "#1a9850" },
 ];
-const MONTH_IDS = [
-  "jan",
-  "feb",
-  "mar",
-  "apr",
-  "may",
-  "jun",
-  "jul",
-  "aug",
-  "sep",
-  "oct",
-  "nov",
-  "dec",
+
+const SOIL_TEXTURE_COLORS = {
+  Sand: "#f6e8c3",
+  "Loamy sand": "#dfc27d",
+  "Sandy loam": "#bf812d",
+  Loam: "#8c510a",
+  "Silt loam": "#c7eae5",
+  "Clay loam": "#80cdc1",
+  "Silty clay": "#35978f",
+  Clay: "#01665e",
+};
+
+// Soil-map attribute values to textures: USDA names and abbreviations and the
+// LDD Thai texture names, most specific first
+const SOIL_TEXTURE_ALIASES = [
+  [/silty clay(?! loam)|^sic$|เหนียวปนทรายแป้ง/, "Silty clay"],
+  [/clay loam|^s?i?cl$|ร่วนเหนียว/, "Clay loam"],
+  [/silt|^sil?$|ร่วนปนทรายแป้ง/, "Silt loam"],
+  [/sandy loam|^sl$|ร่วนปนทราย/, "Sandy loam"],
+  [/loamy sand|^ls$|ทรายปนร่วน/, "Loamy sand"],
+  [/clay|^s?c$|เหนียว/, "Clay"],
+  [/loam|^l$|ร่วน/, "Loam"],
+  [/sand|^s$|ทราย/, "Sand"],
 ];
 
-// Build the monthly table (12 rows, no hard-coded HTML rows)
-function setupMonthlyTable() {
-  const tbody = document.getElementById("monthly-data-tbody");
-  if (!tbody) return;
-  tbody.innerHTML = "";
+let unsavedFieldData = { ndvi: null, soilMap: null }; // while no project is open
+let pendingSoilMap = null; // { fileName, features } while mapping textures
+let soilStatsCache = null;
 
-  for (let i = 0; i < 12; i++) {
-    const tr = document.createElement("tr");
-    tr.innerHTML = `
-      <td>${MONTH_NAMES[i]}</td>
-      <td><input type="number" step="0.1" value="5.0" class="number-input monthly-eto" data-month="${i}"></td>
-      <td><input type="number" step="0.1" value="2.0" class="number-input monthly-rainfall" data-month="${i}"></td>
-    `;
-    tbody.appendChild(tr);
+function getFieldData(key) {
+  const proj = projects.find((p) => p.id === currentProjectId);
+  return proj ? proj[key] || null : unsavedFieldData[key];
+}
+
+function setFieldData(key, value) {
+  const proj = projects.find((p) => p.id === currentProjectId);
+  if (proj) {
+    proj[key] = value;
+    syncProjectDraftStatus(proj);
+    persistProject(proj);
+  } else {
+    unsavedFieldData[key] = value;
   }
+  refreshFieldContext();
+  onRecalculate();
 }
 
-function loadScenarioPreset(mode) {
-  let tbody = document.getElementById("monthly-data-tbody");
-  if (!tbody) {
-    setupMonthlyTable();
-    tbody = document.getElementById("monthly-data-tbody");
-  }
-  if (!tbody) return;
+function guessSoilTexture(value) {
+  const text = String(value ?? "").trim().toLowerCase();
+  return SOIL_TEXTURE_ALIASES.find(([pattern]) => pattern.test(text))?.[1] || "";
+}
 
-  const presets = {
-    normal: {
-      eto: [4.5, 4.6, 4.8, 5.0, 5.2, 5.1, 5.0, 4.9, 4.7, 4.6, 4.5, 4.4],
-      rain: [2.5, 2.0, 2.0, 1.8, 1.5, 1.2, 1.0, 1.0, 2.2, 3.0, 3.5, 3.8],
-    },
-    dry: {
-      eto: [4.8, 4.9, 5.2, 5.4, 5.6, 5.5, 5.4, 5.3, 5.0, 4.9, 4.8, 4.7],
-      rain: [1.5, 1.2, 1.0, 0.8, 0.6, 0.5, 0.5, 0.6, 1.0, 1.5, 1.8, 2.0],
-    },
-    wet: {
-      eto: [4.2, 4.3, 4.5, 4.7, 4.9, 4.8, 4.7, 4.6, 4.4, 4.3, 4.2, 4.1],
-      rain: [3.5, 3.2, 3.0, 2.8, 2.5, 2.4, 2.3, 2.2, 3.0, 4.0, 4.5, 4.8],
-    },
+// NDVI GeoTIFF (EPSG:4326 or WGS84 / UTM) cropped to the field like a DEM;
+// float (−1…1) or integer ×10,000 products
+async function readNdviGrid(buffer, meta, boundary) {
+  const raster = await readGeoTiffWindow(buffer, boundary, (v, nodata) => (isFinite(v) && v !== nodata ? v : null));
+  if (!raster) throw new Error("the raster does not cover the field");
+  const valid = raster.values.filter((v) => v !== null);
+  if (!valid.length) throw new Error("the raster has no values over the field");
+  const largest = Math.max(...valid.map(Math.abs));
+  const scale = largest <= 1 ? 1 : largest <= 10000 ? 1 / 10000 : null;
+  if (!scale) throw new Error("values are not NDVI (expected −1 to 1, or integers scaled by 10,000)");
+  return {
+    ...meta,
+    ...croppedGrid(raster.grid, raster.win, raster.ncols, raster.nrows),
+    values: raster.values.map((v) => (v === null || Math.abs(v * scale) > 1 ? null : +(v * scale).toFixed(4))),
   };
+}
 
-  const preset = presets[mode] || presets.normal;
+// Value of the grid cell containing [lat, lng]; null outside the grid
+function gridValueAt(grid, latlng) {
+  const [x, y] = terrainXY(grid.crs, latlng);
+  const col = Math.floor((x - grid.left) / grid.cellX);
+  const row = Math.floor((grid.top - y) / grid.cellY);
+  if (col < 0 || row < 0 || col >= grid.ncols || row >= grid.nrows) return null;
+  return grid.values[row * grid.ncols + col];
+}
 
-  const etoInputs = tbody.querySelectorAll(".monthly-eto");
-  const rainInputs = tbody.querySelectorAll(".monthly-rainfall");
-  etoInputs.forEach((input, idx) => {
-    input.value = preset.eto[idx].toFixed(1);
-  });
-  rainInputs.forEach((input, idx) => {
-    input.value = preset.rain[idx].toFixed(1);
-  });
+// Zonal statistics of NDVI over the field polygon
+function ndviZonalStats(ndvi, boundary) {
+  const cells = fieldSampleCells(boundary, gridCellM(ndvi), NDVI_MAP_CELLS)
+    .cells.map((cell) => ({ ...cell, value: gridValueAt(ndvi, cell.centre) }))
+    .filter((cell) => cell.value !== null)
+    .map((cell) => ({ ...cell, ndviClass: NDVI_CLASSES.find((c) => cell.value <= c.max) }));
+  if (!cells.length) return null;
+  const values = cells.map((c) => c.value);
+  const mean = values.reduce((a, b) => a + b, 0) / values.length;
+  return {
+    cells,
+    mean,
+    min: Math.min(...values),
+    max: Math.max(...values),
+    std: Math.sqrt(values.reduce((sum, v) => sum + (v - mean) ** 2, 0) / values.length),
+    classes: classShares(cells, NDVI_CLASSES, (cell) => cell.ndviClass),
+  };
 }
 
-// Seasonal simulation using Thai units (Rai) and liters/month
-function runSeasonalSimulation() {
-  const areaRai = parseFloat($("area")?.value || "0");
-  const areaM2 = areaRai * 1600; // 1 Rai = 1,600 m²
+// Polygon features (GeoJSON or a zipped shapefile) near the field, as
+// [lat, lng] rings: { properties, polygons: [[outer, ...holes], ...] }
+async function readSoilMapFeatures(file, boundary) {
+  let geojson;
+  if (/\.zip$/i.test(file.name)) {
+    if (typeof shp === "undefined") throw new Error("the shapefile reader (shpjs) could not be loaded");
+    geojson = await shp(await file.arrayBuffer());
+  } else if (/\.shp$/i.test(file.name)) {
+    throw new Error("zip the .shp with its .dbf and .prj so the soil attributes come along");
+  } else {
+    geojson = JSON.parse(await file.text());
+  }
 
-  const kcInitial = parseFloat($("kc-initial").value || "0.3");
-  const kcMid = parseFloat($("kc-mid").value || "1.0");
-  const kcLate = parseFloat($("kc-late").value || "0.7");
+  const lats = boundary.outer.map((p) => p[0]);
+  const lngs = boundary.outer.map((p) => p[1]);
+  const margin = TERRAIN_MARGIN_M / M_PER_DEG_LAT;
+  const near = ([lat, lng]) =>
+    lat >= Math.min(...lats) - margin &&
+    lat <= Math.max(...lats) + margin &&
+    lng >= Math.min(...lngs) - margin * 2 &&
+    lng <= Math.max(...lngs) + margin * 2;
+
+  const collections = Array.isArray(geojson) ? geojson : [geojson];
+  const features = collections
+    .flatMap((c) => (c.type === "Feature" ? [c] : c.features || []))
+    .filter((f) => /Polygon$/.test(f.geometry?.type || ""));
+  if (!features.length) throw new Error("no polygon features found");
+
+  const toRing = (ring) => ring.map(([lng, lat]) => [+lat.toFixed(7), +lng.toFixed(7)]);
+  const fieldCorners = boundary.outer;
+  const nearField = features
+    .map((f) => ({
+      properties: f.properties || {},
+      polygons: (f.geometry.type === "Polygon" ? [f.geometry.coordinates] : f.geometry.coordinates).map((poly) =>
+        poly.map(toRing)
+      ),
+    }))
+    .filter((f) =>
+      f.polygons.some((poly) => poly[0].some(near) || fieldCorners.some((pt) => pointInRing(pt, poly[0])))
+    );
+  if (!nearField.length) throw new Error("the soil map does not cover the field");
+  return nearField;
+}
 
-  const daysInMonth = [31, 28, 31, 30, 31, 30, 31, 31, 30, 31, 30, 31];
-  const tbody = document.getElementById("monthly-data-tbody");
-  const etoInputs = tbody ? tbody.querySelectorAll(".monthly-eto") : [];
-  const rainInputs = tbody ? tbody.querySelectorAll(".monthly-rainfall") : [];
+function soilFeatureAt(features, latlng) {
+  return features.find((f) =>
+    f.polygons.some((poly) => pointInRing(latlng, poly[0]) && !poly.slice(1).some((hole) => pointInRing(latlng, hole)))
+  );
+}
 
-  if (!etoInputs.length || !rainInputs.length) return;
+// Area-weighted soil over the field: θFC, θWP and curve number weighted by
+// area, intake rate of the slowest texture covering at least 10%
+function soilZonalStats(soilMap, boundary) {
+  const cells = fieldSampleCells(boundary, 0, SOIL_MAP_CELLS).cells.map((cell) => {
+    const feature = soilFeatureAt(soilMap.features, cell.centre);
+    return { ...cell, texture: feature ? soilMap.mapping[feature.value] || null : null };
+  });
+  const mapped = cells.filter((c) => c.texture);
+  if (!mapped.length) return { cells, coverage: 0, shares: [], soil: null, label: "" };
+
+  const shares = Object.keys(SOIL_TYPES)
+    .map((texture) => ({ texture, share: mapped.filter((c) => c.texture === texture).length / mapped.length }))
+    .filter((s) => s.share > 0)
+    .sort((a, b) => b.share - a.share);
+  const weighted = (key) => shares.reduce((sum, s) => sum + SOIL_TYPES[s.texture][key] * s.share, 0);
+  const limiting = shares.filter((s) => s.share >= SOIL_MIN_LIMITING_SHARE);
+  return {
+    cells,
+    coverage: mapped.length / cells.length,
+    shares,
+    soil: {
+      thetaFC: weighted("thetaFC"),
+      thetaWP: weighted("thetaWP"),
+      curveNumber: Math.round(weighted("curveNumber")),
+      percolationMmDay: +weighted("percolationMmDay").toFixed(1),
+      infiltrationMmH: Math.min(...limiting.map((s) => SOIL_TYPES[s.texture].infiltrationMmH)),
+    },
+    label: `Soil map: ${shares.map((s) => `${s.texture} ${Math.round(s.share * 100)}%`).join(", ")}`,
+  };
+}
 
-  const monthlyDemand = [];
-  const monthlyEto = [];
-  const monthlyRain = [];
+// Recalculations run often; the soil map is only re-sampled when it or the field changes
+function getSoilZonalStats(soilMap, boundary) {
+  const key = JSON.stringify(boundary);
+  if (soilStatsCache?.soilMap !== soilMap || soilStatsCache.key !== key) {
+    soilStatsCache = { soilMap, key, stats: soilZonalStats(soilMap, boundary) };
+  }
+  return soilStatsCache.stats;
+}
 
-  etoInputs.forEach((etoInput, idx) => {
-    const eto = parseFloat(etoInput.value || "0");
-    const rainfall = parseFloat(rainInputs[idx]?.value || "0");
-    monthlyEto.push(eto);
-    monthlyRain.push(rainfall);
+// Field panel (NDVI, soil) and the selected map overlay; the slope classes are
+// the terrain overlay (refreshTerrainView)
+function refreshFieldContext() {
+  const boundary = getLayoutFieldBoundary(getPlannerInputs());
+  const ndvi = getFieldData("ndvi");
+  const soilMap = getFieldData("soilMap");
+  const ndviStats = ndvi ? ndviZonalStats(ndvi, boundary) : null;
+  const soilStats = soilMap ? getSoilZonalStats(soilMap, boundary) : null;
+  const percent = (share) => `${Math.round(share * 100)}%`;
+
+  $("satellite-ndvi").textContent = ndviStats
+    ? `${ndviStats.mean.toFixed(2)} mean (${ndviStats.min.toFixed(2)}–${ndviStats.max.toFixed(2)}, σ ${ndviStats.std.toFixed(2)}) – ` +
+      ndviStats.classes.map((c) => `${c.label} ${percent(c.share)}`).join(", ")
+    : ndvi
+    ? "NDVI does not cover the field"
+    : "No NDVI loaded";
+  $("satellite-soil").textContent = soilStats?.soil
+    ? `${soilStats.label} · ${percent(soilStats.coverage)} of the field mapped · ` +
+      `${Math.round(soilAvailableWater(soilStats.soil))} mm/m available water, intake ${soilStats.soil.infiltrationMmH} mm/h`
+    : soilMap
+    ? "Soil map does not cover the field"
+    : "No soil map loaded";
+  $("remove-ndvi-btn").disabled = !ndvi;
+  $("remove-soil-map-btn").disabled = !soilMap;
+
+  if (!contextLayerGroup) return;
+  contextLayerGroup.clearLayers();
+  const overlay = $("field-overlay")?.value || "slope";
+  if (overlay === "slope") terrainLayerGroup.addTo(map);
+  else terrainLayerGroup.remove();
+  const renderer = L.canvas({ padding: 0.5, pane: "contextPane" });
+  const cellStyle = (color) => ({ renderer, pane: "contextPane", stroke: false, fillColor: color, fillOpacity: 0.4 });
+
+  if (overlay === "ndvi") {
+    (ndviStats?.cells || []).forEach((cell) => {
+      L.rectangle(cell.bounds, cellStyle(cell.ndviClass.color))
+        .bindTooltip(`NDVI ${cell.value.toFixed(2)} (${cell.ndviClass.label})`)
+        .addTo(contextLayerGroup);
+    });
+  } else if (overlay === "soil") {
+    (soilMap?.features || []).forEach((f) => {
+      const texture = soilMap.mapping[f.value];
+      L.polygon(f.polygons, {
+        renderer,
+        pane: "contextPane",
+        color: "#555",
+        weight: 1,
+        fillColor: SOIL_TEXTURE_COLORS[texture] || "#bbb",
+        fillOpacity: 0.45,
+      })
+        .bindTooltip(`${escapeHtml(f.value)} → ${texture || "not mapped"}`)
+        .addTo(contextLayerGroup);
+    });
+  }
+}
 
-    // Stage mapping: Jan–Feb Initial, Mar–Aug Mid, Sep–Dec Late
-    let kc;
-    if (idx <= 1) kc = kcInitial;
-    else if (idx >= 2 && idx <= 7) kc = kcMid;
-    else kc = kcLate;
+function showFieldOverlay(overlay) {
+  if ($("field-overlay")) $("field-overlay").value = overlay;
+}
 
-    const etc = kc * eto; // mm/day
-    const netIrrigation = Math.max(0, etc - rainfall); // mm/day
-    const monthlyDepth = netIrrigation * daysInMonth[idx]; // mm/month
-    const monthDemand = monthlyDepth * areaM2; // L/month (1 mm over 1 m² = 1 L)
-    monthlyDemand.push(Math.round(monthDemand));
-  });
+async function onFieldDataFile(e, kind) {
+  const file = e.target.files?.[0];
+  if (!file) return;
+  e.target.value = "";
+  const meta = {
+    name: file.name.replace(/\.[^.]+$/, ""),
+    fileName: file.name,
+    importedAt: new Date().toISOString(),
+  };
+  const boundary = getLayoutFieldBoundary(getPlannerInputs());
+  try {
+    if (kind === "ndvi") {
+      const ndvi = await readNdviGrid(await file.arrayBuffer(), meta, boundary);
+      showFieldOverlay("ndvi");
+      setFieldData("ndvi", ndvi);
+    } else {
+      pendingSoilMap = { ...meta, features: await readSoilMapFeatures(file, boundary) };
+      openSoilMapImport();
+    }
+  } catch (err) {
+    alert(`Could not import the ${kind === "soil" ? "soil map" : "NDVI raster"}: ${err.message}`);
+  }
+}
 
-  drawSeasonalCharts(monthlyDemand, monthlyEto, monthlyRain);
-  updateSeasonalSummary(monthlyDemand, monthlyEto, monthlyRain);
+// Attribute + texture mapping step for an imported soil map
+function openSoilMapImport() {
+  const keys = [...new Set(pendingSoilMap.features.flatMap((f) => Object.keys(f.properties)))];
+  const guess =
+    keys.find((k) => /textur|tex|เนื้อดิน/i.test(k)) || keys.find((k) => /soil|series|ชุดดิน|group/i.test(k)) || keys[0];
+  $("soil-map-name").value = pendingSoilMap.name;
+  $("soil-attribute").innerHTML = keys.map((k) => `<option value="${escapeHtml(k)}">${escapeHtml(k)}</option>`).join("");
+  $("soil-attribute").value = guess || "";
+  renderSoilTextureMapping();
+  openModal("soil-map-modal");
 }
 
-function drawSeasonalCharts(monthlyDemand, monthlyEto, monthlyRain) {
-  if (typeof Chart === "undefined") return;
-  const ctx1 = $("seasonal-chart")?.getContext("2d");
-  const ctx2 = $("seasonal-eto-chart")?.getContext("2d");
+function renderSoilTextureMapping() {
+  const attribute = $("soil-attribute").value;
+  const counts = new Map();
+  pendingSoilMap.features.forEach((f) => {
+    const value = String(f.properties[attribute] ?? "");
+    counts.set(value, (counts.get(value) || 0) + 1);
+  });
+  const options = ['<option value="">— not mapped —</option>']
+    .concat(Object.keys(SOIL_TYPES).map((t) => `<option value="${t}">${t}</option>`))
+    .join("");
+  $("soil-texture-tbody").innerHTML = [...counts]
+    .map(
+      ([value, count]) => `
+      <tr>
+        <td>${value ? escapeHtml(value) : "(blank)"}</td>
+        <td>${count}</td>
+        <td><select class="form-input soil-texture-select" data-value="${escapeHtml(value)}">${options}</select></td>
+      </tr>`
+    )
+    .join("");
+  $("soil-texture-tbody").querySelectorAll(".soil-texture-select").forEach((select) => {
+    select.value = guessSoilTexture(select.dataset.value);
+  });
+  updateSoilMapReport();
+}
 
-  if (!ctx1 || !ctx2) return;
+// Name, import time and texture mapping of a soil map: tells a revision which
+// map (and which reading of it) it was computed on
+function soilMapFingerprint(soilMap) {
+  if (!soilMap) return null;
+  return { name: soilMap.name, importedAt: soilMap.importedAt, attribute: soilMap.attribute, mapping: soilMap.mapping };
+}
 
-  if (seasonalChart) seasonalChart.destroy();
-  seasonalChart = new Chart(ctx1, {
-    type: "line",
-    data: {
-      labels: MONTH_NAMES,
-      datasets: [
-        {
-          label: "Water demand (L/month)",
-          data: monthlyDemand,
-          borderColor: "#3b82f6",
-          backgroundColor: "rgba(59,130,246,0.15)",
-          fill: true,
-        },
-      ],
-    },
-    options: {
-      responsive: true,
-      maintainAspectRatio: false,
-      scales: { y: { beginAtZero: true } },
-    },
+function buildPendingSoilMap() {
+  const attribute = $("soil-attribute").value;
+  const mapping = {};
+  $("soil-texture-tbody").querySelectorAll(".soil-texture-select").forEach((select) => {
+    if (select.value) mapping[select.dataset.value] = select.value;
   });
+  return {
+    name: $("soil-map-name").value.trim() || pendingSoilMap.name,
+    fileName: pendingSoilMap.fileName,
+    importedAt: pendingSoilMap.importedAt,
+    attribute,
+    mapping,
+    features: pendingSoilMap.features.map((f) => ({
+      value: String(f.properties[attribute] ?? ""),
+      polygons: f.polygons,
+    })),
+  };
+}
 
-  if (seasonalEtoChart) seasonalEtoChart.destroy();
-  seasonalEtoChart = new Chart(ctx2, {
-    type: "bar",
-    data: {
-      labels: MONTH_NAMES,
-      datasets: [
-        {
-          label: "ETo (mm/day)",
-          data: monthlyEto,
-          backgroundColor: "rgba(14,165,233,0.7)",
-        },
-        {
-          label: "Rainfall (mm/day)",
-          data: monthlyRain,
-          backgroundColor: "rgba(34,197,94,0.7)",
-        },
-      ],
-    },
-    options: {
-      responsive: true,
-      maintainAspectRatio: false,
-      scales: { y: { beginAtZero: true } },
-    },
-  });
+function updateSoilMapReport() {
+  const stats = soilZonalStats(buildPendingSoilMap(), getLayoutFieldBoundary(getPlannerInputs()));
+  $("soil-map-report").innerHTML = stats.soil
+    ? `<li>${Math.round(stats.coverage * 100)}% of the field mapped to a texture</li>
+       <li>${stats.shares.map((s) => `${s.texture} ${Math.round(s.share * 100)}%`).join(", ")}</li>
+       <li>${Math.round(soilAvailableWater(stats.soil))} mm/m available water, intake rate ${stats.soil.infiltrationMmH} mm/h</li>`
+    : '<li class="schedule-warning">No part of the field is mapped to a texture yet</li>';
+  $("save-soil-map-btn").disabled = !stats.soil;
 }
 
-function updateSeasonalSummary(monthlyDemand, monthlyEto, monthlyRain) {
-  const totalDemand = monthlyDemand.reduce((a, b) => a + b, 0);
-  if (!monthlyDemand.length) return;
-  const maxDemand = Math.max(...monthlyDemand);
-  const maxMonthIndex = monthlyDemand.indexOf(maxDemand);
-  const avgEto =
-    monthlyEto.length ? monthlyEto.reduce((a, b) => a + b, 0) / monthlyEto.length : 0;
+function saveSoilMap() {
+  const soilMap = buildPendingSoilMap();
+  pendingSoilMap = null;
+  closeModal("soil-map-modal");
+  $("soil-type").value = SOIL_MAP_VALUE;
+  showFieldOverlay("soil");
+  setFieldData("soilMap", soilMap);
+}
 
-  $("seasonal-summary-content").innerHTML = `
-    <p><strong>Total seasonal demand:</strong> ${totalDemand.toLocaleString()} L</p>
-    <p><strong>Peak month:</strong> ${MONTH_NAMES[maxMonthIndex]} (${maxDemand.toLocaleString()} L)</p>
-    <p><strong>Average ET₀:</strong> ${avgEto.toFixed(1)} mm/day</p>
-    <p>Units match Planner: area in Rai (1 Rai = 1,600 m²) and water in liters/month.</p>
-  `;
+function removeFieldData(key, label) {
+  if (!getFieldData(key) || !confirm(`Remove the ${label} from this project?`)) return;
+  if (key === "soilMap" && $("soil-type").value === SOIL_MAP_VALUE) $("soil-type").value = DEFAULT_SOIL_TYPE;
+  setFieldData(key, null);
+}
+
+function initFieldContext() {
+  [
+    ["import-ndvi-btn", "ndvi-file", "ndvi"],
+    ["import-soil-map-btn", "soil-map-file", "soil"],
+  ].forEach(([buttonId, fileId, kind]) => {
+    $(buttonId)?.addEventListener("click", () => $(fileId).click());
+    $(fileId)?.addEventListener("change", (e) => onFieldDataFile(e, kind));
+  });
+  $("remove-ndvi-btn")?.addEventListener("click", () => removeFieldData("ndvi", "NDVI raster"));
+  $("remove-soil-map-btn")?.addEventListener("click", () => removeFieldData("soilMap", "soil map"));
+  $("field-overlay")?.addEventListener("change", refreshFieldContext);
+  $("refresh-field-context")?.addEventListener("click", () => {
+    refreshTerrainView();
+    refreshFieldContext();
+  });
+  $("soil-attribute")?.addEventListener("change", renderSoilTextureMapping);
+  $("soil-texture-tbody")?.addEventListener("change", updateSoilMapReport);
+  $("save-soil-map-btn")?.addEventListener("click", saveSoilMap);
+  refreshFieldContext();
 }
 
 // -------------------------
 // COST & ZONE CHARTS
 // -------------------------
 
-function updateCostCharts(items, totalCost, totalPipeLengthOverride) {
+function updateCostCharts(items, totalCost, zones) {
   const costCtx = $("cost-chart")?.getContext("2d");
   const zoneCtx = $("zone-chart")?.getContext("2d");
 
@@ -1000,8 +8380,14 @@ function updateCostCharts(items, totalCost, totalPipeLengthOverride) {
   if (costChart) costChart.destroy();
   if (zoneChart) zoneChart.destroy();
 
-  const labels = items.map((it) => it.name);
-  const values = items.map((it) => it.qty * it.unitPrice);
+  // one slice per BOM group (pipes, fittings, valves, ...)
+  const byGroup = new Map();
+  items.forEach((it) => {
+    const key = it.group || it.name;
+    byGroup.set(key, (byGroup.get(key) || 0) + it.qty * it.unitPrice);
+  });
+  const labels = [...byGroup.keys()];
+  const values = [...byGroup.values()];
 
   costChart = new Chart(costCtx, {
     type: "pie",
@@ -1019,36 +8405,62 @@ function updateCostCharts(items, totalCost, totalPipeLengthOverride) {
     },
   });
 
-  const pipeLength = totalPipeLengthOverride ?? parseFloat($("pipe-length").textContent || "0");
-  const zoneLabels = ["Zone A", "Zone B", "Zone C"];
-  const zoneValues = [
-    +(pipeLength * 0.4).toFixed(1),
-    +(pipeLength * 0.35).toFixed(1),
-    +(pipeLength * 0.25).toFixed(1),
-  ];
-
+  const zoneList = zones || [];
   zoneChart = new Chart(zoneCtx, {
     type: "bar",
     data: {
-      labels: zoneLabels,
+      labels: zoneList.map((z) => z.name),
       datasets: [
         {
           label: "Pipe length (m)",
-          data: zoneValues,
+          data: zoneList.map((z) => z.pipeLength),
+          backgroundColor: zoneList.map((z) => z.color),
+          yAxisID: "y",
+        },
+        {
+          label: "Flow (m³/h)",
+          data: zoneList.map((z) => z.flowM3h),
+          backgroundColor: "rgba(14,165,233,0.5)",
+          yAxisID: "y1",
+        },
+        {
+          label: "Area (Rai)",
+          data: zoneList.map((z) => z.areaRai),
+          backgroundColor: "rgba(34,197,94,0.5)",
+          yAxisID: "y1",
+        },
+        {
+          label: "Runtime (h)",
+          data: zoneList.map((z) => z.runtimeH),
+          backgroundColor: "rgba(245,158,11,0.6)",
+          yAxisID: "y1",
         },
       ],
     },
     options: {
       responsive: true,
       maintainAspectRatio: false,
+      scales: {
+        y: { beginAtZero: true, position: "left", title: { display: true, text: "m" } },
+        y1: { beginAtZero: true, position: "right", grid: { drawOnChartArea: false } },
+      },
     },
   });
 }
 
 // -------------------------
-// MAP (LEAFLET) – FIXED TO THAILAND FIELD BOUNDARY
+// MAP (LEAFLET) – THAILAND FIELD BOUNDARY
 // -------------------------
 
+// Placeholder field used until the user draws a real boundary
+const DEFAULT_FIELD_BOUNDARY = [
+  [13.7550, 100.5000],
+  [13.7575, 100.5000],
+  [13.7575, 100.5035],
+  [13.7550, 100.5035],
+  [13.7550, 100.5000],
+];
+
 function clearLayoutAnimation() {
   if (flowAnimationInterval) {
     clearInterval(flowAnimationInterval);
@@ -1068,24 +8480,18 @@ function initializeMap() {
     attribution: "© OpenStreetMap contributors",
   }).addTo(map);
 
+  fieldLayerGroup = L.featureGroup().addTo(map);
+  map.createPane("terrainPane").style.zIndex = 350; // under the field and layout
+  terrainLayerGroup = L.layerGroup().addTo(map);
+  map.createPane("contextPane").style.zIndex = 350;
+  contextLayerGroup = L.layerGroup().addTo(map);
   layoutLayerGroup = L.layerGroup().addTo(map);
 
-  // default rectangular field boundary
-  const defaultBoundary = [
-    [13.7550, 100.5000],
-    [13.7575, 100.5000],
-    [13.7575, 100.5035],
-    [13.7550, 100.5035],
-    [13.7550, 100.5000],
-  ];
-
-  const boundary = L.polygon(defaultBoundary, {
-    color: "#999",
-    weight: 1,
-    fillColor: "#e0f3e8",
-    fillOpacity: 0.2,
-  }).addTo(layoutLayerGroup);
+  if (L.Draw) {
+    map.on(L.Draw.Event.CREATED, onBoundaryShapeCreated);
+  }
 
+  const boundary = renderFieldBoundary();
   map.fitBounds(boundary.getBounds(), { padding: [40, 40] });
 
   mapInitialized = true;
@@ -1096,89 +8502,340 @@ function onGenerateLayout() {
   generateLayoutOnMap(inputs);
 }
 
+const MAX_FLOW_DOTS = 40; // animate a subset of laterals to keep the map responsive
+
 function generateLayoutOnMap(inputs) {
   if (!map || !layoutLayerGroup) return;
 
   clearLayoutAnimation();
   layoutLayerGroup.clearLayers();
 
-  // draw boundary
-  const defaultBoundary = [
-    [13.7550, 100.5000],
-    [13.7575, 100.5000],
-    [13.7575, 100.5035],
-    [13.7550, 100.5035],
-    [13.7550, 100.5000],
-  ];
-  const boundaryLayer = L.polygon(defaultBoundary, {
-    color: "#999",
-    weight: 1,
-    fillColor: "#e0f3e8",
-    fillOpacity: 0.2,
-  }).addTo(layoutLayerGroup);
+  const design = buildDesignFromInputs(inputs, getMonthlyTableData());
+  lastPlannerDesign = design;
+  const layout = design.layout;
+  refreshTerrainView();
+  refreshFieldContext();
+
+  // placeholder square when no field has been drawn
+  if (layout.boundary.placeholder) {
+    L.polygon(layout.boundary.outer, {
+      color: "#999",
+      weight: 1,
+      dashArray: "4 4",
+      fill: false,
+    }).addTo(layoutLayerGroup);
+  }
 
-  const bounds = boundaryLayer.getBounds();
-  const center = bounds.getCenter();
+  const mainStyle = { color: "#2d8659", weight: 6, opacity: 0.9 };
+  const submainStyle = { color: "#2d8659", weight: 4, opacity: 0.9 };
+  const manifoldStyle = layout.header ? submainStyle : mainStyle;
 
-  const pipeLength = calculatePipeLengthFromArea(inputs);
-  const mainSpan = (pipeLength / 1000) * 0.003; // scale length on map
+  if (layout.header) {
+    L.polyline(layout.header, mainStyle).addTo(layoutLayerGroup);
+  }
+  layout.manifolds.forEach((m) => {
+    L.polyline(m.path, manifoldStyle).addTo(layoutLayerGroup);
+    m.connectors.forEach((c) => L.polyline(c, manifoldStyle).addTo(layoutLayerGroup));
+  });
 
-  // main pipe (north-south)
-  const mainStart = [center.lat - mainSpan, center.lng];
-  const mainEnd = [center.lat + mainSpan, center.lng];
+  // basins are flooded from a turnout at each dead end of the trunk
+  if (design.flood) {
+    design.zones.forEach((z) => {
+      L.circleMarker(z.latlng, { radius: 7, color: "#1f5d3f", weight: 2, fillColor: z.color, fillOpacity: 1 })
+        .bindTooltip(`${z.name} turnout: ${z.areaRai} Rai, ${z.flowM3h} m³/h for ${z.runtimeH} h (${z.start} – ${z.end})`)
+        .addTo(layoutLayerGroup);
+    });
+  }
 
-  const mainPipe = L.polyline([mainStart, mainEnd], {
-    color: "#2d8659",
-    weight: 6,
-    opacity: 0.9,
-  }).addTo(layoutLayerGroup);
+  const zoneOfLateral = {};
+  (design.zones || []).forEach((z) => z.lateralIds.forEach((id) => (zoneOfLateral[id] = z)));
+
+  const uphill = new Set(design.terrain?.uphillLaterals || []);
+  layout.laterals.forEach((lat) => {
+    const zone = zoneOfLateral[lat.id];
+    const slope = lat.slopePercent !== undefined ? `, ${lat.slopePercent > 0 ? "+" : ""}${lat.slopePercent}% slope` : "";
+    L.polyline(lat.path, {
+      color: uphill.has(lat.id) ? "#d73027" : zone?.color || "#4a90e2",
+      weight: 3,
+      opacity: 0.9,
+      dashArray: uphill.has(lat.id) ? "6 4" : null,
+    })
+      .bindTooltip(
+        `Lateral ${lat.id}: ${lat.length} m, ${lat.emitters} outlets${slope}${zone ? ` · ${zone.name}` : ""}` +
+          (uphill.has(lat.id) ? ` · uphill beyond ${design.terrain.uphillLimit}%` : "")
+      )
+      .addTo(layoutLayerGroup);
+  });
 
-  const numLaterals = Math.min(10, Math.max(4, Math.round(inputs.areaRai / 5)));
-  const latSpacing =
-    (bounds.getNorth() - bounds.getSouth()) / (numLaterals + 1);
+  // sprinkler / emitter points on a shared canvas renderer (can be thousands)
+  const pointRenderer = L.canvas({ padding: 0.5 });
+  layout.laterals.forEach((lat) => {
+    lat.points.forEach((pt) => {
+      L.circleMarker(pt, {
+        renderer: pointRenderer,
+        radius: 2,
+        color: "#1f5d3f",
+        weight: 1,
+        fillColor: "#ffffff",
+        fillOpacity: 1,
+      }).addTo(layoutLayerGroup);
+    });
+  });
 
   const flowDots = [];
+  const step = Math.max(1, Math.ceil(layout.laterals.length / MAX_FLOW_DOTS));
 
-  for (let i = 1; i <= numLaterals; i++) {
-    const y = bounds.getSouth() + latSpacing * i;
-    const lateral = L.polyline(
-      [
-        [y, bounds.getWest()],
-        [y, bounds.getEast()],
-      ],
-      {
-        color: "#4a90e2",
-        weight: 3,
-        opacity: 0.9,
-      }
-    ).addTo(layoutLayerGroup);
-
-    const dot = L.circleMarker([y, bounds.getWest()], {
+  layout.laterals.forEach((lat, idx) => {
+    if (idx % step !== 0) return;
+    const [start, end] = lat.path;
+    const dot = L.circleMarker(start, {
       radius: 4,
       color: "#007bff",
       fillColor: "#007bff",
       fillOpacity: 1,
     }).addTo(layoutLayerGroup);
 
-    flowDots.push({
-      dot,
-      y,
-      xStart: bounds.getWest(),
-      xEnd: bounds.getEast(),
-      t: 0,
-    });
-  }
+    flowDots.push({ dot, start, end, t: 0 });
+  });
 
   flowAnimationInterval = setInterval(() => {
     flowDots.forEach((d) => {
       d.t += 0.02;
       if (d.t > 1) d.t = 0;
-      const x = d.xStart + (d.xEnd - d.xStart) * d.t;
-      d.dot.setLatLng([d.y, x]);
+      d.dot.setLatLng([
+        d.start[0] + (d.end[0] - d.start[0]) * d.t,
+        d.start[1] + (d.end[1] - d.start[1]) * d.t,
+      ]);
     });
   }, 80);
 
-  map.fitBounds(bounds, { padding: [40, 40] });
+  map.fitBounds(L.polygon(layout.boundary.outer).getBounds(), { padding: [40, 40] });
+}
+
+// -------------------------
+// FIELD BOUNDARY (draw / edit / delete, geodesic area)
+// -------------------------
+
+const BOUNDARY_STYLE = { color: "#2d8659", weight: 2, fillColor: "#e0f3e8", fillOpacity: 0.25 };
+const HOLE_STYLE = { color: "#4a90e2", weight: 2, dashArray: "4 4", fillColor: "#4a90e2", fillOpacity: 0.25 };
+
+let boundaryDrawMode = null; // "outer" | "hole" while a draw handler is active
+let boundaryDrawHandler = null;
+let boundaryEditing = false;
+let boundaryDeleteMode = false;
+
+// Spherical polygon area (same formula as Leaflet.draw's geodesicArea), in m²
+function geodesicAreaM2(ring) {
+  const pts = ring || [];
+  const n = pts.length;
+  if (n < 3) return 0;
+  const rad = Math.PI / 180;
+  let area = 0;
+  for (let i = 0; i < n; i++) {
+    const [lat1, lng1] = pts[i];
+    const [lat2, lng2] = pts[(i + 1) % n];
+    area += (lng2 - lng1) * rad * (2 + Math.sin(lat1 * rad) + Math.sin(lat2 * rad));
+  }
+  return Math.abs((area * EARTH_RADIUS_M * EARTH_RADIUS_M) / 2);
+}
+
+function computeBoundaryAreaM2(boundary) {
+  if (!boundary?.outer) return 0;
+  const outer = geodesicAreaM2(boundary.outer);
+  const holes = (boundary.holes || []).reduce((sum, h) => sum + geodesicAreaM2(h), 0);
+  return Math.max(0, outer - holes);
+}
+
+function computeBoundaryAreaRai(boundary) {
+  return computeBoundaryAreaM2(boundary) / 1600; // 1 Rai = 1,600 m²
+}
+
+// Ray-casting point-in-ring test on [lat, lng] pairs
+function pointInRing(point, ring) {
+  const [y, x] = point;
+  let inside = false;
+  for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+    const [yi, xi] = ring[i];
+    const [yj, xj] = ring[j];
+    if (yi > y !== yj > y && x < ((xj - xi) * (y - yi)) / (yj - yi) + xi) {
+      inside = !inside;
+    }
+  }
+  return inside;
+}
+
+function latLngsToRing(latlngs) {
+  const flat = Array.isArray(latlngs[0]) ? latlngs[0] : latlngs;
+  return flat.map((ll) => [+ll.lat.toFixed(7), +ll.lng.toFixed(7)]);
+}
+
+// Draw the current boundary (or the placeholder) into the field layer
+function renderFieldBoundary() {
+  if (!fieldLayerGroup) return null;
+  fieldLayerGroup.clearLayers();
+
+  if (!fieldBoundary) {
+    return L.polygon(DEFAULT_FIELD_BOUNDARY, {
+      color: "#999",
+      weight: 1,
+      fillColor: "#e0f3e8",
+      fillOpacity: 0.2,
+    }).addTo(fieldLayerGroup);
+  }
+
+  const outerLayer = L.polygon(fieldBoundary.outer, BOUNDARY_STYLE).addTo(fieldLayerGroup);
+  outerLayer.on("edit", () => {
+    fieldBoundary.outer = latLngsToRing(outerLayer.getLatLngs());
+    onFieldBoundaryChanged();
+  });
+  outerLayer.on("click", () => {
+    if (!boundaryDeleteMode) return;
+    stopBoundaryModes();
+    setFieldBoundary(null);
+  });
+
+  (fieldBoundary.holes || []).forEach((hole, idx) => {
+    const holeLayer = L.polygon(hole, HOLE_STYLE).addTo(fieldLayerGroup);
+    holeLayer.on("edit", () => {
+      fieldBoundary.holes[idx] = latLngsToRing(holeLayer.getLatLngs());
+      onFieldBoundaryChanged();
+    });
+    holeLayer.on("click", (e) => {
+      if (!boundaryDeleteMode) return;
+      L.DomEvent.stopPropagation(e);
+      fieldBoundary.holes.splice(idx, 1);
+      onFieldBoundaryChanged();
+      renderFieldBoundary();
+    });
+  });
+
+  if (boundaryEditing) {
+    fieldLayerGroup.eachLayer((layer) => layer.editing?.enable());
+  }
+  return outerLayer;
+}
+
+function updateBoundaryInfo() {
+  const info = $("boundary-area");
+  const areaRange = $("area");
+  const areaValue = $("area-value");
+
+  if (fieldBoundary) {
+    const rai = computeBoundaryAreaRai(fieldBoundary);
+    const holes = fieldBoundary.holes?.length || 0;
+    if (info) {
+      info.textContent = `Field: ${rai.toFixed(2)} Rai (${Math.round(rai * 1600).toLocaleString()} m²)${
+        holes ? ` · ${holes} hole${holes > 1 ? "s" : ""} excluded` : ""
+      }`;
+    }
+    if (areaValue) areaValue.value = rai.toFixed(2);
+    if (areaRange) areaRange.disabled = true;
+    if (areaValue) areaValue.disabled = true;
+  } else {
+    if (info) info.textContent = "No field drawn – area from slider";
+    if (areaRange) areaRange.disabled = false;
+    if (areaValue) {
+      areaValue.disabled = false;
+      areaValue.value = areaRange?.value || areaValue.value;
+    }
+  }
+}
+
+function onFieldBoundaryChanged() {
+  updateBoundaryInfo();
+  onRecalculate();
+}
+
+function setFieldBoundary(boundary, options = {}) {
+  fieldBoundary = boundary ? JSON.parse(JSON.stringify(boundary)) : null;
+  if (fieldBoundary && !fieldBoundary.holes) fieldBoundary.holes = [];
+
+  const layer = renderFieldBoundary();
+  if (layer && map && fieldBoundary) {
+    map.fitBounds(layer.getBounds(), { padding: [40, 40] });
+  }
+  updateBoundaryInfo();
+  if (!options.silent) onRecalculate();
+}
+
+function startBoundaryDraw(mode) {
+  if (!map) return;
+  if (typeof L === "undefined" || !L.Draw) {
+    alert("Drawing tools could not be loaded (Leaflet.draw).");
+    return;
+  }
+  if (mode === "hole" && !fieldBoundary) {
+    alert("Draw the field boundary first, then add holes for ponds or buildings.");
+    return;
+  }
+  stopBoundaryModes();
+  boundaryDrawMode = mode;
+  boundaryDrawHandler = new L.Draw.Polygon(map, {
+    allowIntersection: false,
+    showArea: true,
+    shapeOptions: mode === "hole" ? HOLE_STYLE : BOUNDARY_STYLE,
+  });
+  boundaryDrawHandler.enable();
+}
+
+function onBoundaryShapeCreated(e) {
+  const ring = latLngsToRing(e.layer.getLatLngs());
+  const mode = boundaryDrawMode;
+  boundaryDrawMode = null;
+  boundaryDrawHandler = null;
+
+  if (mode === "hole") {
+    const inside = ring.every((pt) => pointInRing(pt, fieldBoundary.outer));
+    if (!inside) {
+      alert("A hole must lie completely inside the field boundary.");
+      return;
+    }
+    fieldBoundary.holes.push(ring);
+    setFieldBoundary(fieldBoundary);
+  } else {
+    setFieldBoundary({ outer: ring, holes: [] });
+  }
+}
+
+function toggleBoundaryEdit() {
+  if (!fieldBoundary) return;
+  const enable = !boundaryEditing;
+  stopBoundaryModes();
+  boundaryEditing = enable;
+  fieldLayerGroup.eachLayer((layer) => {
+    if (enable) layer.editing?.enable();
+    else layer.editing?.disable();
+  });
+  $("edit-boundary-btn")?.classList.toggle("active", enable);
+}
+
+function toggleBoundaryDelete() {
+  if (!fieldBoundary) return;
+  const enable = !boundaryDeleteMode;
+  stopBoundaryModes();
+  boundaryDeleteMode = enable;
+  $("delete-boundary-btn")?.classList.toggle("active", enable);
+}
+
+function stopBoundaryModes() {
+  if (boundaryDrawHandler) boundaryDrawHandler.disable();
+  boundaryDrawHandler = null;
+  boundaryDrawMode = null;
+  if (boundaryEditing && fieldLayerGroup) {
+    fieldLayerGroup.eachLayer((layer) => layer.editing?.disable());
+  }
+  boundaryEditing = false;
+  boundaryDeleteMode = false;
+  $("edit-boundary-btn")?.classList.remove("active");
+  $("delete-boundary-btn")?.classList.remove("active");
+}
+
+function initBoundaryTools() {
+  $("draw-boundary-btn")?.addEventListener("click", () => startBoundaryDraw("outer"));
+  $("draw-hole-btn")?.addEventListener("click", () => startBoundaryDraw("hole"));
+  $("edit-boundary-btn")?.addEventListener("click", toggleBoundaryEdit);
+  $("delete-boundary-btn")?.addEventListener("click", toggleBoundaryDelete);
+  updateBoundaryInfo();
 }
 
 // -------------------------
@@ -1192,19 +8849,28 @@ function buildDesignJSON() {
     : null;
 
   const metrics = proj?.metrics || {};
+  const site = getProjectSite();
 
   return {
     project: {
       id: proj?.id || null,
       name: proj?.name || "Unsaved design",
       location: proj?.location || "",
+      latitude: site.latitude,
+      elevation: site.elevation,
       areaRai: inputs.areaRai,
       cropType: inputs.cropType,
+      status: proj?.status || "draft",
+      revision: getLatestRevision(proj)?.revision || null,
+      finalizedAt: getLatestRevision(proj)?.finalizedAt || null,
     },
     hydraulic: {
+      irrigationMethod: resolveIrrigationMethod(inputs).label,
+      emitterModel: resolveIrrigationMethod(inputs).emitter?.model || null,
       mainDiameter: inputs.mainDiameter,
       maxLateral: inputs.maxLateral,
       layoutMode: inputs.layoutMode,
+      terrain: getProjectTerrain()?.name || null,
     },
     climate: {
       eto: inputs.eto,
@@ -1217,7 +8883,8 @@ function buildDesignJSON() {
       headLoss: metrics.headLoss || $("head-loss").textContent,
       totalCost:
         metrics.totalCost ||
-        $("kpi-cost").textContent.replace(/[฿,]/g, ""),
+        $("kpi-cost").textContent.replace(/[฿,+]/g, ""),
+      priceList: getActivePriceList(inputs)?.name || null,
       validationStatus: $("validation-status").textContent,
       validationNotes: $("validation-notes").textContent,
     },
@@ -1230,22 +8897,56 @@ function buildDesignResponseJSON() {
 
   const headLoss = parseFloat(design.outputs.headLoss) || 0;
   const diameter = design.hydraulic.mainDiameter;
+  const plannerDesign = lastPlannerDesign || buildDesignFromInputs(getPlannerInputs(), getMonthlyTableData());
+  const sizing = optimizePipeSizing(plannerDesign, getPlannerInputs());
+  const lowestCost = sizing?.bestCost != null ? describePipeSizes(sizing) : null;
 
   if (headLoss > 5) {
-    recs.push("Increase main pipe diameter to reduce head loss below 5%");
+    recs.push(
+      lowestCost
+        ? `Resize the pipes to ${lowestCost} to bring head loss below 5% at the lowest life-cycle cost`
+        : "Increase main pipe diameter to reduce head loss below 5%; no catalogue size meets the limits, so split the field into more zones"
+    );
   } else {
     recs.push("Head loss is within target (≤ 5%)");
+    if (sizing?.saving > 0 && !sizing.currentIsBest) {
+      recs.push(
+        `Pipe sizes ${lowestCost} would save about ${sizing.saving.toLocaleString()} Baht in pipe and pumping energy over ${sizing.years} years`
+      );
+    }
   }
 
   if (diameter < 75 && design.project.areaRai > 20) {
     recs.push("For areas >20 Rai, use a main pipe at least Ø75 mm");
   }
 
-  const waterDemand = parseFloat(design.outputs.waterDemand) || 0;
-  if (waterDemand > 200000) {
-    recs.push("Select a pump larger than 200 m³/day (≥ 7.5 kW)");
+  const pump = plannerDesign.pump;
+  const sel = pump.selected;
+  const duty = `${pump.system.dutyFlowM3h.toFixed(1)} m³/h at ${pump.system.dutyHead.toFixed(1)} m`;
+  if (!sel?.operatingPoint) {
+    recs.push(`No catalogue pump meets the duty point (${duty}); import a larger pump curve or use smaller zones`);
   } else {
-    recs.push("A medium-size pump is sufficient for this design (~5.5 kW)");
+    recs.push(`Pump ${sel.model} runs at ${sel.operatingPoint.flowM3h} m³/h, ${sel.operatingPoint.head} m with ${sel.efficiency}% efficiency (duty ${duty})`);
+    if (!sel.feasible) recs.push(`Pump ${sel.model}: ${sel.status.toLowerCase()}`);
+    else if (sel.bepRatio < 0.7 || sel.bepRatio > 1.2) {
+      recs.push(`Pump ${sel.model} operates at ${Math.round(sel.bepRatio * 100)}% of its best-efficiency flow`);
+    }
+    const rec = pump.recommended;
+    if (rec && rec !== sel && rec.annualEnergyCost < sel.annualEnergyCost) {
+      recs.push(`Recommended ${rec.model} would save about ${(sel.annualEnergyCost - rec.annualEnergyCost).toLocaleString()} Baht/year in energy`);
+    }
+  }
+
+  const paddy = plannerDesign.paddy;
+  if (paddy) {
+    recs.push(
+      `${paddy.regime}: supply ${paddy.canalFlowLps} L/s continuously from the canal (${paddy.waterDutyLpsPerHa} L/s/ha), or pump ${paddy.pumpFlowLps} L/s over ${plannerDesign.schedule.hoursPerDay} h/day to ${paddy.turnouts} turnout(s)`
+    );
+  }
+
+  const uphill = plannerDesign.terrain?.uphillLaterals || [];
+  if (uphill.length) {
+    recs.push(`${uphill.length} lateral(s) climb more than ${plannerDesign.terrain.uphillLimit}% from the inlet; turn them along the contour or feed them from the high side`);
   }
 
   if (!recs.length) {
@@ -1255,9 +8956,33 @@ function buildDesignResponseJSON() {
   return {
     recommendations: recs,
     pumpSelection: {
-      suggestedPower: waterDemand > 200000 ? "7.5 kW" : "5.5 kW",
-      suggestedHead: headLoss > 5 ? "40 m" : "30 m",
+      dutyFlowM3h: +pump.system.dutyFlowM3h.toFixed(2),
+      dutyHead: +pump.system.dutyHead.toFixed(2),
+      staticLift: pump.system.staticLift,
+      model: sel?.model || null,
+      recommendedModel: pump.recommended?.model || null,
+      ratedKw: sel?.ratedKw ?? null,
+      operatingPoint: sel?.operatingPoint || null,
+      efficiency: sel?.efficiency ?? null,
+      inputKw: sel?.inputKw ?? null,
+      annualEnergyKwh: sel?.annualKwh ?? null,
+      annualEnergyCost: sel?.annualEnergyCost ?? null,
+      status: sel?.status || "No catalogue pump meets the duty point",
+      designBasis: plannerDesign.designBasis.label,
+      designNetMmPerDay: +plannerDesign.netIrrigation.toFixed(2),
     },
+    paddyWater: paddy
+      ? {
+          regime: paddy.regime,
+          pondingDepthMm: paddy.pondingDepth,
+          percolationMmPerDay: paddy.percolationMmDay,
+          landPrepMmPerDay: paddy.landPrepMmDay,
+          canalFlowLps: paddy.canalFlowLps,
+          waterDutyLpsPerHa: paddy.waterDutyLpsPerHa,
+          pumpFlowLps: paddy.pumpFlowLps,
+          turnouts: paddy.turnouts,
+        }
+      : null,
   };
 }
 
@@ -1297,15 +9022,68 @@ function downloadPDFReport() {
   doc.text(`Area: ${design.project.areaRai} Rai`, 10, y);
   y += 6;
   doc.text(`Crop: ${design.project.cropType}`, 10, y);
+  y += 6;
+  doc.text(
+    design.project.status === "final"
+      ? `Design status: Final (Rev ${design.project.revision}, ${new Date(design.project.finalizedAt).toLocaleString()})`
+      : "Design status: Draft (not signed off)",
+    10,
+    y
+  );
   y += 10;
 
   doc.text("Hydraulic Settings:", 10, y);
   y += 6;
+  doc.text(`Irrigation method: ${design.hydraulic.irrigationMethod}`, 10, y);
+  y += 6;
+  if (design.hydraulic.emitterModel) {
+    doc.text(`Outlet model: ${design.hydraulic.emitterModel}`, 10, y);
+    y += 6;
+  }
   doc.text(`Main pipe: Ø${design.hydraulic.mainDiameter} mm`, 10, y);
   y += 6;
   doc.text(`Max lateral length: ${design.hydraulic.maxLateral} m`, 10, y);
   y += 10;
 
+  const pump = response.pumpSelection;
+  doc.text("Pump:", 10, y);
+  y += 6;
+  doc.text(`Duty: ${pump.dutyFlowM3h} m3/h at ${pump.dutyHead} m (static lift ${pump.staticLift} m)`, 10, y);
+  y += 6;
+  doc.text(`Sized for: ${pump.designBasis.replace("ET₀", "ETo")}, ${pump.designNetMmPerDay} mm/day net`, 10, y);
+  y += 6;
+  doc.text(
+    pump.operatingPoint
+      ? `Model: ${pump.model} (${pump.ratedKw} kW), ${pump.operatingPoint.flowM3h} m3/h at ${pump.operatingPoint.head} m, efficiency ${pump.efficiency}%`
+      : `Model: ${pump.status}`,
+    10,
+    y
+  );
+  y += 6;
+  if (pump.operatingPoint) {
+    doc.text(`Energy: ${pump.annualEnergyKwh} kWh/year, ${pump.annualEnergyCost} Baht/year`, 10, y);
+    y += 6;
+  }
+  y += 4;
+
+  const paddy = response.paddyWater;
+  if (paddy) {
+    doc.text("Paddy Water:", 10, y);
+    y += 6;
+    doc.text(
+      `${paddy.regime}, ponding ${paddy.pondingDepthMm} mm, seepage & percolation ${paddy.percolationMmPerDay} mm/day`,
+      10,
+      y
+    );
+    y += 6;
+    doc.text(
+      `Canal flow ${paddy.canalFlowLps} L/s (${paddy.waterDutyLpsPerHa} L/s/ha) · pump ${paddy.pumpFlowLps} L/s to ${paddy.turnouts} turnout(s)`,
+      10,
+      y
+    );
+    y += 10;
+  }
+
   doc.text("Key Outputs:", 10, y);
   y += 6;
   doc.text(`Water demand: ${design.outputs.waterDemand} L/day`, 10, y);
@@ -1315,7 +9093,7 @@ function downloadPDFReport() {
   doc.text(`Head loss: ${design.outputs.headLoss} %`, 10, y);
   y += 6;
   doc.text(
-    `Total cost: ฿${design.outputs.totalCost || "N/A"}`,
+    `Total cost: ฿${design.outputs.totalCost || "N/A"} incl. VAT (${design.outputs.priceList || "no price list"})`,
     10,
     y
   );
@@ -1413,22 +9191,33 @@ function initModalCloseOnBackground() {
 document.addEventListener("DOMContentLoaded", () => {
   initSidebar();
   initPlannerInputs();
+  initCropLibrary();
+  initEtoCalculator();
+  initPumpCatalogue();
+  initPriceLists();
   initializeMap();
+  initBoundaryTools();
   setupMonthlyTable();
+  initWeatherDatasets();
+  initTerrain();
+  initFieldContext();
   loadScenarioPreset("normal");
   initSummaryButtons();
   initModalCloseOnBackground();
   injectKPIDescription();
+  window.addEventListener("pagehide", flushProjectSave);
 
   // Initial design compute to populate dashboards/summary
   const initialInputs = getPlannerInputs();
-  const initialDesign = buildDesignFromInputs(initialInputs);
+  const initialDesign = buildDesignFromInputs(initialInputs, getMonthlyTableData());
   lastPlannerDesign = initialDesign;
   updateSummaryFromDesign(initialDesign, initialInputs);
 
   $("new-project-btn").addEventListener("click", () => {
     $("project-name-input").value = "";
     $("project-location-input").value = "";
+    $("project-latitude-input").value = "";
+    $("project-elevation-input").value = "";
     $("project-area-input").value = 10;
     $("project-crop-input").value = "Sugarcane";
 
@@ -1441,10 +9230,19 @@ document.addEventListener("DOMContentLoaded", () => {
 
   $("scenario-preset").addEventListener("change", (e) => {
     loadScenarioPreset(e.target.value);
+    saveMonthlyTableToProject();
+    updateWeatherDatasetButtons();
+    recalculateSeasonalBasis();
+  });
+  $("monthly-data-tbody").addEventListener("change", () => {
+    saveMonthlyTableToProject();
+    recalculateSeasonalBasis();
   });
 
   $("run-seasonal-sim").addEventListener("click", runSeasonalSimulation);
+  $("use-peak-month-btn")?.addEventListener("click", onUsePeakMonth);
 
-  fillFakeSatelliteData();
   onRecalculate(); // initial calculation so outputs aren't zero
+
+  initProjectStore(); // restore saved projects (async)
 });